@@ -0,0 +1,510 @@
+//
+// Mock REST backend implementing the contract documented in src/services/api.js, for
+// running the app in API mode without a real server and for testing the fallback and
+// rollback paths from Jest:
+//  - GET /health
+//  - GET /todos: a plain array, or { items, nextCursor } pages when ?limit= is given;
+//    filtered by listId, status ('active' | 'completed'), trashed ('true' for todos with a
+//    deletedAt, 'false' for the rest), archived ('true' for todos with an archivedAt,
+//    'false' for the rest), q (title and notes) and tag (repeatable, any-of), ordered by
+//    sort like the app's sort options (plus 'completed': most recently completed first)
+//  - GET /todos/:id, POST /todos, PATCH /todos/:id, DELETE /todos/:id
+//    Todos get a version that goes up on every change; a PATCH whose If-Match names an
+//    older version is refused with 412 and the current todo
+//  - POST /todos/bulk, PATCH /todos/bulk, POST /todos/bulk-delete, answering one result
+//    per item
+//  - GET /lists, POST /lists, PATCH /lists/:id, DELETE /lists/:id (the list's todos move
+//    to the inbox)
+// Data is kept in a JSON file. Changes are broadcast as realtime events on the same
+// port (see realtime.js), so REACT_APP_WS_URL can point at this server too.
+//
+// Latency and failures can be injected (control requests under /__mock are exempt):
+//  - MOCK_API_LATENCY=300, or a range such as 100-800 picked at random per request (ms)
+//  - MOCK_API_FAIL_RATE=0.2 fails that share of requests with MOCK_API_FAIL_STATUS (503)
+//  - POST /__mock/failures { method?, path?, status?, timeout?, rate?, times?, body? }
+//    adds a rule: matching requests get that status (default 500) or, with timeout: true,
+//    no answer at all; path is exact or a prefix ending in "*". DELETE /__mock/failures
+//    removes every rule.
+//
+// Usage:
+//   npm run mock:api                      # http://localhost:4000, data in mock-server/db.json
+//   MOCK_API_PORT=5000 MOCK_API_DB=/tmp/todos.json MOCK_API_LATENCY=100-800 npm run mock:api
+//   REACT_APP_API_BASE=http://localhost:4000 REACT_APP_WS_URL=ws://localhost:4000 npm start
+//   curl -X POST localhost:4000/__mock/failures -d '{"method":"PATCH","status":503,"times":2}'
+//
+// From Jest, createMockApi() without a file keeps its data in memory, and its fetch()
+// answers in-process without opening a port:
+//   const backend = createMockApi({ todos: [{ title: "Seeded" }] });
+//   global.fetch = backend.fetch;
+//   backend.injectFailure({ method: "PATCH", path: "/todos/*", status: 500, times: 1 });
+//
+
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const { attachRealtime } = require("./realtime");
+
+const DEFAULT_LIST_ID = "inbox";
+const PRIORITY_RANK = { low: 0, normal: 1, high: 2, urgent: 3 };
+// Fields the server owns; request bodies cannot set them
+const SERVER_FIELDS = ["id", "version", "createdAt", "updatedAt"];
+
+/**
+ * Resolves after ms, or rejects as soon as signal aborts.
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const abort = () => {
+      clearTimeout(timer);
+      const err = new Error("The request was aborted");
+      err.name = "AbortError";
+      reject(err);
+    };
+    if (signal && signal.aborted) {
+      abort();
+      return;
+    }
+    const timer = ms === Infinity ? null : setTimeout(resolve, ms);
+    if (signal) signal.addEventListener("abort", abort, { once: true });
+  });
+}
+
+/**
+ * Parses a latency setting: a number of ms, "min-max", or [min, max]. Returns [min, max].
+ */
+function parseLatency(value) {
+  if (Array.isArray(value)) return [Number(value[0]) || 0, Number(value[1]) || Number(value[0]) || 0];
+  const [min, max] = String(value ?? 0)
+    .split("-")
+    .map((n) => Number(n) || 0);
+  return [min, max === undefined ? min : max];
+}
+
+/**
+ * Copy of a request body without the fields the server assigns.
+ */
+function clientFields(body) {
+  const fields = body && typeof body === "object" && !Array.isArray(body) ? { ...body } : {};
+  SERVER_FIELDS.forEach((f) => delete fields[f]);
+  return fields;
+}
+
+/**
+ * Comparators for ?sort=, matching src/utils/sorting.js.
+ */
+function compareDue(a, b) {
+  if (a.dueDate && b.dueDate) return a.dueDate < b.dueDate ? -1 : a.dueDate > b.dueDate ? 1 : 0;
+  if (a.dueDate) return -1;
+  if (b.dueDate) return 1;
+  return 0;
+}
+
+const rank = (t) => PRIORITY_RANK[t.priority] ?? PRIORITY_RANK.normal;
+
+const COMPARATORS = {
+  manual: (a, b) => (typeof a.order === "number" && typeof b.order === "number" ? a.order - b.order : 0),
+  created: (a, b) => String(b.createdAt || "").localeCompare(String(a.createdAt || "")),
+  priority: (a, b) => rank(b) - rank(a) || compareDue(a, b),
+  due: (a, b) => compareDue(a, b) || rank(b) - rank(a),
+  alpha: (a, b) => String(a.title || "").localeCompare(String(b.title || ""), undefined, { sensitivity: "base" }),
+  completed: (a, b) => String(b.completedAt || "").localeCompare(String(a.completedAt || "")),
+};
+
+/**
+ * Todos matching the GET /todos query, in the requested order.
+ */
+function queryTodos(todos, params) {
+  const listId = params.get("listId");
+  const status = params.get("status");
+  const trashed = params.get("trashed");
+  const archived = params.get("archived");
+  const q = (params.get("q") || "").trim().toLowerCase();
+  const tags = params.getAll("tag");
+  const matching = todos.filter(
+    (t) =>
+      (!listId || (t.listId || DEFAULT_LIST_ID) === listId) &&
+      (status !== "active" || !t.completed) &&
+      (status !== "completed" || t.completed) &&
+      (trashed !== "true" || !!t.deletedAt) &&
+      (trashed !== "false" || !t.deletedAt) &&
+      (archived !== "true" || !!t.archivedAt) &&
+      (archived !== "false" || !t.archivedAt) &&
+      (!q || `${t.title || ""}\n${t.description || ""}`.toLowerCase().includes(q)) &&
+      (!tags.length || tags.some((tag) => (t.tags || []).includes(tag)))
+  );
+  const compare = COMPARATORS[params.get("sort")];
+  return compare ? matching.slice().sort(compare) : matching;
+}
+
+/**
+ * Whether a failure rule applies to a request.
+ */
+function ruleMatches(rule, method, pathname) {
+  if (rule.method && String(rule.method).toUpperCase() !== method) return false;
+  if (!rule.path) return true;
+  if (rule.path instanceof RegExp) return rule.path.test(pathname);
+  const pattern = String(rule.path);
+  return pattern.endsWith("*") ? pathname.startsWith(pattern.slice(0, -1)) : pathname === pattern;
+}
+
+// Shorthand for handler results
+const reply = (status, body = null) => ({ status, body });
+const fail = (status, message, extra) => reply(status, { message, ...extra });
+
+/**
+ * The mock backend. Options:
+ *  - file: JSON file to load from and save to (none: in memory only)
+ *  - todos, lists: seed data, used when the file does not exist yet
+ *  - latency: ms, "min-max" or [min, max] added to every request
+ *  - failures: failure rules (see injectFailure)
+ *  - onEvent(event): called with a realtime event for every todo change
+ */
+function createMockApi(options = {}) {
+  const { file = null } = options;
+  let emit = options.onEvent || (() => {});
+  let latency = parseLatency(options.latency);
+  let failures = [];
+  let seq = 0;
+
+  const db = { todos: [], lists: [] };
+  const loaded = file && fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : null;
+  db.lists = (loaded ? loaded.lists : options.lists) || [];
+  const now = () => new Date().toISOString();
+  const taken = (id) => db.todos.some((t) => t.id === id) || db.lists.some((l) => l.id === id);
+  const newId = () => {
+    do {
+      seq += 1;
+    } while (taken(String(seq)));
+    return String(seq);
+  };
+  const seeded = now();
+  db.todos = ((loaded ? loaded.todos : options.todos) || []).map((t) => ({
+    completed: false,
+    listId: DEFAULT_LIST_ID,
+    version: 1,
+    createdAt: seeded,
+    updatedAt: seeded,
+    ...t,
+    id: t.id !== undefined ? String(t.id) : undefined,
+  }));
+  db.todos.forEach((t) => {
+    if (t.id === undefined) t.id = newId();
+  });
+
+  const save = () => {
+    if (!file) return;
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(db, null, 2));
+    fs.renameSync(tmp, file);
+  };
+
+  const findTodo = (id) => db.todos.find((t) => t.id === String(id));
+
+  // --- todo operations, shared by the single and bulk routes ---
+
+  const createTodo = (body) => {
+    const fields = clientFields(body);
+    const title = String(fields.title || "").trim();
+    if (!title) return fail(400, "Title is required");
+    const stamp = now();
+    const todo = {
+      completed: false,
+      listId: DEFAULT_LIST_ID,
+      ...fields,
+      title,
+      id: newId(),
+      version: 1,
+      // the app sends when a todo was made, which may be before it reached the server
+      createdAt: (body && body.createdAt) || stamp,
+      updatedAt: stamp,
+    };
+    db.todos.push(todo);
+    emit({ type: "todo.created", todo });
+    return reply(201, todo);
+  };
+
+  const updateTodo = (id, body, ifMatch) => {
+    const todo = findTodo(id);
+    if (!todo) return fail(404, "Todo not found");
+    const expected = ifMatch ? String(ifMatch).replace(/^W\//, "").replace(/"/g, "") : null;
+    if (expected && expected !== String(todo.version) && expected !== String(todo.updatedAt)) {
+      return fail(412, "The todo was changed by someone else", { current: todo });
+    }
+    Object.assign(todo, clientFields(body), { version: todo.version + 1, updatedAt: now() });
+    emit({ type: "todo.updated", todo });
+    return reply(200, todo);
+  };
+
+  const deleteTodo = (id) => {
+    const index = db.todos.findIndex((t) => t.id === String(id));
+    if (index < 0) return fail(404, "Todo not found");
+    db.todos.splice(index, 1);
+    emit({ type: "todo.deleted", id: String(id) });
+    return reply(204);
+  };
+
+  // One bulk result: { id, ok: true, todo } or { id, ok: false, status, message, current? }
+  const toResult = (id, { status, body }) =>
+    status < 300 ? { id, ok: true, todo: body } : { id, ok: false, status, ...body };
+
+  // --- routing ---
+
+  const routeTodos = (method, id, params, headers, body) => {
+    if (id === "bulk" && method === "POST") {
+      const list = Array.isArray(body && body.todos) ? body.todos : [];
+      const results = list.map((t) => {
+        const result = createTodo(t);
+        return toResult(result.status < 300 ? result.body.id : undefined, result);
+      });
+      return reply(200, { results });
+    }
+    if (id === "bulk" && method === "PATCH") {
+      const list = Array.isArray(body && body.updates) ? body.updates : [];
+      const results = list.map((u) => {
+        const version = u.version !== undefined && u.version !== null ? String(u.version) : null;
+        return toResult(u.id, updateTodo(u.id, u.fields, version));
+      });
+      return reply(200, { results });
+    }
+    if (id === "bulk-delete" && method === "POST") {
+      const ids = Array.isArray(body && body.ids) ? body.ids : [];
+      return reply(200, { results: ids.map((i) => toResult(i, deleteTodo(i))) });
+    }
+    if (!id) {
+      if (method === "POST") return createTodo(body);
+      if (method !== "GET") return fail(405, "Method not allowed");
+      const matching = queryTodos(db.todos, params);
+      if (!params.has("limit")) return reply(200, matching);
+      const limit = Math.max(1, Number(params.get("limit")) || 50);
+      const start = Math.max(0, Number(params.get("cursor")) || 0);
+      const end = start + limit;
+      return reply(200, { items: matching.slice(start, end), nextCursor: end < matching.length ? String(end) : null });
+    }
+    if (method === "GET") return findTodo(id) ? reply(200, findTodo(id)) : fail(404, "Todo not found");
+    if (method === "PATCH") return updateTodo(id, body, headers["if-match"]);
+    if (method === "DELETE") return deleteTodo(id);
+    return fail(405, "Method not allowed");
+  };
+
+  const routeLists = (method, id, body) => {
+    if (!id) {
+      if (method === "GET") return reply(200, db.lists.slice().sort((a, b) => (a.order ?? 0) - (b.order ?? 0)));
+      if (method !== "POST") return fail(405, "Method not allowed");
+      const name = String((body && body.name) || "").trim();
+      if (!name) return fail(400, "Name is required");
+      const list = { id: newId(), name, order: typeof body.order === "number" ? body.order : db.lists.length };
+      db.lists.push(list);
+      return reply(201, list);
+    }
+    const list = db.lists.find((l) => l.id === String(id));
+    if (!list) return fail(404, "List not found");
+    if (method === "PATCH") {
+      if (body && typeof body.name === "string" && body.name.trim()) list.name = body.name.trim();
+      if (body && typeof body.order === "number") list.order = body.order;
+      return reply(200, list);
+    }
+    if (method === "DELETE") {
+      db.lists = db.lists.filter((l) => l !== list);
+      db.todos
+        .filter((t) => t.listId === list.id)
+        .forEach((t) => updateTodo(t.id, { listId: DEFAULT_LIST_ID }));
+      return reply(204);
+    }
+    return fail(405, "Method not allowed");
+  };
+
+  const route = ({ method, pathname, params, headers, body }) => {
+    const [resource, id, ...rest] = pathname.replace(/^\/+|\/+$/g, "").split("/");
+    if (rest.length) return fail(404, "Not found");
+    if (resource === "health" && !id) return reply(200, { status: "ok" });
+    if (resource === "todos") return routeTodos(method, id && decodeURIComponent(id), params, headers, body);
+    if (resource === "lists") return routeLists(method, id && decodeURIComponent(id), body);
+    return fail(404, "Not found");
+  };
+
+  // --- latency and failure injection ---
+
+  const injectFailure = (rule = {}) => {
+    const entry = { rate: 1, times: Infinity, ...rule };
+    failures.push(entry);
+    return () => {
+      failures = failures.filter((r) => r !== entry);
+    };
+  };
+  (options.failures || []).forEach(injectFailure);
+
+  const takeFailure = (method, pathname) => {
+    const rule = failures.find((r) => ruleMatches(r, method, pathname) && Math.random() < r.rate);
+    if (!rule) return null;
+    rule.times -= 1;
+    if (rule.times <= 0) failures = failures.filter((r) => r !== rule);
+    return rule;
+  };
+
+  const control = ({ method, pathname, body }) => {
+    if (pathname !== "/__mock/failures") return fail(404, "Not found");
+    if (method === "POST") {
+      injectFailure(body || {});
+      return reply(201, { failures: failures.length });
+    }
+    if (method === "DELETE") {
+      failures = [];
+      return reply(204);
+    }
+    return fail(405, "Method not allowed");
+  };
+
+  /**
+   * Answers one request: { method, pathname, params, headers (lowercase names), body }.
+   * Resolves to { status, body }; a timeout failure never resolves, only rejects once
+   * signal aborts.
+   */
+  const handle = async (req, signal) => {
+    if (req.pathname.startsWith("/__mock/")) return control(req);
+    const [min, max] = latency;
+    if (max > 0) await sleep(min + Math.random() * (max - min), signal);
+    const rule = takeFailure(req.method, req.pathname);
+    if (rule && rule.timeout) await sleep(Infinity, signal);
+    if (rule) return reply(rule.status || 500, rule.body || { message: `Injected failure (${rule.status || 500})` });
+    const result = route(req);
+    if (req.method !== "GET" && result.status < 300) save();
+    return result;
+  };
+
+  // fetch() for the mock, without a network: requests go straight to handle()
+  const mockFetch = async (input, init = {}) => {
+    const url = new URL(String(input), "http://mock.local");
+    const headers = {};
+    Object.entries(init.headers || {}).forEach(([k, v]) => {
+      headers[k.toLowerCase()] = v;
+    });
+    let body = null;
+    try {
+      body = init.body ? JSON.parse(init.body) : null;
+    } catch (_e) {
+      return toResponse(fail(400, "Body must be JSON"));
+    }
+    const result = await handle(
+      { method: String(init.method || "GET").toUpperCase(), pathname: url.pathname, params: url.searchParams, headers, body },
+      init.signal
+    );
+    return toResponse(result);
+  };
+
+  let httpServer = null;
+  let realtime = null;
+
+  return {
+    fetch: mockFetch,
+    handle,
+    /** Copies of the stored todos and lists, for assertions. */
+    todos: () => JSON.parse(JSON.stringify(db.todos)),
+    lists: () => JSON.parse(JSON.stringify(db.lists)),
+    /** Sets the latency: ms, "min-max" or [min, max]. */
+    setLatency(value) {
+      latency = parseLatency(value);
+    },
+    /** Adds a failure rule { method?, path?, status?, timeout?, rate?, times?, body? }; returns its remover. */
+    injectFailure,
+    clearFailures() {
+      failures = [];
+    },
+    /** Serves the API (and realtime events) over HTTP; resolves to the base URL. */
+    listen(port = 0) {
+      httpServer = createHttpServer(handle);
+      realtime = attachRealtime(httpServer);
+      const previous = emit;
+      emit = (event) => {
+        previous(event);
+        realtime.broadcast(event);
+      };
+      return new Promise((resolve) => {
+        httpServer.listen(port, () => resolve(`http://localhost:${httpServer.address().port}`));
+      });
+    },
+    /** Stops the HTTP server, dropping open sockets and requests held by timeout failures. */
+    close() {
+      if (!httpServer) return Promise.resolve();
+      realtime.close();
+      return new Promise((resolve) => {
+        httpServer.close(() => resolve());
+        httpServer.closeAllConnections();
+      });
+    },
+  };
+}
+
+/**
+ * A fetch Response look-alike for a handler result.
+ */
+function toResponse({ status, body }) {
+  const text = body === null || body === undefined ? "" : JSON.stringify(body);
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    headers: { get: (name) => (String(name).toLowerCase() === "content-type" && text ? "application/json" : null) },
+    json: async () => JSON.parse(text),
+    text: async () => text,
+  };
+}
+
+/**
+ * HTTP front end for a handler, with permissive CORS for the dev server.
+ */
+function createHttpServer(handle) {
+  return http.createServer((req, res) => {
+    res.setHeader("Access-Control-Allow-Origin", req.headers.origin || "*");
+    res.setHeader("Access-Control-Allow-Credentials", "true");
+    res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization, If-Match");
+    res.setHeader("Access-Control-Allow-Methods", "GET, POST, PATCH, DELETE, OPTIONS");
+    if (req.method === "OPTIONS") {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+    const controller = new AbortController();
+    res.on("close", () => controller.abort());
+    let raw = "";
+    req.on("data", (chunk) => {
+      raw += chunk;
+    });
+    req.on("end", async () => {
+      const url = new URL(req.url, "http://localhost");
+      let result;
+      try {
+        const body = raw ? JSON.parse(raw) : null;
+        result = await handle(
+          { method: req.method, pathname: url.pathname, params: url.searchParams, headers: req.headers, body },
+          controller.signal
+        );
+      } catch (err) {
+        if (err.name === "AbortError") return; // the client gave up
+        result = err instanceof SyntaxError ? fail(400, "Body must be JSON") : fail(500, err.message);
+      }
+      if (result.body === null || result.body === undefined) {
+        res.writeHead(result.status);
+        res.end();
+      } else {
+        res.writeHead(result.status, { "Content-Type": "application/json" });
+        res.end(JSON.stringify(result.body));
+      }
+    });
+  });
+}
+
+module.exports = { createMockApi };
+
+if (require.main === module) {
+  const port = Number(process.env.MOCK_API_PORT) || 4000;
+  const file = process.env.MOCK_API_DB || path.join(__dirname, "db.json");
+  const rate = Number(process.env.MOCK_API_FAIL_RATE) || 0;
+  const backend = createMockApi({
+    file,
+    latency: process.env.MOCK_API_LATENCY,
+    failures: rate > 0 ? [{ rate, status: Number(process.env.MOCK_API_FAIL_STATUS) || 503 }] : [],
+  });
+  backend.listen(port).then((url) => {
+    // eslint-disable-next-line no-console
+    console.log(`Mock API on ${url} (data in ${file}), realtime events on ${url.replace(/^http/, "ws")}`);
+  });
+}
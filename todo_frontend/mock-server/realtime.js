@@ -0,0 +1,193 @@
+//
+// Mock realtime server for developing against REACT_APP_WS_URL.
+// A dependency-free WebSocket broadcaster (RFC 6455 text frames only):
+//  - every text message a client sends is relayed to all other clients, so two
+//    browser tabs can exchange events by hand from the dev tools console
+//  - POST /events with a JSON event (or an array of events) broadcasts it to everyone
+//
+// Usage:
+//   npm run mock:ws                       # listens on ws://localhost:4001
+//   MOCK_WS_PORT=5001 npm run mock:ws
+//   curl -X POST localhost:4001/events -d '{"type":"todo.deleted","id":"42"}'
+//
+// attachRealtime(httpServer) is exported so other mock servers can share the socket.
+//
+
+const http = require("http");
+const crypto = require("crypto");
+
+const HANDSHAKE_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+const OPCODE_TEXT = 0x1;
+const OPCODE_CLOSE = 0x8;
+const OPCODE_PING = 0x9;
+const OPCODE_PONG = 0xa;
+
+/**
+ * Encodes an unmasked server-to-client frame.
+ */
+function encodeFrame(payload, opcode = OPCODE_TEXT) {
+  const body = Buffer.isBuffer(payload) ? payload : Buffer.from(String(payload));
+  let header;
+  if (body.length < 126) {
+    header = Buffer.from([0x80 | opcode, body.length]);
+  } else if (body.length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(body.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(body.length), 2);
+  }
+  return Buffer.concat([header, body]);
+}
+
+/**
+ * Decodes as many complete client frames as the buffer holds.
+ * Returns { frames: [{ opcode, payload }], rest } where rest is the unread tail.
+ */
+function decodeFrames(buffer) {
+  const frames = [];
+  let offset = 0;
+  while (buffer.length - offset >= 2) {
+    const opcode = buffer[offset] & 0x0f;
+    const masked = (buffer[offset + 1] & 0x80) !== 0;
+    let length = buffer[offset + 1] & 0x7f;
+    let pos = offset + 2;
+    if (length === 126) {
+      if (buffer.length < pos + 2) break;
+      length = buffer.readUInt16BE(pos);
+      pos += 2;
+    } else if (length === 127) {
+      if (buffer.length < pos + 8) break;
+      length = Number(buffer.readBigUInt64BE(pos));
+      pos += 8;
+    }
+    const maskLength = masked ? 4 : 0;
+    if (buffer.length < pos + maskLength + length) break;
+    const mask = masked ? buffer.subarray(pos, pos + 4) : null;
+    pos += maskLength;
+    const payload = Buffer.from(buffer.subarray(pos, pos + length));
+    if (mask) {
+      for (let i = 0; i < payload.length; i += 1) payload[i] ^= mask[i % 4];
+    }
+    frames.push({ opcode, payload });
+    offset = pos + length;
+  }
+  return { frames, rest: buffer.subarray(offset) };
+}
+
+/**
+ * Accepts WebSocket upgrades on an existing HTTP server.
+ * Returns { broadcast(event, except?), clientCount(), close() }.
+ */
+function attachRealtime(server) {
+  const clients = new Set();
+
+  const send = (socket, text) => {
+    if (!socket.destroyed) socket.write(encodeFrame(text));
+  };
+
+  const broadcast = (event, except) => {
+    const text = typeof event === "string" ? event : JSON.stringify(event);
+    clients.forEach((socket) => {
+      if (socket !== except) send(socket, text);
+    });
+  };
+
+  server.on("upgrade", (req, socket) => {
+    const key = req.headers["sec-websocket-key"];
+    if (!key || String(req.headers.upgrade || "").toLowerCase() !== "websocket") {
+      socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+      return;
+    }
+    const accept = crypto.createHash("sha1").update(key + HANDSHAKE_GUID).digest("base64");
+    socket.write(
+      [
+        "HTTP/1.1 101 Switching Protocols",
+        "Upgrade: websocket",
+        "Connection: Upgrade",
+        `Sec-WebSocket-Accept: ${accept}`,
+        "",
+        "",
+      ].join("\r\n")
+    );
+    clients.add(socket);
+
+    let pending = Buffer.alloc(0);
+    socket.on("data", (chunk) => {
+      const { frames, rest } = decodeFrames(Buffer.concat([pending, chunk]));
+      pending = Buffer.from(rest);
+      frames.forEach(({ opcode, payload }) => {
+        if (opcode === OPCODE_TEXT) broadcast(payload.toString("utf8"), socket);
+        else if (opcode === OPCODE_PING) socket.write(encodeFrame(payload, OPCODE_PONG));
+        else if (opcode === OPCODE_CLOSE) {
+          socket.end(encodeFrame(payload, OPCODE_CLOSE));
+          clients.delete(socket);
+        }
+      });
+    });
+    socket.on("close", () => clients.delete(socket));
+    socket.on("error", () => clients.delete(socket));
+  });
+
+  return {
+    broadcast,
+    clientCount: () => clients.size,
+    close() {
+      clients.forEach((socket) => socket.destroy());
+      clients.clear();
+    },
+  };
+}
+
+/**
+ * Standalone server: WebSocket relay plus POST /events.
+ */
+function createRealtimeServer() {
+  let realtime = null;
+  const server = http.createServer((req, res) => {
+    res.setHeader("Access-Control-Allow-Origin", "*");
+    res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+    if (req.method === "OPTIONS") {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+    if (req.method === "POST" && req.url === "/events") {
+      let body = "";
+      req.on("data", (chunk) => {
+        body += chunk;
+      });
+      req.on("end", () => {
+        try {
+          const parsed = JSON.parse(body);
+          (Array.isArray(parsed) ? parsed : [parsed]).forEach((event) => realtime.broadcast(event));
+          res.writeHead(202, { "Content-Type": "application/json" });
+          res.end(JSON.stringify({ delivered: realtime.clientCount() }));
+        } catch (_e) {
+          res.writeHead(400, { "Content-Type": "application/json" });
+          res.end(JSON.stringify({ message: "Body must be a JSON event or an array of events" }));
+        }
+      });
+      return;
+    }
+    res.writeHead(200, { "Content-Type": "text/plain" });
+    res.end(`Mock realtime server: ${realtime.clientCount()} client(s) connected\n`);
+  });
+  realtime = attachRealtime(server);
+  return { server, realtime };
+}
+
+module.exports = { attachRealtime, createRealtimeServer, encodeFrame, decodeFrames };
+
+if (require.main === module) {
+  const port = Number(process.env.MOCK_WS_PORT) || 4001;
+  const { server } = createRealtimeServer();
+  server.listen(port, () => {
+    // eslint-disable-next-line no-console
+    console.log(`Mock realtime server on ws://localhost:${port} (POST /events to broadcast)`);
+  });
+}
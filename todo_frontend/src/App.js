@@ -1,83 +1,228 @@
-import React, { useMemo } from "react";
+import React from "react";
+import PropTypes from "prop-types";
 import "./App.css";
 import useTheme from "./hooks/useTheme";
+import useAuth from "./hooks/useAuth";
 import useTodos from "./hooks/useTodos";
+import useLists from "./hooks/useLists";
+import useUndoShortcuts from "./hooks/useUndoShortcuts";
+import useStorageHealth from "./hooks/useStorageHealth";
 import Header from "./components/Header";
 import TodoInput from "./components/TodoInput";
 import Filters from "./components/Filters";
 import TodoList from "./components/TodoList";
+import UndoToast from "./components/UndoToast";
+import FailureNotice from "./components/FailureNotice";
+import LoginScreen from "./components/LoginScreen";
+import ImportExport from "./components/ImportExport";
+import TrashList from "./components/TrashList";
+import HistoryList from "./components/HistoryList";
+import StorageNotice from "./components/StorageNotice";
 
-// PUBLIC_INTERFACE
-function App() {
-  /**
-   * Main app component wiring hooks to UI components.
-   * Theme and layout adhere to the "Ocean Professional" design:
-   * - Clean surface panels with rounded corners
-   * - Blue primary accents and amber highlights
-   * - Subtle shadows and smooth transitions
-   */
-  const { theme, toggleTheme } = useTheme();
+/**
+ * Lists, tasks and their controls; mounted once there is someone to show them to.
+ */
+function Workspace({ theme, toggleTheme, auth }) {
+  const { lists, activeListId, selectList, createList, renameList, deleteList, moveList, ensureLists, sync } =
+    useLists();
   const {
     tasks,
+    hasMore,
+    loadingMore,
+    loadMore,
+    countsByList,
     filter,
     search,
+    sort,
+    tagFilter,
+    availableTags,
     addTodo,
     toggleTodo,
     updateTodo,
     deleteTodo,
     clearCompleted,
+    restoreTodo,
+    purgeTodo,
+    emptyTrash,
+    archiveCompleted,
+    unarchiveTodo,
+    trashCount,
+    trashRetentionDays,
+    importTodos,
+    loadAllTodos,
+    undo,
+    redo,
+    undoNotice,
+    dismissUndoNotice,
+    failureNotice,
+    dismissFailureNotice,
+    isOffline,
+    pendingChanges,
+    retrySync,
+    conflicts,
+    resolveConflict,
+    reorderTodo,
+    moveTodoToList,
+    releaseList,
+    addSubtask,
+    toggleSubtask,
+    renameSubtask,
+    deleteSubtask,
     setFilter,
     setSearch,
-  } = useTodos();
+    setSort,
+    setTagFilter,
+  } = useTodos({ listId: activeListId, lists: sync });
+
+  useUndoShortcuts(undo, redo);
+  const storage = useStorageHealth();
+
+  const { active: activeCount, total: totalCount } = countsByList[activeListId] || { active: 0, total: 0 };
 
-  const totalCount = tasks.length;
-  const activeCount = useMemo(() => tasks.filter((t) => !t.completed).length, [tasks]);
+  const listSwitcher = {
+    lists,
+    activeListId,
+    counts: countsByList,
+    onSelect: selectList,
+    onCreate: createList,
+    onRename: renameList,
+    onDelete: async (id) => {
+      if (await deleteList(id)) releaseList(id);
+    },
+    onMove: moveList,
+  };
 
   return (
     <div className="App" data-theme={theme}>
       <div className="viewport">
-        <Header theme={theme} onToggleTheme={toggleTheme} total={totalCount} active={activeCount} />
+        <Header
+          theme={theme}
+          onToggleTheme={toggleTheme}
+          total={totalCount}
+          active={activeCount}
+          listSwitcher={listSwitcher}
+          sync={{ offline: isOffline, pending: pendingChanges, onRetry: retrySync }}
+          account={auth.enabled && auth.status !== "signedOut" ? { user: auth.user, onLogout: auth.logout } : null}
+        />
+
+        <StorageNotice
+          status={storage.status}
+          nearlyFull={storage.nearlyFull}
+          usage={storage.usage}
+          onRetry={storage.retry}
+        />
+
+        {auth.status === "expired" && (
+          <LoginScreen
+            expired
+            user={auth.user}
+            pending={pendingChanges}
+            onLogin={auth.login}
+            error={auth.error}
+            busy={auth.busy}
+          />
+        )}
 
         <main className="main-panel" role="main">
           {/* Input + Filters Panel (Ocean surface card) */}
           <section className="panel card" aria-label="Add tasks and refine list">
-            <TodoInput
-              onAdd={(payload) => {
-                // Hook currently supports only title; ignore dueDate for now
-                const title = typeof payload === "string" ? payload : payload?.title;
-                if (title) addTodo(title);
-              }}
-            />
+            <TodoInput onAdd={addTodo} />
             <Filters
               filter={filter}
               onChangeFilter={setFilter}
               search={search}
               onChangeSearch={setSearch}
+              sort={sort}
+              onChangeSort={setSort}
+              tags={availableTags}
+              selectedTags={tagFilter}
+              onChangeSelectedTags={setTagFilter}
+              trashCount={trashCount}
             />
           </section>
 
           {/* Tasks Panel (Ocean surface card) */}
           <section className="panel card" aria-label="Task list">
-            <TodoList
-              items={tasks}
-              onToggle={toggleTodo}
-              onUpdate={updateTodo}
-              onDelete={deleteTodo}
-            />
-            <div className="list-footer">
-              <button
-                type="button"
-                className="btn btn-ghost"
-                onClick={clearCompleted}
-                aria-label="Clear completed tasks"
-                title="Clear completed tasks"
-              >
-                Clear Completed
-              </button>
-            </div>
+            <FailureNotice notice={failureNotice} onDismiss={dismissFailureNotice} />
+            {filter === "trash" ? (
+              <TrashList
+                items={tasks}
+                lists={lists}
+                retentionDays={trashRetentionDays}
+                onRestore={restoreTodo}
+                onPurge={purgeTodo}
+                onEmpty={emptyTrash}
+                hasMore={hasMore}
+                loadingMore={loadingMore}
+                onLoadMore={loadMore}
+              />
+            ) : filter === "history" ? (
+              <HistoryList
+                items={tasks}
+                lists={lists}
+                searching={!!search.trim()}
+                onReopen={toggleTodo}
+                onUnarchive={unarchiveTodo}
+                hasMore={hasMore}
+                loadingMore={loadingMore}
+                onLoadMore={loadMore}
+              />
+            ) : (
+              <>
+                <TodoList
+                  items={tasks}
+                  onToggle={toggleTodo}
+                  onUpdate={updateTodo}
+                  onDelete={deleteTodo}
+                  lists={lists}
+                  onMoveToList={moveTodoToList}
+                  onAddSubtask={addSubtask}
+                  onToggleSubtask={toggleSubtask}
+                  onRenameSubtask={renameSubtask}
+                  onDeleteSubtask={deleteSubtask}
+                  reorderable={sort === "manual"}
+                  onReorder={reorderTodo}
+                  conflicts={conflicts}
+                  onResolveConflict={resolveConflict}
+                  hasMore={hasMore}
+                  loadingMore={loadingMore}
+                  onLoadMore={loadMore}
+                />
+                <div className="list-footer">
+                  <ImportExport
+                    lists={lists}
+                    onLoadTasks={loadAllTodos}
+                    onImport={importTodos}
+                    onEnsureLists={ensureLists}
+                  />
+                  <div className="list-footer-actions">
+                    <button
+                      type="button"
+                      className="btn btn-ghost"
+                      onClick={archiveCompleted}
+                      aria-label="Archive completed tasks"
+                      title="Archive completed tasks (they stay in the history)"
+                    >
+                      Archive Completed
+                    </button>
+                    <button
+                      type="button"
+                      className="btn btn-ghost"
+                      onClick={clearCompleted}
+                      aria-label="Clear completed tasks"
+                      title="Clear completed tasks"
+                    >
+                      Clear Completed
+                    </button>
+                  </div>
+                </div>
+              </>
+            )}
           </section>
         </main>
 
+        <UndoToast notice={undoNotice} onUndo={undo} onDismiss={dismissUndoNotice} />
+
         <footer className="app-footer" role="contentinfo">
           <span className="App-link" aria-label="Ocean Professional theme applied">
             Ocean Professional theme
@@ -88,4 +233,45 @@ function App() {
   );
 }
 
+Workspace.propTypes = {
+  theme: PropTypes.oneOf(["light", "dark"]).isRequired,
+  toggleTheme: PropTypes.func.isRequired,
+  auth: PropTypes.shape({
+    enabled: PropTypes.bool.isRequired,
+    status: PropTypes.string.isRequired,
+    user: PropTypes.object,
+    error: PropTypes.string,
+    busy: PropTypes.bool,
+    login: PropTypes.func.isRequired,
+    logout: PropTypes.func.isRequired,
+  }).isRequired,
+};
+
+// PUBLIC_INTERFACE
+function App() {
+  /**
+   * Main app component wiring hooks to UI components.
+   * Theme and layout adhere to the "Ocean Professional" design:
+   * - Clean surface panels with rounded corners
+   * - Blue primary accents and amber highlights
+   * - Subtle shadows and smooth transitions
+   * With REACT_APP_AUTH_MODE set, a sign-in screen is shown until the user signs in.
+   */
+  const { theme, toggleTheme } = useTheme();
+  const auth = useAuth();
+
+  if (auth.status === "signedOut") {
+    return (
+      <div className="App" data-theme={theme}>
+        <div className="viewport">
+          <main className="main-panel login-panel" role="main">
+            <LoginScreen onLogin={auth.login} error={auth.error} busy={auth.busy} />
+          </main>
+        </div>
+      </div>
+    );
+  }
+  return <Workspace theme={theme} toggleTheme={toggleTheme} auth={auth} />;
+}
+
 export default App;
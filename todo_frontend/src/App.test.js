@@ -1,8 +1,16 @@
-import { render, screen, within } from '@testing-library/react';
+import { act, fireEvent, render, screen, waitFor, within } from '@testing-library/react';
 import userEvent from '@testing-library/user-event';
 import App from './App';
+import { toDateKey } from './utils/dates';
+import { createMockApi } from '../mock-server/api';
+import { registerProvider } from './services/providers';
+import { createLocalStorageProvider } from './services/providers/localStorageProvider';
 
 describe('App UI', () => {
+  beforeEach(() => {
+    window.localStorage.clear();
+  });
+
   test('renders header, empty state, and disabled Add button initially', () => {
     render(<App />);
 
@@ -46,4 +54,1059 @@ describe('App UI', () => {
       screen.queryByText(/No tasks to show\. Add your first task above!/i)
     ).not.toBeInTheDocument();
   });
+
+  test('sorts tasks by priority when selected', async () => {
+    const user = userEvent.setup();
+    render(<App />);
+
+    const input = screen.getByRole('textbox', { name: /add a task/i });
+    await user.type(input, 'Fix outage');
+    await user.selectOptions(screen.getByLabelText('Priority'), 'urgent');
+    await user.click(screen.getByRole('button', { name: /add task/i }));
+    await user.type(input, 'Water plants');
+    await user.click(screen.getByRole('button', { name: /add task/i }));
+
+    const titles = () =>
+      within(screen.getByRole('list', { name: /tasks/i }))
+        .getAllByRole('listitem')
+        .map((li) => li.querySelector('.todo-title').textContent);
+
+    expect(titles()).toEqual(['Water plants', 'Fix outage']);
+
+    await user.selectOptions(screen.getByLabelText(/sort by/i), 'priority');
+    expect(titles()).toEqual(['Fix outage', 'Water plants']);
+  });
+
+  test('narrows the list with the tag picker', async () => {
+    const user = userEvent.setup();
+    render(<App />);
+
+    const input = screen.getByRole('textbox', { name: /add a task/i });
+    const tagsInput = screen.getByLabelText('Tags');
+    await user.type(input, 'Prepare slides');
+    await user.type(tagsInput, 'Work, #slides');
+    await user.click(screen.getByRole('button', { name: /add task/i }));
+    await user.type(input, 'Call mom');
+    await user.type(tagsInput, 'personal');
+    await user.click(screen.getByRole('button', { name: /add task/i }));
+
+    const picker = screen.getByRole('group', { name: /filter by tag/i });
+    await user.click(within(picker).getByRole('button', { name: '#work' }));
+
+    expect(screen.getByText('Prepare slides')).toBeInTheDocument();
+    expect(screen.queryByText('Call mom')).not.toBeInTheDocument();
+
+    const stored = JSON.parse(window.localStorage.getItem('todo_app_todos')).data;
+    expect(stored.find((t) => t.title === 'Prepare slides').tags).toEqual(['work', 'slides']);
+  });
+
+  test('tracks checklist progress on the parent task', async () => {
+    const user = userEvent.setup();
+    render(<App />);
+
+    await user.type(screen.getByRole('textbox', { name: /add a task/i }), 'Deploy release');
+    await user.click(screen.getByRole('button', { name: /add task/i }));
+
+    await user.click(screen.getByRole('button', { name: 'Checklist' }));
+    const newItem = screen.getByRole('textbox', { name: /new checklist item for deploy release/i });
+    await user.type(newItem, 'Tag build{Enter}');
+    await user.type(newItem, 'Notify team{Enter}');
+    await user.click(screen.getByRole('checkbox', { name: /check tag build/i }));
+
+    expect(screen.getByRole('button', { name: /1 of 2 checklist items done/i })).toHaveTextContent('1/2');
+  });
+
+  test('completing a recurring task schedules the next instance', async () => {
+    const user = userEvent.setup();
+    render(<App />);
+
+    await user.type(screen.getByRole('textbox', { name: /add a task/i }), 'Stand-up');
+    await user.selectOptions(screen.getByLabelText('Repeat'), 'daily');
+    await user.click(screen.getByRole('button', { name: /add task/i }));
+
+    await user.click(screen.getByRole('checkbox', { name: /mark as completed/i }));
+
+    const items = within(screen.getByRole('list', { name: /tasks/i })).getAllByRole('listitem');
+    expect(items).toHaveLength(2);
+    expect(screen.getByRole('button', { name: /due tomorrow/i })).toBeInTheDocument();
+    expect(screen.getByRole('checkbox', { name: /mark as active/i })).toBeChecked();
+    expect(screen.getAllByRole('button', { name: /repeats daily/i })).toHaveLength(1);
+  });
+
+  test('keeps tasks in separate named lists', async () => {
+    const user = userEvent.setup();
+    render(<App />);
+
+    await user.click(screen.getByRole('button', { name: /new list/i }));
+    await user.type(screen.getByRole('textbox', { name: /new list name/i }), 'Work{Enter}');
+
+    const lists = screen.getByRole('tablist', { name: 'Lists' });
+    expect(within(lists).getByRole('tab', { name: /work/i })).toHaveAttribute('aria-selected', 'true');
+
+    await user.type(screen.getByRole('textbox', { name: /add a task/i }), 'Write spec');
+    await user.click(screen.getByRole('button', { name: /add task/i }));
+    expect(within(lists).getByRole('tab', { name: /work/i })).toHaveTextContent('Work1');
+
+    await user.click(within(lists).getByRole('tab', { name: /inbox/i }));
+    expect(screen.queryByText('Write spec')).not.toBeInTheDocument();
+
+    await user.click(within(lists).getByRole('tab', { name: /work/i }));
+    await user.click(screen.getByRole('button', { name: /delete list work/i }));
+    expect(screen.getByText('Write spec')).toBeInTheDocument();
+    expect(within(lists).getByRole('tab', { name: /inbox/i })).toHaveAttribute('aria-selected', 'true');
+  });
+
+  test('reports tasks of a deleted list the store could not move', async () => {
+    registerProvider('failing-bulk', () => ({
+      ...createLocalStorageProvider(),
+      bulkUpdate: () => Promise.reject(new Error('Transaction aborted')),
+    }));
+    process.env.REACT_APP_DATA_PROVIDER = 'failing-bulk';
+    try {
+      const user = userEvent.setup();
+      render(<App />);
+      await user.click(screen.getByRole('button', { name: /new list/i }));
+      await user.type(screen.getByRole('textbox', { name: /new list name/i }), 'Work{Enter}');
+      await user.type(screen.getByRole('textbox', { name: /add a task/i }), 'Write spec');
+      await user.click(screen.getByRole('button', { name: /add task/i }));
+
+      await user.click(screen.getByRole('button', { name: /delete list work/i }));
+
+      const alert = await screen.findByRole('alert');
+      expect(alert).toHaveTextContent('1 of 1 task could not be saved');
+      expect(alert).toHaveTextContent('Write spec: Transaction aborted');
+    } finally {
+      delete process.env.REACT_APP_DATA_PROVIDER;
+    }
+  });
+
+  test('offers undo after a delete and supports keyboard redo', async () => {
+    const user = userEvent.setup();
+    render(<App />);
+
+    await user.type(screen.getByRole('textbox', { name: /add a task/i }), 'Book flights');
+    await user.click(screen.getByRole('button', { name: /add task/i }));
+    await user.click(screen.getByRole('button', { name: /delete task/i }));
+
+    expect(screen.queryByText('Book flights')).not.toBeInTheDocument();
+    expect(screen.getByText('Moved task to trash')).toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: 'Undo' }));
+    expect(screen.getByText('Book flights')).toBeInTheDocument();
+    expect(screen.queryByText('Moved task to trash')).not.toBeInTheDocument();
+
+    document.body.focus();
+    await user.keyboard('{Control>}{Shift>}z{/Shift}{/Control}');
+    expect(screen.queryByText('Book flights')).not.toBeInTheDocument();
+
+    await user.keyboard('{Control>}z{/Control}');
+    expect(screen.getByText('Book flights')).toBeInTheDocument();
+  });
+
+  test('keeps deleted tasks in the trash until restored or purged', async () => {
+    const user = userEvent.setup();
+    const old = new Date(Date.now() - 40 * 24 * 60 * 60 * 1000).toISOString();
+    window.localStorage.setItem(
+      'todo_app_todos',
+      JSON.stringify([{ id: 'gone', title: 'Long gone', completed: false, deletedAt: old }])
+    );
+    render(<App />);
+
+    await user.type(screen.getByRole('textbox', { name: /add a task/i }), 'Water plants');
+    await user.click(screen.getByRole('button', { name: /add task/i }));
+    await user.type(screen.getByRole('textbox', { name: /add a task/i }), 'Renew passport');
+    await user.click(screen.getByRole('button', { name: /add task/i }));
+    const deleteButton = (title) => within(screen.getByText(title).closest('li')).getByRole('button', { name: /delete task/i });
+    await user.click(deleteButton('Water plants'));
+    await user.click(deleteButton('Renew passport'));
+    expect(screen.queryByText('Water plants')).not.toBeInTheDocument();
+
+    await user.click(screen.getByRole('tab', { name: /trash/i }));
+    const trash = screen.getByRole('list', { name: /deleted tasks/i });
+    expect(within(trash).getAllByRole('listitem')).toHaveLength(2);
+    // past the 30-day retention period
+    expect(screen.queryByText('Long gone')).not.toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: 'Restore Water plants' }));
+    await user.click(screen.getByRole('button', { name: 'Delete Renew passport permanently' }));
+    expect(screen.getByText('The trash is empty.')).toBeInTheDocument();
+
+    const stored = JSON.parse(window.localStorage.getItem('todo_app_todos')).data;
+    expect(stored).toEqual([expect.objectContaining({ title: 'Water plants', deletedAt: null })]);
+
+    await user.click(screen.getByRole('tab', { name: 'All' }));
+    expect(screen.getByText('Water plants')).toBeInTheDocument();
+  });
+
+  test('archives completed tasks into a history grouped by day', async () => {
+    const user = userEvent.setup();
+    const lastWeek = new Date(Date.now() - 6 * 24 * 60 * 60 * 1000).toISOString();
+    window.localStorage.setItem(
+      'todo_app_todos',
+      JSON.stringify([{ id: 'old', title: 'Send invoice', completed: true, updatedAt: lastWeek }])
+    );
+    render(<App />);
+
+    await user.type(screen.getByRole('textbox', { name: /add a task/i }), 'Write standup notes');
+    await user.click(screen.getByRole('button', { name: /add task/i }));
+    await user.type(screen.getByRole('textbox', { name: /add a task/i }), 'Still to do');
+    await user.click(screen.getByRole('button', { name: /add task/i }));
+    await user.click(within(screen.getByText('Write standup notes').closest('li')).getByRole('checkbox'));
+
+    await user.click(screen.getByRole('button', { name: /archive completed tasks/i }));
+    expect(screen.queryByText('Write standup notes')).not.toBeInTheDocument();
+    expect(screen.queryByText('Send invoice')).not.toBeInTheDocument();
+    expect(screen.getByText('Still to do')).toBeInTheDocument();
+
+    await user.click(screen.getByRole('tab', { name: 'History' }));
+    const today = screen.getByRole('region', { name: 'Completed Today' });
+    expect(within(today).getByText('Write standup notes')).toBeInTheDocument();
+    expect(screen.queryByText('Still to do')).not.toBeInTheDocument();
+    expect(screen.getAllByRole('region', { name: /^Completed / })).toHaveLength(2);
+
+    const stored = JSON.parse(window.localStorage.getItem('todo_app_todos')).data;
+    expect(stored.find((t) => t.title === 'Write standup notes')).toMatchObject({
+      completedAt: expect.any(String),
+      archivedAt: expect.any(String),
+    });
+    expect(stored.find((t) => t.id === 'old').completedAt).toBe(lastWeek);
+
+    await user.click(screen.getByRole('button', { name: 'Move Write standup notes back to its list' }));
+    await user.click(screen.getByRole('tab', { name: 'All' }));
+    expect(screen.getByText('Write standup notes')).toBeInTheDocument();
+  });
+
+  test('moves tasks with the reorder handle and keeps the order after reload', async () => {
+    const user = userEvent.setup();
+    const { unmount } = render(<App />);
+
+    const input = screen.getByRole('textbox', { name: /add a task/i });
+    for (const title of ['Third', 'Second', 'First']) {
+      await user.type(input, title);
+      await user.click(screen.getByRole('button', { name: /add task/i }));
+    }
+
+    const titles = () =>
+      within(screen.getByRole('list', { name: /tasks/i }))
+        .getAllByRole('listitem')
+        .map((li) => li.querySelector('.todo-title').textContent);
+
+    expect(titles()).toEqual(['First', 'Second', 'Third']);
+
+    screen.getByRole('button', { name: 'Reorder First' }).focus();
+    await user.keyboard('{ArrowDown}{ArrowDown}');
+    expect(titles()).toEqual(['Second', 'Third', 'First']);
+    expect(screen.getByRole('button', { name: 'Reorder First' })).toHaveFocus();
+
+    unmount();
+    render(<App />);
+    expect(titles()).toEqual(['Second', 'Third', 'First']);
+  });
+
+  test('previews quick-add syntax and adds the parsed task', async () => {
+    const user = userEvent.setup();
+    render(<App />);
+
+    const input = screen.getByRole('textbox', { name: /add a task/i });
+    await user.type(input, 'Review PR tomorrow 3pm #work !urgent');
+
+    const preview = document.getElementById(input.getAttribute('aria-describedby'));
+    expect(preview).toHaveTextContent('Review PR');
+    expect(preview).toHaveTextContent('Tomorrow 15:00');
+    expect(preview).toHaveTextContent('#work');
+
+    await user.keyboard('{Enter}');
+
+    const item = screen.getByText('Review PR').closest('li');
+    expect(item).toHaveClass('priority-urgent');
+    expect(within(item).getByRole('button', { name: 'Due Tomorrow at 15:00' })).toBeInTheDocument();
+    expect(within(item).getByText('#work')).toBeInTheDocument();
+    expect(preview).toBeEmptyDOMElement();
+  });
+
+  test('edits the current title after another tab renamed the task', async () => {
+    const user = userEvent.setup();
+    render(<App />);
+    await user.type(screen.getByRole('textbox', { name: /add a task/i }), 'Call plumber');
+    await user.click(screen.getByRole('button', { name: /add task/i }));
+
+    const oldValue = window.localStorage.getItem('todo_app_todos');
+    const stored = JSON.parse(oldValue);
+    const newValue = JSON.stringify({ ...stored, data: [{ ...stored.data[0], title: 'Call electrician' }] });
+    window.localStorage.setItem('todo_app_todos', newValue);
+    act(() => {
+      window.dispatchEvent(
+        new StorageEvent('storage', { key: 'todo_app_todos', oldValue, newValue, storageArea: window.localStorage })
+      );
+    });
+    expect(await screen.findByText('Call electrician')).toBeInTheDocument();
+
+    await user.dblClick(screen.getByText('Call electrician'));
+    expect(screen.getByRole('textbox', { name: 'Edit task title' })).toHaveValue('Call electrician');
+  });
+
+  test('renders task notes as safe markdown', async () => {
+    const user = userEvent.setup();
+    render(<App />);
+
+    await user.type(screen.getByRole('textbox', { name: /add a task/i }), 'Fix login');
+    await user.click(screen.getByRole('button', { name: /add task/i }));
+    await user.type(screen.getByRole('textbox', { name: /add a task/i }), 'Water plants');
+    await user.click(screen.getByRole('button', { name: /add task/i }));
+
+    const item = screen.getByText('Fix login').closest('li');
+    await user.click(within(item).getByRole('button', { name: 'Notes' }));
+    await user.type(
+      within(item).getByRole('textbox', { name: /notes for fix login/i }),
+      'See [[TICKET-7](https://tracker.example.com/7) <script>'
+    );
+    await user.keyboard('{Control>}{Enter}{/Control}');
+
+    const link = within(item).getByRole('link', { name: 'TICKET-7' });
+    expect(link).toHaveAttribute('href', 'https://tracker.example.com/7');
+    expect(within(item).getByText(/<script>/)).toBeInTheDocument();
+  });
+
+  describe('with the search flag', () => {
+    const originalFlags = process.env.REACT_APP_FEATURE_FLAGS;
+
+    beforeEach(() => {
+      process.env.REACT_APP_FEATURE_FLAGS = 'search';
+    });
+
+    afterEach(() => {
+      process.env.REACT_APP_FEATURE_FLAGS = originalFlags;
+    });
+
+    test('finds tasks by their notes', async () => {
+      const user = userEvent.setup();
+      render(<App />);
+
+      await user.type(screen.getByRole('textbox', { name: /add a task/i }), 'Fix login');
+      await user.click(screen.getByRole('button', { name: /add task/i }));
+      await user.type(screen.getByRole('textbox', { name: /add a task/i }), 'Water plants');
+      await user.click(screen.getByRole('button', { name: /add task/i }));
+
+      const item = screen.getByText('Fix login').closest('li');
+      await user.click(within(item).getByRole('button', { name: 'Notes' }));
+      await user.type(within(item).getByRole('textbox', { name: /notes for fix login/i }), 'Blocked on TICKET-7');
+      await user.keyboard('{Control>}{Enter}{/Control}');
+
+      await user.type(screen.getByRole('searchbox', { name: /search tasks/i }), 'ticket-7');
+      await waitFor(() => expect(screen.queryByText('Water plants')).not.toBeInTheDocument());
+      expect(screen.getByText('Fix login')).toBeInTheDocument();
+    });
+  });
+
+  test('picks up tasks and the theme changed in another tab', async () => {
+    const user = userEvent.setup();
+    render(<App />);
+    await user.type(screen.getByRole('textbox', { name: /add a task/i }), 'Mine');
+    await user.click(screen.getByRole('button', { name: /add task/i }));
+
+    // the other tab's provider re-reads storage, so it writes on top of our todo
+    const otherTab = (key, update) => {
+      const oldValue = window.localStorage.getItem(key);
+      const newValue = update(oldValue);
+      window.localStorage.setItem(key, newValue);
+      act(() => {
+        window.dispatchEvent(new StorageEvent('storage', { key, oldValue, newValue, storageArea: window.localStorage }));
+      });
+    };
+    const editTodos = (update) => (raw) => {
+      const payload = JSON.parse(raw);
+      return JSON.stringify({ ...payload, data: update(payload.data) });
+    };
+    otherTab(
+      'todo_app_todos',
+      editTodos((todos) => [{ id: 'other-1', title: 'Theirs', completed: false, order: -5 }, ...todos])
+    );
+    otherTab(
+      'todo_app_todos',
+      editTodos((todos) => todos.map((t) => (t.title === 'Mine' ? { ...t, completed: true } : t)))
+    );
+
+    expect(screen.getByText('Theirs')).toBeInTheDocument();
+    expect(screen.getByRole('checkbox', { name: /mark as active/i })).toBeChecked();
+
+    otherTab('todo_app_theme', () => 'dark');
+    expect(document.documentElement).toHaveAttribute('data-theme', 'dark');
+  });
+
+  test('imports tasks from a file after previewing duplicates', async () => {
+    const user = userEvent.setup();
+    render(<App />);
+
+    await user.type(screen.getByRole('textbox', { name: /add a task/i }), 'Buy milk');
+    await user.click(screen.getByRole('button', { name: /add task/i }));
+
+    const csv = 'title,done,list\nBuy milk,no,\nPlan trip,no,Travel\nPack bags,yes,\n';
+    await user.upload(
+      screen.getByLabelText(/import tasks from a file/i),
+      new File([csv], 'tasks.csv', { type: 'text/csv' })
+    );
+
+    const preview = await screen.findByRole('region', { name: /import preview/i });
+    expect(preview).toHaveTextContent('3 tasks in tasks.csv (CSV)');
+    expect(within(preview).getByText('Already exists')).toBeInTheDocument();
+    await user.click(within(preview).getByRole('button', { name: 'Import 2 tasks' }));
+
+    await waitFor(() => expect(screen.queryByRole('region', { name: /import preview/i })).not.toBeInTheDocument());
+    expect(screen.getAllByText('Buy milk')).toHaveLength(1);
+    expect(screen.getByText('Pack bags')).toBeInTheDocument();
+
+    const lists = screen.getByRole('tablist', { name: 'Lists' });
+    await user.click(within(lists).getByRole('tab', { name: /travel/i }));
+    expect(screen.getByText('Plan trip')).toBeInTheDocument();
+  });
+
+  test('warns while browser storage is full and keeps working from memory', async () => {
+    const user = userEvent.setup();
+    const setItem = jest.spyOn(Storage.prototype, 'setItem').mockImplementation(() => {
+      throw Object.assign(new Error('The quota has been exceeded.'), { name: 'QuotaExceededError' });
+    });
+    try {
+      render(<App />);
+      await user.type(screen.getByRole('textbox', { name: /add a task/i }), 'Buy milk');
+      await user.click(screen.getByRole('button', { name: /add task/i }));
+
+      const alert = await screen.findByText(/browser storage is full/i);
+      expect(alert.closest('[role="alert"]')).toHaveTextContent(/will be lost when this page is closed or reloaded/i);
+      expect(screen.getByText('Buy milk')).toBeInTheDocument();
+
+      setItem.mockRestore();
+      await user.click(screen.getByRole('button', { name: 'Try again' }));
+      expect(screen.queryByText(/browser storage is full/i)).not.toBeInTheDocument();
+      expect(JSON.parse(window.localStorage.getItem('todo_app_todos')).data).toEqual([
+        expect.objectContaining({ title: 'Buy milk' }),
+      ]);
+    } finally {
+      setItem.mockRestore();
+    }
+  });
+
+  describe('in api mode', () => {
+    const originalFetch = global.fetch;
+    let serverUp;
+    let server;
+
+    const respond = (status, body) =>
+      Promise.resolve({
+        ok: status >= 200 && status < 300,
+        status,
+        headers: { get: () => 'application/json' },
+        json: () => Promise.resolve(body),
+        text: () => Promise.resolve(JSON.stringify(body)),
+      });
+
+    beforeEach(() => {
+      process.env.REACT_APP_API_BASE = 'http://api.test';
+      // the server below fails at once; backoff between retries would only slow the tests
+      process.env.REACT_APP_API_RETRIES = '0';
+      serverUp = false;
+      server = [];
+      global.fetch = jest.fn((url, options = {}) => {
+        if (!serverUp) return Promise.reject(new TypeError('Failed to fetch'));
+        const path = new URL(url).pathname;
+        const method = options.method || 'GET';
+        if (path === '/todos' && method === 'POST') {
+          const created = { ...JSON.parse(options.body), id: `srv-${server.length + 1}` };
+          server.push(created);
+          return respond(201, created);
+        }
+        if (path === '/todos') return respond(200, server);
+        if (path === '/lists') return respond(200, []);
+        return respond(200, { ok: true });
+      });
+    });
+
+    afterEach(() => {
+      delete process.env.REACT_APP_API_BASE;
+      delete process.env.REACT_APP_API_RETRIES;
+      global.fetch = originalFetch;
+    });
+
+    test('leaves the tasks in a list the server refused to delete', async () => {
+      serverUp = true;
+      server = [{ id: 't1', title: 'Write spec', completed: false, listId: 'work' }];
+      const baseFetch = global.fetch;
+      global.fetch = jest.fn((url, options = {}) => {
+        const path = new URL(url).pathname;
+        if (path === '/lists') return respond(200, [{ id: 'work', name: 'Work', order: 1 }]);
+        if (path === '/lists/work' && options.method === 'DELETE') return respond(403, { message: 'Not allowed' });
+        return baseFetch(url, options);
+      });
+      const user = userEvent.setup();
+      render(<App />);
+
+      const lists = screen.getByRole('tablist', { name: 'Lists' });
+      await user.click(await within(lists).findByRole('tab', { name: /work/i }));
+      expect(await screen.findByText('Write spec')).toBeInTheDocument();
+      await user.click(screen.getByRole('button', { name: /delete list work/i }));
+
+      await waitFor(() => expect(within(lists).getByRole('tab', { name: /work/i })).toBeInTheDocument());
+      await user.click(within(lists).getByRole('tab', { name: /inbox/i }));
+      expect(screen.queryByText('Write spec')).not.toBeInTheDocument();
+      await user.click(within(lists).getByRole('tab', { name: /work/i }));
+      expect(screen.getByText('Write spec')).toBeInTheDocument();
+    });
+
+    test('selects a new list once the server has given it an id', async () => {
+      serverUp = true;
+      let answer;
+      const baseFetch = global.fetch;
+      global.fetch = jest.fn((url, options = {}) => {
+        if (new URL(url).pathname === '/lists' && options.method === 'POST') {
+          const created = { ...JSON.parse(options.body), id: 'list-1' };
+          return new Promise((resolve) => {
+            answer = () => resolve(respond(201, created));
+          });
+        }
+        return baseFetch(url, options);
+      });
+      const user = userEvent.setup();
+      render(<App />);
+
+      await user.click(screen.getByRole('button', { name: /new list/i }));
+      await user.type(screen.getByRole('textbox', { name: /new list name/i }), 'Work{Enter}');
+      const lists = screen.getByRole('tablist', { name: 'Lists' });
+      expect(within(lists).getByRole('tab', { name: /work/i })).toHaveAttribute('aria-selected', 'false');
+
+      await act(async () => answer());
+      await waitFor(() =>
+        expect(within(lists).getByRole('tab', { name: /work/i })).toHaveAttribute('aria-selected', 'true')
+      );
+      await user.type(screen.getByRole('textbox', { name: /add a task/i }), 'Write spec');
+      await user.click(screen.getByRole('button', { name: /add task/i }));
+      await waitFor(() => expect(server).toEqual([expect.objectContaining({ title: 'Write spec', listId: 'list-1' })]));
+    });
+
+    test('reopens a repeating task on the server when its next instance is refused', async () => {
+      serverUp = true;
+      const rule = { type: 'daily' };
+      server = [{ id: 't1', title: 'Stand-up', completed: false, dueDate: '2024-05-20', recurrence: rule }];
+      const patches = [];
+      const baseFetch = global.fetch;
+      global.fetch = jest.fn((url, options = {}) => {
+        const path = new URL(url).pathname;
+        if (path === '/todos' && options.method === 'POST') return respond(422, { message: 'Invalid due date' });
+        if (path === '/todos/t1' && options.method === 'PATCH') {
+          const fields = JSON.parse(options.body);
+          patches.push(fields);
+          Object.assign(server[0], fields);
+          return respond(200, server[0]);
+        }
+        return baseFetch(url, options);
+      });
+      const user = userEvent.setup();
+      render(<App />);
+
+      await user.click(await screen.findByRole('checkbox', { name: /mark as completed/i }));
+
+      await waitFor(() => expect(patches).toHaveLength(2));
+      expect(patches[0]).toMatchObject({ completed: true, recurrence: null });
+      expect(patches[1]).toEqual({ completed: false, completedAt: null, recurrence: rule });
+      expect(server[0]).toMatchObject({ completed: false, recurrence: rule });
+      await waitFor(() => expect(screen.getByRole('checkbox', { name: /mark as completed/i })).not.toBeChecked());
+      expect(screen.getAllByText('Stand-up')).toHaveLength(1);
+    });
+
+    test('rides out a transient server error instead of going offline', async () => {
+      process.env.REACT_APP_API_RETRIES = '2';
+      serverUp = true;
+      server = [{ id: 't1', title: 'Water plants', completed: false }];
+      const baseFetch = global.fetch;
+      let reads = 0;
+      global.fetch = jest.fn((url, options) => {
+        if (new URL(url).pathname === '/todos' && (reads += 1) === 1) return respond(503, { message: 'Busy' });
+        return baseFetch(url, options);
+      });
+
+      render(<App />);
+
+      expect(await screen.findByText('Water plants')).toBeInTheDocument();
+      expect(screen.queryByText(/offline/i)).not.toBeInTheDocument();
+      expect(reads).toBe(2);
+    });
+
+    test('keeps sending list changes to the API after a failed read of the lists', async () => {
+      serverUp = true;
+      const posted = [];
+      let listReads = 0;
+      const baseFetch = global.fetch;
+      global.fetch = jest.fn((url, options = {}) => {
+        const path = new URL(url).pathname;
+        if (path === '/lists' && options.method === 'POST') {
+          posted.push(JSON.parse(options.body));
+          return respond(201, { ...JSON.parse(options.body), id: 'list-1' });
+        }
+        if (path === '/lists' && (listReads += 1) === 1) return respond(503, { message: 'Busy' });
+        return baseFetch(url, options);
+      });
+      const user = userEvent.setup();
+      render(<App />);
+
+      expect(await screen.findByText(/offline/i)).toBeInTheDocument();
+      await user.click(screen.getByRole('button', { name: /retry/i }));
+      await waitFor(() => expect(screen.queryByText(/offline/i)).not.toBeInTheDocument());
+      expect(listReads).toBe(2);
+
+      await user.click(screen.getByRole('button', { name: /new list/i }));
+      await user.type(screen.getByRole('textbox', { name: /new list name/i }), 'Work{Enter}');
+      await waitFor(() => expect(posted).toEqual([expect.objectContaining({ name: 'Work' })]));
+      const lists = screen.getByRole('tablist', { name: 'Lists' });
+      expect(within(lists).getByRole('tab', { name: /work/i })).toHaveAttribute('aria-selected', 'true');
+    });
+
+    test('loads tasks page by page and lets the server filter each view', async () => {
+      serverUp = true;
+      const all = [1, 2, 3, 4, 5].map((n) => ({ id: `p${n}`, title: `Task ${n}`, completed: n % 2 === 0, order: n }));
+      const reads = [];
+      const baseFetch = global.fetch;
+      global.fetch = jest.fn((url, options = {}) => {
+        const { pathname, searchParams } = new URL(url);
+        if (pathname !== '/todos' || options.method !== 'GET') return baseFetch(url, options);
+        reads.push(searchParams);
+        const status = searchParams.get('status');
+        const matching = all.filter((t) => !status || t.completed === (status === 'completed'));
+        const start = Number(searchParams.get('cursor') || 0);
+        const end = start + 2;
+        return respond(200, { items: matching.slice(start, end), nextCursor: end < matching.length ? String(end) : null });
+      });
+      const user = userEvent.setup();
+      render(<App />);
+
+      expect(await screen.findByText('Task 2')).toBeInTheDocument();
+      expect(screen.queryByText('Task 3')).not.toBeInTheDocument();
+      await user.click(screen.getByRole('button', { name: 'Load more tasks' }));
+      expect(await screen.findByText('Task 3')).toBeInTheDocument();
+      expect(reads[1].get('cursor')).toBe('2');
+
+      await user.click(screen.getByRole('tab', { name: 'Completed' }));
+      expect(await screen.findByText('Task 4')).toBeInTheDocument();
+      expect(reads[2].get('status')).toBe('completed');
+      expect(screen.queryByRole('button', { name: 'Load more tasks' })).not.toBeInTheDocument();
+
+      // the first view's pages are still loaded
+      await user.click(screen.getByRole('tab', { name: 'All' }));
+      expect(screen.getByText('Task 3')).toBeInTheDocument();
+      expect(screen.getByRole('button', { name: 'Load more tasks' })).toBeInTheDocument();
+      expect(reads).toHaveLength(3);
+    });
+
+    test('queues changes while the API is down and replays them when it is back', async () => {
+      const user = userEvent.setup();
+      render(<App />);
+
+      expect(await screen.findByText(/offline/i)).toBeInTheDocument();
+
+      await user.type(screen.getByRole('textbox', { name: /add a task/i }), 'Ship release');
+      await user.click(screen.getByRole('button', { name: /add task/i }));
+      await user.click(screen.getByRole('checkbox', { name: /mark as completed/i }));
+
+      expect(screen.getByText(/1 change pending/i)).toBeInTheDocument();
+      expect(JSON.parse(localStorage.getItem('todo_app_outbox')).data).toHaveLength(1);
+
+      serverUp = true;
+      await user.click(screen.getByRole('button', { name: /retry/i }));
+
+      await waitFor(() => expect(screen.queryByText(/pending/i)).not.toBeInTheDocument());
+      expect(server).toEqual([expect.objectContaining({ id: 'srv-1', title: 'Ship release', completed: true })]);
+      expect(screen.getByText('Ship release')).toBeInTheDocument();
+      expect(localStorage.getItem('todo_app_outbox')).toBeNull();
+    });
+
+    test('queues a list created while the API is down and files its tasks under the server id', async () => {
+      serverUp = true;
+      server = [{ id: 't1', title: 'Pay rent', completed: false }];
+      const serverLists = [];
+      const baseFetch = global.fetch;
+      global.fetch = jest.fn((url, options = {}) => {
+        const path = new URL(url).pathname;
+        if (serverUp && path === '/lists' && options.method === 'POST') {
+          const created = { ...JSON.parse(options.body), id: `list-${serverLists.length + 1}` };
+          serverLists.push(created);
+          return respond(201, created);
+        }
+        if (serverUp && path === '/lists') return respond(200, serverLists);
+        return baseFetch(url, options);
+      });
+      const user = userEvent.setup();
+      render(<App />);
+      expect(await screen.findByText('Pay rent')).toBeInTheDocument();
+
+      serverUp = false;
+      await user.click(screen.getByRole('button', { name: /new list/i }));
+      await user.type(screen.getByRole('textbox', { name: /new list name/i }), 'Errands{Enter}');
+      expect(await screen.findByText(/offline/i)).toBeInTheDocument();
+      await user.type(screen.getByRole('textbox', { name: /add a task/i }), 'Buy stamps');
+      await user.click(screen.getByRole('button', { name: /add task/i }));
+      expect(screen.getByText(/2 changes pending/i)).toBeInTheDocument();
+
+      serverUp = true;
+      await user.click(screen.getByRole('button', { name: /retry/i }));
+
+      await waitFor(() => expect(screen.queryByText(/pending/i)).not.toBeInTheDocument());
+      expect(serverLists).toEqual([expect.objectContaining({ id: 'list-1', name: 'Errands' })]);
+      expect(server).toContainEqual(expect.objectContaining({ title: 'Buy stamps', listId: 'list-1' }));
+      const lists = screen.getByRole('tablist', { name: 'Lists' });
+      expect(within(lists).getByRole('tab', { name: /errands/i })).toHaveAttribute('aria-selected', 'true');
+      expect(screen.getByText('Buy stamps')).toBeInTheDocument();
+    });
+
+    test('moves completed tasks to the trash in one batch and restores only the ones that failed', async () => {
+      const user = userEvent.setup();
+      serverUp = true;
+      server = ['Old report', 'Locked task', 'Stale draft'].map((title, i) => ({ id: `t${i + 1}`, title, completed: true }));
+      const baseFetch = global.fetch;
+      global.fetch = jest.fn((url, options = {}) => {
+        if (new URL(url).pathname !== '/todos/bulk' || options.method !== 'PATCH') return baseFetch(url, options);
+        const { updates } = JSON.parse(options.body);
+        expect(updates.map((u) => u.id)).toEqual(['t1', 't2', 't3']);
+        expect(updates[0].fields).toEqual({ deletedAt: expect.any(String) });
+        return respond(200, {
+          results: [
+            { id: 't1', ok: true, todo: { ...server[0], ...updates[0].fields } },
+            { id: 't2', ok: false, status: 403, message: 'Task is locked' },
+            { id: 't3', ok: true, todo: { ...server[2], ...updates[2].fields } },
+          ],
+        });
+      });
+      render(<App />);
+
+      expect(await screen.findByText('Locked task')).toBeInTheDocument();
+      await user.click(screen.getByRole('button', { name: /clear completed/i }));
+
+      const alert = await screen.findByRole('alert');
+      expect(alert).toHaveTextContent('1 of 3 tasks could not be saved');
+      expect(alert).toHaveTextContent('Locked task: Task is locked');
+      expect(screen.queryByText('Old report')).not.toBeInTheDocument();
+      expect(screen.queryByText('Stale draft')).not.toBeInTheDocument();
+      expect(within(screen.getByRole('list', { name: /tasks/i })).getByText('Locked task')).toBeInTheDocument();
+      expect(global.fetch.mock.calls.filter(([, o = {}]) => o.method === 'DELETE')).toHaveLength(0);
+
+      await user.click(within(alert).getByRole('button', { name: /dismiss/i }));
+      expect(screen.queryByRole('alert')).not.toBeInTheDocument();
+    });
+
+    test('shows a conflict when the task changed elsewhere and keeps the chosen version', async () => {
+      const user = userEvent.setup();
+      serverUp = true;
+      server = [{ id: 't1', title: 'Draft', completed: false, version: 1 }];
+      const patches = [];
+      const baseFetch = global.fetch;
+      global.fetch = jest.fn((url, options = {}) => {
+        if (options.method !== 'PATCH') return baseFetch(url, options);
+        const ifMatch = options.headers['If-Match'];
+        patches.push({ ifMatch, body: JSON.parse(options.body) });
+        if (ifMatch === '"1"') {
+          return respond(409, { current: { id: 't1', title: 'Draft v2', completed: false, version: 2 } });
+        }
+        return respond(200, { id: 't1', title: 'Draft v2', completed: true, version: 3 });
+      });
+      render(<App />);
+
+      await user.click(await screen.findByRole('checkbox', { name: /mark as completed/i }));
+
+      const resolver = await screen.findByRole('group', { name: /resolve conflict for draft v2/i });
+      expect(within(resolver).getByText(/changed elsewhere/i)).toBeInTheDocument();
+      expect(within(resolver).getByText('Not done')).toBeInTheDocument();
+      // my edit stays visible until the conflict is resolved
+      expect(screen.getByRole('checkbox', { name: /mark as active/i })).toBeChecked();
+
+      await user.click(within(resolver).getByRole('button', { name: /keep mine/i }));
+
+      await waitFor(() => expect(patches).toHaveLength(2));
+      expect(patches[1]).toEqual({ ifMatch: '"2"', body: { completed: true, completedAt: expect.any(String) } });
+      expect(screen.queryByRole('group', { name: /resolve conflict/i })).not.toBeInTheDocument();
+      expect(screen.getByText('Draft v2')).toBeInTheDocument();
+      expect(screen.getByRole('checkbox', { name: /mark as active/i })).toBeChecked();
+    });
+
+    describe('with a websocket url', () => {
+      const OriginalWebSocket = global.WebSocket;
+      let sockets;
+
+      class FakeSocket {
+        constructor(url) {
+          this.url = url;
+          sockets.push(this);
+        }
+
+        close() {}
+
+        emit(event) {
+          this.onmessage({ data: JSON.stringify(event) });
+        }
+      }
+
+      beforeEach(() => {
+        process.env.REACT_APP_WS_URL = 'ws://api.test/ws';
+        sockets = [];
+        global.WebSocket = FakeSocket;
+      });
+
+      afterEach(() => {
+        delete process.env.REACT_APP_WS_URL;
+        global.WebSocket = OriginalWebSocket;
+      });
+
+      test('merges pushed changes without undoing a pending local edit', async () => {
+        serverUp = true;
+        server = [{ id: 'srv-1', title: 'Shared task', completed: false }];
+        let finishPatch;
+        const baseFetch = global.fetch;
+        global.fetch = jest.fn((url, options = {}) =>
+          options.method === 'PATCH' ? new Promise((resolve) => (finishPatch = resolve)) : baseFetch(url, options)
+        );
+
+        const user = userEvent.setup();
+        render(<App />);
+        expect(await screen.findByText('Shared task')).toBeInTheDocument();
+        const [socket] = sockets;
+        act(() => socket.onopen());
+
+        act(() => socket.emit({ type: 'todo.created', todo: { id: 'srv-2', title: 'From a teammate' } }));
+        expect(screen.getByText('From a teammate')).toBeInTheDocument();
+
+        // local toggle is still in flight when a stale echo arrives
+        await user.click(within(screen.getByText('Shared task').closest('li')).getByRole('checkbox'));
+        act(() =>
+          socket.emit({ type: 'todo.updated', todo: { id: 'srv-1', title: 'Shared task (renamed)', completed: false } })
+        );
+        const item = screen.getByText('Shared task (renamed)').closest('li');
+        expect(item).toHaveClass('completed');
+        finishPatch({ ok: true, status: 200, headers: { get: () => '' }, text: () => Promise.resolve('') });
+
+        act(() => socket.emit({ type: 'todo.deleted', id: 'srv-2' }));
+        expect(screen.queryByText('From a teammate')).not.toBeInTheDocument();
+      });
+
+      test('ignores updates for tasks it has not loaded', async () => {
+        serverUp = true;
+        server = [{ id: 'srv-1', title: 'Shared task', completed: false }];
+        render(<App />);
+        expect(await screen.findByText('Shared task')).toBeInTheDocument();
+        const [socket] = sockets;
+        act(() => socket.onopen());
+
+        act(() => socket.emit({ type: 'todo.updated', todo: { id: 'srv-9', completed: true } }));
+        expect(screen.getAllByRole('listitem')).toHaveLength(1);
+
+        act(() => socket.emit({ type: 'todo.updated', todo: { id: 'srv-1', completed: true } }));
+        expect(screen.getByText('Shared task').closest('li')).toHaveClass('completed');
+      });
+    });
+
+    describe('against the mock backend', () => {
+      let backend;
+
+      beforeEach(() => {
+        backend = createMockApi({ todos: [{ title: 'Pay rent' }] });
+        global.fetch = jest.fn(backend.fetch);
+      });
+
+      afterEach(() => {
+        delete process.env.REACT_APP_API_TIMEOUT_MS;
+      });
+
+      test('sends a list whose create failed with a 503 once the server is back', async () => {
+        backend.injectFailure({ method: 'POST', path: '/lists', status: 503, times: 1 });
+        const user = userEvent.setup();
+        render(<App />);
+        expect(await screen.findByText('Pay rent')).toBeInTheDocument();
+
+        await user.click(screen.getByRole('button', { name: /new list/i }));
+        await user.type(screen.getByRole('textbox', { name: /new list name/i }), 'Groceries{Enter}');
+
+        // queued by the 503, then sent by the health check that found the server up
+        await waitFor(() => expect(backend.lists()).toEqual([expect.objectContaining({ name: 'Groceries' })]));
+        const posts = global.fetch.mock.calls.filter(([url, o = {}]) => url.endsWith('/lists') && o.method === 'POST');
+        expect(posts).toHaveLength(2);
+        await waitFor(() =>
+          expect(screen.getByRole('tab', { name: /groceries/i })).toHaveAttribute('aria-selected', 'true')
+        );
+
+        const [groceries] = backend.lists();
+        await user.type(screen.getByRole('textbox', { name: /add a task/i }), 'Buy milk');
+        await user.click(screen.getByRole('button', { name: /add task/i }));
+        await waitFor(() =>
+          expect(backend.todos()).toContainEqual(expect.objectContaining({ title: 'Buy milk', listId: groceries.id }))
+        );
+      });
+
+      test('rolls back an edit the server rejects', async () => {
+        const user = userEvent.setup();
+        render(<App />);
+        await user.click(await screen.findByRole('checkbox', { name: /mark as completed/i }));
+
+        backend.injectFailure({ method: 'PATCH', status: 422, times: 1 });
+        await user.click(screen.getByRole('checkbox', { name: /mark as active/i }));
+
+        expect(await screen.findByRole('checkbox', { name: /mark as active/i })).toBeChecked();
+        expect(backend.todos()[0]).toMatchObject({ completed: true, version: 2 });
+      });
+
+      test('queues an edit whose request times out and sends it once the server answers', async () => {
+        process.env.REACT_APP_API_TIMEOUT_MS = '50';
+        const user = userEvent.setup();
+        render(<App />);
+
+        backend.injectFailure({ method: 'PATCH', path: '/todos/*', timeout: true, times: 1 });
+        await user.click(await screen.findByRole('checkbox', { name: /mark as completed/i }));
+
+        await waitFor(() => expect(backend.todos()[0].completed).toBe(true));
+        expect(screen.getByRole('checkbox', { name: /mark as active/i })).toBeChecked();
+        expect(global.fetch.mock.calls.filter(([, o]) => o.method === 'PATCH')).toHaveLength(2);
+      });
+    });
+
+    describe('with bearer auth', () => {
+      let token;
+      let refreshWorks;
+
+      beforeEach(() => {
+        process.env.REACT_APP_AUTH_MODE = 'bearer';
+        serverUp = true;
+        server = [{ id: 't1', title: 'Renew passport', completed: false }];
+        token = 'a1';
+        refreshWorks = true;
+        const baseFetch = global.fetch;
+        global.fetch = jest.fn((url, options = {}) => {
+          const path = new URL(url).pathname;
+          if (path === '/auth/login') {
+            const { password } = JSON.parse(options.body);
+            if (password !== 'hunter2') return respond(401, { message: 'Bad credentials' });
+            return respond(200, { accessToken: token, refreshToken: 'r1', user: { name: 'Sam' } });
+          }
+          if (path === '/auth/refresh') {
+            return refreshWorks ? respond(200, { accessToken: token }) : respond(401, { message: 'Expired' });
+          }
+          if (options.headers.Authorization !== `Bearer ${token}`) return respond(401, { message: 'Unauthorized' });
+          if (path === '/todos/t1' && options.method === 'PATCH') {
+            Object.assign(server[0], JSON.parse(options.body));
+            return respond(200, server[0]);
+          }
+          return baseFetch(url, options);
+        });
+      });
+
+      afterEach(() => {
+        delete process.env.REACT_APP_AUTH_MODE;
+      });
+
+      const signIn = async (user, password = 'hunter2') => {
+        await user.type(screen.getByLabelText('Username'), 'sam');
+        await user.type(screen.getByLabelText('Password'), password);
+        await user.click(screen.getByRole('button', { name: 'Sign in' }));
+      };
+
+      test('signs in, refreshes an expired token and retries the request', async () => {
+        const user = userEvent.setup();
+        render(<App />);
+
+        expect(screen.queryByRole('textbox', { name: /add a task/i })).not.toBeInTheDocument();
+        await signIn(user, 'wrong');
+        expect(await screen.findByText(/wrong username or password/i)).toBeInTheDocument();
+        await signIn(user);
+
+        expect(await screen.findByText('Renew passport')).toBeInTheDocument();
+        expect(screen.getByText('Sam')).toBeInTheDocument();
+
+        token = 'a2';
+        await user.click(screen.getByRole('checkbox', { name: /mark as completed/i }));
+
+        await waitFor(() => expect(server[0].completed).toBe(true));
+        const patches = global.fetch.mock.calls.filter(([, o = {}]) => o.method === 'PATCH');
+        expect(patches.map(([, o]) => o.headers.Authorization)).toEqual(['Bearer a1', 'Bearer a2']);
+        expect(screen.queryByText(/session expired/i)).not.toBeInTheDocument();
+      });
+
+      test('keeps edits made after the session expired and sends them after signing in again', async () => {
+        const user = userEvent.setup();
+        render(<App />);
+        await signIn(user);
+        expect(await screen.findByText('Renew passport')).toBeInTheDocument();
+
+        token = 'a2';
+        refreshWorks = false;
+        await user.click(screen.getByRole('checkbox', { name: /mark as completed/i }));
+
+        expect(await screen.findByRole('heading', { name: /session expired/i })).toBeInTheDocument();
+        expect(screen.getByText(/1 change is waiting to be saved/i)).toBeInTheDocument();
+        expect(screen.getByRole('checkbox', { name: /mark as active/i })).toBeChecked();
+        expect(server[0].completed).toBe(false);
+
+        await user.type(screen.getByLabelText('Password'), 'hunter2');
+        await user.click(screen.getByRole('button', { name: 'Sign in' }));
+
+        await waitFor(() => expect(server[0].completed).toBe(true));
+        expect(screen.queryByRole('heading', { name: /session expired/i })).not.toBeInTheDocument();
+        expect(screen.getByRole('checkbox', { name: /mark as active/i })).toBeChecked();
+
+        await user.click(screen.getByRole('button', { name: 'Sign out' }));
+        expect(screen.getByRole('button', { name: 'Sign in' })).toBeInTheDocument();
+      });
+    });
+  });
+
+  describe('with the due_date flag', () => {
+    const originalFlags = process.env.REACT_APP_FEATURE_FLAGS;
+
+    beforeEach(() => {
+      process.env.REACT_APP_FEATURE_FLAGS = 'due_date';
+    });
+
+    afterEach(() => {
+      process.env.REACT_APP_FEATURE_FLAGS = originalFlags;
+    });
+
+    test('keeps the due date of a new task and filters it as overdue', async () => {
+      const user = userEvent.setup();
+      render(<App />);
+
+      const yesterday = new Date();
+      yesterday.setDate(yesterday.getDate() - 1);
+
+      await user.type(screen.getByRole('textbox', { name: /add a task/i }), 'File report');
+      fireEvent.change(screen.getByLabelText(/due date \(optional\)/i), {
+        target: { value: toDateKey(yesterday) },
+      });
+      await user.click(screen.getByRole('button', { name: /add task/i }));
+
+      expect(screen.getByRole('button', { name: /due yesterday, overdue/i })).toBeInTheDocument();
+
+      await user.click(screen.getByRole('tab', { name: 'Upcoming' }));
+      expect(screen.queryByText('File report')).not.toBeInTheDocument();
+
+      await user.click(screen.getByRole('tab', { name: 'Overdue' }));
+      expect(screen.getByText('File report')).toBeInTheDocument();
+
+      const stored = JSON.parse(window.localStorage.getItem('todo_app_todos')).data;
+      expect(stored[0].dueDate).toBe(toDateKey(yesterday));
+    });
+
+    test('saves a due date picked inline once the field is left', async () => {
+      const user = userEvent.setup();
+      render(<App />);
+      await user.type(screen.getByRole('textbox', { name: /add a task/i }), 'Renew lease');
+      await user.click(screen.getByRole('button', { name: /add task/i }));
+      const dueDate = () => JSON.parse(window.localStorage.getItem('todo_app_todos')).data[0].dueDate;
+
+      await user.click(screen.getByRole('button', { name: 'Set due date' }));
+      const field = screen.getByLabelText('Due date for Renew lease');
+      fireEvent.change(field, { target: { value: '2030-05-20' } });
+      fireEvent.change(field, { target: { value: '2030-05-21' } });
+      expect(dueDate()).toBeNull();
+
+      fireEvent.keyDown(field, { key: 'Enter' });
+      expect(dueDate()).toBe('2030-05-21');
+      expect(screen.queryByLabelText('Due date for Renew lease')).not.toBeInTheDocument();
+
+      // one undo step for the whole edit
+      document.body.focus();
+      await user.keyboard('{Control>}z{/Control}');
+      expect(dueDate()).toBeNull();
+    });
+  });
 });
@@ -0,0 +1,130 @@
+import React, { useId, useState } from "react";
+import PropTypes from "prop-types";
+import { describeRecurrence } from "../utils/recurrence";
+import { subtaskProgress } from "../utils/subtasks";
+
+/**
+ * Shown inside a todo card when an update was rejected because the task
+ * changed elsewhere first.
+ * - Lists each field the two versions disagree on, side by side
+ * - Per field, pick "Mine" or "Theirs" (the title can also keep both)
+ * - "Keep mine", "Take theirs" or "Merge selected" resolves the conflict
+ */
+
+const FIELD_LABELS = {
+  title: "Title",
+  completed: "Status",
+  description: "Notes",
+  dueDate: "Due date",
+  dueTime: "Due time",
+  priority: "Priority",
+  tags: "Tags",
+  subtasks: "Checklist",
+  recurrence: "Repeat",
+  listId: "List",
+  order: "Position",
+};
+
+function formatValue(field, value) {
+  if (value === null || value === undefined || value === "") return "—";
+  if (field === "completed") return value ? "Done" : "Not done";
+  if (field === "tags") return value.length ? value.map((t) => `#${t}`).join(" ") : "—";
+  if (field === "recurrence") return describeRecurrence(value) || "—";
+  if (field === "subtasks") {
+    const { done, total } = subtaskProgress(value);
+    return total ? `${done}/${total} done` : "—";
+  }
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+// PUBLIC_INTERFACE
+export default function ConflictResolver({ conflict, onResolve }) {
+  /** Field-by-field chooser between the rejected local edit and the server's copy. */
+  const { mine, theirs } = conflict;
+  const fields = Object.keys(mine).filter((f) => !sameValue(mine[f], theirs[f]));
+  const [picks, setPicks] = useState(() => Object.fromEntries(fields.map((f) => [f, "mine"])));
+  const groupId = useId();
+
+  const merged = () =>
+    fields.reduce((acc, f) => {
+      if (picks[f] === "mine") acc[f] = mine[f];
+      else if (picks[f] === "both") acc[f] = `${mine[f]} / ${theirs[f]}`;
+      else acc[f] = theirs[f];
+      return acc;
+    }, {});
+
+  return (
+    <div className="conflict" role="group" aria-label={`Resolve conflict for ${theirs.title}`}>
+      <p className="conflict-text">
+        <strong>Changed elsewhere.</strong> This task was updated somewhere else before your change was saved.
+      </p>
+      <table className="conflict-fields">
+        <thead>
+          <tr>
+            <th scope="col">Field</th>
+            <th scope="col">Mine</th>
+            <th scope="col">Theirs</th>
+          </tr>
+        </thead>
+        <tbody>
+          {fields.map((f) => {
+            const name = `${groupId}-${f}`;
+            const option = (value, text) => (
+              <label className="conflict-option">
+                <input
+                  type="radio"
+                  name={name}
+                  value={value}
+                  checked={picks[f] === value}
+                  onChange={() => setPicks((p) => ({ ...p, [f]: value }))}
+                  aria-label={`${FIELD_LABELS[f] || f}: ${text}`}
+                />
+                {text}
+              </label>
+            );
+            return (
+              <tr key={f}>
+                <th scope="row">
+                  {FIELD_LABELS[f] || f}
+                  {f === "title" && option("both", "Both")}
+                </th>
+                <td>
+                  {option("mine", "Mine")}
+                  <span className="conflict-value">{formatValue(f, mine[f])}</span>
+                </td>
+                <td>
+                  {option("theirs", "Theirs")}
+                  <span className="conflict-value">{formatValue(f, theirs[f])}</span>
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+      <div className="conflict-actions">
+        <button type="button" className="btn btn-ghost" onClick={() => onResolve("mine")}>
+          Keep mine
+        </button>
+        <button type="button" className="btn btn-ghost" onClick={() => onResolve("theirs")}>
+          Take theirs
+        </button>
+        <button type="button" className="btn btn-primary" onClick={() => onResolve(merged())}>
+          Merge selected
+        </button>
+      </div>
+    </div>
+  );
+}
+
+ConflictResolver.propTypes = {
+  conflict: PropTypes.shape({
+    mine: PropTypes.object.isRequired,
+    theirs: PropTypes.object.isRequired,
+  }).isRequired,
+  onResolve: PropTypes.func.isRequired,
+};
@@ -0,0 +1,47 @@
+import React from "react";
+import PropTypes from "prop-types";
+
+/**
+ * Alert listing the tasks a bulk change could not apply on the server.
+ * Those tasks have already been put back the way they were; the notice stays
+ * until dismissed so the list can be read.
+ */
+
+// PUBLIC_INTERFACE
+export default function FailureNotice({ notice, onDismiss }) {
+  /** Renders nothing without a notice. */
+  if (!notice) return null;
+
+  const { items, total } = notice;
+  return (
+    <div className="failure-notice" role="alert">
+      <div className="failure-notice-head">
+        <strong>
+          {items.length} of {total} {total === 1 ? "task" : "tasks"} could not be saved
+        </strong>
+        <button type="button" className="tag-remove" onClick={onDismiss} aria-label="Dismiss" title="Dismiss">
+          ×
+        </button>
+      </div>
+      <ul className="failure-notice-list">
+        {items.map((item) => (
+          <li key={item.id}>
+            <span className="failure-notice-title">{item.title}</span>: {item.message}
+          </li>
+        ))}
+      </ul>
+      <p className="failure-notice-note">These tasks were left as they were before the change.</p>
+    </div>
+  );
+}
+
+FailureNotice.propTypes = {
+  notice: PropTypes.shape({
+    id: PropTypes.any.isRequired,
+    total: PropTypes.number.isRequired,
+    items: PropTypes.arrayOf(
+      PropTypes.shape({ id: PropTypes.any.isRequired, title: PropTypes.string, message: PropTypes.string })
+    ).isRequired,
+  }),
+  onDismiss: PropTypes.func.isRequired,
+};
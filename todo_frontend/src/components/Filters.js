@@ -1,44 +1,93 @@
 import React, { useId } from "react";
 import PropTypes from "prop-types";
 import { isFeatureEnabled } from "../utils/env";
+import { SORT_OPTIONS } from "../utils/sorting";
 
 /**
- * Filters toolbar containing status filters and optional search field.
+ * Filters toolbar containing status filters, sort selector, tag picker and optional search field.
  */
 
+const STATUS_SEGMENTS = [
+  { value: "all", label: "All" },
+  { value: "active", label: "Active" },
+  { value: "completed", label: "Completed" },
+];
+
+const HISTORY_SEGMENT = { value: "history", label: "History" };
+
+const TRASH_SEGMENT = { value: "trash", label: "Trash" };
+
+const DUE_SEGMENTS = [
+  { value: "overdue", label: "Overdue" },
+  { value: "today", label: "Today" },
+  { value: "upcoming", label: "Upcoming" },
+];
+
 // PUBLIC_INTERFACE
-export default function Filters({ filter, onChangeFilter, search, onChangeSearch }) {
-  /** Filter toolbar. Search input visibility controlled by feature flag "search" */
+export default function Filters({
+  filter,
+  onChangeFilter,
+  search,
+  onChangeSearch,
+  sort,
+  onChangeSort,
+  tags,
+  selectedTags,
+  onChangeSelectedTags,
+  trashCount = 0,
+}) {
+  /** Filter toolbar.
+   * - Search input visibility controlled by feature flag "search"
+   * - Overdue/Today/Upcoming segments shown with feature flag "due_date"
+   * - Tag picker shown once any task has tags; toggling tags narrows the list
+   * - History segment switches to the tasks completed, by day, across lists
+   * - Trash segment (with the number of trashed tasks) switches to the trash view
+   */
   const idSearch = useId();
+  const idSort = useId();
   const searchEnabled = isFeatureEnabled("search") || isFeatureEnabled("search_bar");
+  const dueEnabled = isFeatureEnabled("due_date") || isFeatureEnabled("due-date");
+  const segments = [...STATUS_SEGMENTS, ...(dueEnabled ? DUE_SEGMENTS : []), HISTORY_SEGMENT, TRASH_SEGMENT];
+
+  const toggleTag = (tag) => {
+    onChangeSelectedTags(
+      selectedTags.includes(tag) ? selectedTags.filter((t) => t !== tag) : [...selectedTags, tag]
+    );
+  };
 
   return (
     <div className="filters-toolbar" role="toolbar" aria-label="Filters">
       <div className="segmented" role="tablist" aria-label="Task status filter">
-        <button
-          role="tab"
-          aria-selected={filter === "all"}
-          className={`seg-btn ${filter === "all" ? "active" : ""}`}
-          onClick={() => onChangeFilter("all")}
-        >
-          All
-        </button>
-        <button
-          role="tab"
-          aria-selected={filter === "active"}
-          className={`seg-btn ${filter === "active" ? "active" : ""}`}
-          onClick={() => onChangeFilter("active")}
-        >
-          Active
-        </button>
-        <button
-          role="tab"
-          aria-selected={filter === "completed"}
-          className={`seg-btn ${filter === "completed" ? "active" : ""}`}
-          onClick={() => onChangeFilter("completed")}
+        {segments.map((seg) => (
+          <button
+            key={seg.value}
+            role="tab"
+            aria-selected={filter === seg.value}
+            className={`seg-btn ${filter === seg.value ? "active" : ""}`}
+            onClick={() => onChangeFilter(seg.value)}
+          >
+            {seg.label}
+            {seg === TRASH_SEGMENT && trashCount > 0 && <span className="seg-count"> {trashCount}</span>}
+          </button>
+        ))}
+      </div>
+
+      <div className="sort-wrap">
+        <label className="field-label inline" htmlFor={idSort}>
+          Sort by
+        </label>
+        <select
+          id={idSort}
+          className="input select"
+          value={sort}
+          onChange={(e) => onChangeSort(e.target.value)}
         >
-          Completed
-        </button>
+          {SORT_OPTIONS.map((opt) => (
+            <option key={opt.value} value={opt.value}>
+              {opt.label}
+            </option>
+          ))}
+        </select>
       </div>
 
       {searchEnabled && (
@@ -57,13 +106,40 @@ export default function Filters({ filter, onChangeFilter, search, onChangeSearch
           />
         </div>
       )}
+
+      {tags.length > 0 && (
+        <div className="tag-filter" role="group" aria-label="Filter by tag">
+          {tags.map((tag) => (
+            <button
+              key={tag}
+              type="button"
+              className={`tag-chip tag-toggle ${selectedTags.includes(tag) ? "active" : ""}`}
+              aria-pressed={selectedTags.includes(tag)}
+              onClick={() => toggleTag(tag)}
+            >
+              #{tag}
+            </button>
+          ))}
+          {selectedTags.length > 0 && (
+            <button type="button" className="btn-link" onClick={() => onChangeSelectedTags([])}>
+              Clear tags
+            </button>
+          )}
+        </div>
+      )}
     </div>
   );
 }
 
 Filters.propTypes = {
-  filter: PropTypes.oneOf(["all", "active", "completed"]).isRequired,
+  filter: PropTypes.oneOf(["all", "active", "completed", "overdue", "today", "upcoming", "history", "trash"]).isRequired,
   onChangeFilter: PropTypes.func.isRequired,
   search: PropTypes.string.isRequired,
   onChangeSearch: PropTypes.func.isRequired,
+  sort: PropTypes.oneOf(SORT_OPTIONS.map((o) => o.value)).isRequired,
+  onChangeSort: PropTypes.func.isRequired,
+  tags: PropTypes.arrayOf(PropTypes.string).isRequired,
+  selectedTags: PropTypes.arrayOf(PropTypes.string).isRequired,
+  onChangeSelectedTags: PropTypes.func.isRequired,
+  trashCount: PropTypes.number,
 };
@@ -1,20 +1,26 @@
 import React from "react";
 import PropTypes from "prop-types";
 import { isFeatureEnabled } from "../utils/env";
+import ListSwitcher from "./ListSwitcher";
+import SyncStatus from "./SyncStatus";
 
 /**
- * Header component showing app title, theme toggle, and task counter.
+ * Header component showing app title, theme toggle, task counter, sync status, account and list switcher.
  * Provides accessible controls and ARIA labels.
  */
 
 // PUBLIC_INTERFACE
-export default function Header({ theme, onToggleTheme, total, active }) {
+export default function Header({ theme, onToggleTheme, total, active, listSwitcher, sync, account = null }) {
   /** Header area with:
    *  - Title
    *  - Optional experiments badge (via feature flag 'experiments')
    *  - Theme toggle button
-   *  - Task counter (active/total)
+   *  - Task counter (active/total) for the current list
+   *  - Sync status while offline or replaying queued changes (props passed through as `sync`)
+   *  - Signed-in user and a sign-out button when authentication is on (`account`)
+   *  - List switcher (props passed through as `listSwitcher`)
    */
+  const userName = account && account.user && (account.user.name || account.user.username || account.user.email);
   const experiments = isFeatureEnabled("experiments") || isFeatureEnabled("experiments_enabled");
   return (
     <header className="app-header-bar" role="banner">
@@ -27,6 +33,7 @@ export default function Header({ theme, onToggleTheme, total, active }) {
         )}
       </div>
       <div className="app-header-right">
+        {sync && <SyncStatus {...sync} />}
         <div
           className="task-counter"
           role="status"
@@ -49,7 +56,16 @@ export default function Header({ theme, onToggleTheme, total, active }) {
           {theme === "light" ? "🌙" : "☀️"}
           <span className="sr-only">Toggle theme</span>
         </button>
+        {account && (
+          <div className="account">
+            {userName && <span className="account-name">{userName}</span>}
+            <button type="button" className="btn-link" onClick={account.onLogout}>
+              Sign out
+            </button>
+          </div>
+        )}
       </div>
+      {listSwitcher && <ListSwitcher {...listSwitcher} />}
     </header>
   );
 }
@@ -59,4 +75,7 @@ Header.propTypes = {
   onToggleTheme: PropTypes.func.isRequired,
   total: PropTypes.number.isRequired,
   active: PropTypes.number.isRequired,
+  listSwitcher: PropTypes.shape(ListSwitcher.propTypes),
+  sync: PropTypes.shape(SyncStatus.propTypes),
+  account: PropTypes.shape({ user: PropTypes.object, onLogout: PropTypes.func.isRequired }),
 };
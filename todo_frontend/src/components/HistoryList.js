@@ -0,0 +1,190 @@
+import React, { useId, useMemo, useRef, useState } from "react";
+import PropTypes from "prop-types";
+import {
+  HISTORY_RANGES,
+  completedAtOf,
+  formatCompletionDay,
+  groupByCompletionDay,
+  inHistoryRange,
+  isArchived,
+} from "../utils/completions";
+import { DEFAULT_LIST_ID } from "../utils/lists";
+import { EXPORT_FORMATS, downloadFile, exportHistory } from "../utils/transfer";
+
+/**
+ * History view: completed tasks of every list grouped by the day they were finished on,
+ * newest first ("what did I finish on Tuesday"). Archived tasks are included and can be
+ * moved back to their list; any task can be reopened. The days shown (narrowed by the
+ * range picker and the search box) can be exported as a report.
+ */
+
+/**
+ * Time of day a todo was completed, e.g. "14:05"; empty when unknown.
+ */
+function completedTime(todo) {
+  const date = new Date(completedAtOf(todo));
+  if (Number.isNaN(date.getTime())) return "";
+  return date.toLocaleTimeString(undefined, { hour: "2-digit", minute: "2-digit" });
+}
+
+// PUBLIC_INTERFACE
+export default function HistoryList({
+  items,
+  lists = [],
+  searching = false,
+  onReopen,
+  onUnarchive,
+  hasMore = false,
+  loadingMore = false,
+  onLoadMore,
+}) {
+  /** Renders the completed todos grouped by day, or an empty state. */
+  const rangeId = useId();
+  const menuRef = useRef(null);
+  const [range, setRange] = useState("all");
+
+  const shown = useMemo(() => items.filter((t) => inHistoryRange(t, range)), [items, range]);
+  const days = useMemo(() => groupByCompletionDay(shown), [shown]);
+
+  const listName = (id) => {
+    if (!id || id === DEFAULT_LIST_ID) return null;
+    const list = lists.find((l) => l.id === id);
+    return list ? list.name : null;
+  };
+
+  const handleExport = (format) => {
+    if (menuRef.current) menuRef.current.open = false;
+    downloadFile(exportHistory(shown, format, { lists }));
+  };
+
+  const more = hasMore && (
+    <div className="load-more">
+      <button type="button" className="btn btn-ghost" onClick={onLoadMore} disabled={loadingMore || !onLoadMore}>
+        {loadingMore ? "Loading…" : "Load more tasks"}
+      </button>
+    </div>
+  );
+
+  return (
+    <div className="history">
+      <div className="history-head">
+        <div className="history-range">
+          <label className="field-label inline" htmlFor={rangeId}>
+            Completed
+          </label>
+          <select id={rangeId} className="input select" value={range} onChange={(e) => setRange(e.target.value)}>
+            {HISTORY_RANGES.map((r) => (
+              <option key={r.value} value={r.value}>
+                {r.label}
+              </option>
+            ))}
+          </select>
+        </div>
+        {shown.length > 0 && (
+          <details className="transfer-menu" ref={menuRef}>
+            <summary className="btn btn-ghost">Export</summary>
+            <div className="transfer-menu-items">
+              {EXPORT_FORMATS.map((f) => (
+                <button
+                  key={f.value}
+                  type="button"
+                  className="btn-link"
+                  onClick={() => handleExport(f.value)}
+                  aria-label={`Export history as ${f.label}`}
+                >
+                  {f.label}
+                </button>
+              ))}
+            </div>
+          </details>
+        )}
+      </div>
+
+      {days.length === 0 ? (
+        <div className="empty-state" role="note" aria-live="polite">
+          {loadingMore
+            ? "Loading tasks…"
+            : searching || range !== "all"
+              ? "No completed tasks match."
+              : "Nothing completed yet. Finished tasks show up here, by day."}
+        </div>
+      ) : (
+        days.map(({ date, todos }) => {
+          const heading = formatCompletionDay(date);
+          return (
+            <section key={date || "earlier"} className="history-day" aria-label={`Completed ${heading}`}>
+              <h3 className="history-day-title">
+                {heading}
+                <span className="history-day-count">
+                  {" "}
+                  · {todos.length} {todos.length === 1 ? "task" : "tasks"}
+                </span>
+              </h3>
+              <ul className="todo-list history-list">
+                {todos.map((t) => {
+                  const list = listName(t.listId);
+                  return (
+                    <li key={t.id} className="todo-item history-item">
+                      <div className="todo-card">
+                        <div className="left">
+                          <span className="todo-title">{t.title}</span>
+                          <span className="history-meta">
+                            {[completedTime(t), list, ...(t.tags || []).map((tag) => `#${tag}`)]
+                              .filter(Boolean)
+                              .join(" · ")}
+                          </span>
+                          {isArchived(t) && <span className="badge">Archived</span>}
+                        </div>
+                        <div className="actions">
+                          {isArchived(t) && (
+                            <button
+                              type="button"
+                              className="btn-link"
+                              onClick={() => onUnarchive(t.id)}
+                              aria-label={`Move ${t.title} back to its list`}
+                            >
+                              Unarchive
+                            </button>
+                          )}
+                          <button
+                            type="button"
+                            className="btn-link"
+                            onClick={() => onReopen(t.id)}
+                            aria-label={`Reopen ${t.title}`}
+                          >
+                            Reopen
+                          </button>
+                        </div>
+                      </div>
+                    </li>
+                  );
+                })}
+              </ul>
+            </section>
+          );
+        })
+      )}
+      {more}
+    </div>
+  );
+}
+
+HistoryList.propTypes = {
+  items: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.any.isRequired,
+      title: PropTypes.string.isRequired,
+      listId: PropTypes.any,
+      completedAt: PropTypes.string,
+      archivedAt: PropTypes.string,
+      tags: PropTypes.arrayOf(PropTypes.string),
+    })
+  ).isRequired,
+  lists: PropTypes.arrayOf(PropTypes.shape({ id: PropTypes.any.isRequired, name: PropTypes.string.isRequired })),
+  searching: PropTypes.bool,
+  onReopen: PropTypes.func.isRequired,
+  onUnarchive: PropTypes.func.isRequired,
+  hasMore: PropTypes.bool,
+  loadingMore: PropTypes.bool,
+  onLoadMore: PropTypes.func,
+};
@@ -0,0 +1,165 @@
+import React, { useRef, useState } from "react";
+import PropTypes from "prop-types";
+import { EXPORT_FORMATS, downloadFile, exportTodos, markDuplicates, parseImport } from "../utils/transfer";
+
+// Rows listed in the import preview; the rest are only counted
+const PREVIEW_LIMIT = 50;
+
+const FORMAT_LABELS = { json: "JSON", csv: "CSV", markdown: "Markdown" };
+
+/**
+ * Reads a picked file as text (FileReader works where Blob.text() is missing).
+ */
+function readFileText(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(String(reader.result || ""));
+    reader.onerror = () => reject(reader.error || new Error("Could not read the file."));
+    reader.readAsText(file);
+  });
+}
+
+/**
+ * Export menu and import flow for the task list.
+ * - Export downloads every task (all lists) as JSON, CSV or a Markdown checklist
+ * - Import reads one of those files, previews the tasks with duplicates marked and
+ *   adds them in one step; tasks keep their list, which is created when missing
+ */
+
+// PUBLIC_INTERFACE
+export default function ImportExport({ lists, onLoadTasks, onImport, onEnsureLists }) {
+  /** onLoadTasks() resolves to all tasks; onImport(drafts) and onEnsureLists(names) come from useTodos/useLists. */
+  const fileRef = useRef(null);
+  const menuRef = useRef(null);
+  const [preview, setPreview] = useState(null);
+  const [error, setError] = useState(null);
+  const [skipDuplicates, setSkipDuplicates] = useState(true);
+  const [busy, setBusy] = useState(false);
+
+  const handleExport = async (format) => {
+    if (menuRef.current) menuRef.current.open = false;
+    const tasks = await onLoadTasks();
+    downloadFile(exportTodos(tasks, format, { lists }));
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    setError(null);
+    try {
+      const { format, drafts, skipped } = parseImport(await readFileText(file), file.name);
+      if (!drafts.length) throw new Error("No tasks found in the file.");
+      const marked = markDuplicates(drafts, await onLoadTasks());
+      setSkipDuplicates(true);
+      setPreview({ name: file.name, format, skipped, drafts: marked });
+    } catch (err) {
+      setPreview(null);
+      setError(err.message || "Could not read the file.");
+    }
+  };
+
+  const duplicates = preview ? preview.drafts.filter((d) => d.duplicate).length : 0;
+  const chosen = preview ? preview.drafts.filter((d) => !(skipDuplicates && d.duplicate)) : [];
+
+  const handleImport = async () => {
+    setBusy(true);
+    try {
+      const ids = await onEnsureLists(chosen.map((d) => d.list).filter(Boolean));
+      const listIdOf = (d) => (d.list ? ids.get(d.list.toLowerCase()) : undefined);
+      await onImport(chosen.map((d) => (listIdOf(d) ? { ...d, listId: listIdOf(d) } : d)));
+      setPreview(null);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="transfer">
+      <div className="transfer-actions">
+        <details className="transfer-menu" ref={menuRef}>
+          <summary className="btn btn-ghost">Export</summary>
+          <div className="transfer-menu-items">
+            {EXPORT_FORMATS.map((f) => (
+              <button
+                key={f.value}
+                type="button"
+                className="btn-link"
+                onClick={() => handleExport(f.value)}
+                aria-label={`Export tasks as ${f.label}`}
+              >
+                {f.label}
+              </button>
+            ))}
+          </div>
+        </details>
+        <button type="button" className="btn btn-ghost" onClick={() => fileRef.current && fileRef.current.click()}>
+          Import…
+        </button>
+        <input
+          ref={fileRef}
+          type="file"
+          className="sr-only"
+          accept=".json,.csv,.md,.markdown,.txt,application/json,text/csv,text/markdown,text/plain"
+          aria-label="Import tasks from a file"
+          tabIndex={-1}
+          onChange={handleFile}
+        />
+      </div>
+
+      {error && (
+        <p className="transfer-error" role="alert">
+          {error}
+        </p>
+      )}
+
+      {preview && (
+        <section className="import-preview" aria-label="Import preview">
+          <p className="import-preview-summary">
+            {`${preview.drafts.length} ${preview.drafts.length === 1 ? "task" : "tasks"} in ${preview.name}`}
+            {` (${FORMAT_LABELS[preview.format]})`}
+            {preview.skipped > 0 && `, ${preview.skipped} without a title skipped`}
+          </p>
+          <ul className="import-preview-list">
+            {preview.drafts.slice(0, PREVIEW_LIMIT).map((d, i) => (
+              <li key={i} className={d.duplicate ? "is-duplicate" : ""}>
+                <span className="import-preview-title">{d.title}</span>
+                {d.list && <span className="import-preview-meta">{d.list}</span>}
+                {d.dueDate && <span className="import-preview-meta">due {d.dueDate}</span>}
+                {d.duplicate && (
+                  <span className="badge badge-amber">
+                    {d.duplicate === "existing" ? "Already exists" : "Repeated in file"}
+                  </span>
+                )}
+              </li>
+            ))}
+          </ul>
+          {preview.drafts.length > PREVIEW_LIMIT && (
+            <p className="import-preview-meta">…and {preview.drafts.length - PREVIEW_LIMIT} more</p>
+          )}
+          {duplicates > 0 && (
+            <label className="import-preview-option">
+              <input type="checkbox" checked={skipDuplicates} onChange={(e) => setSkipDuplicates(e.target.checked)} />
+              Skip {duplicates} {duplicates === 1 ? "duplicate" : "duplicates"}
+            </label>
+          )}
+          <div className="import-preview-actions">
+            <button type="button" className="btn btn-ghost" onClick={() => setPreview(null)} disabled={busy}>
+              Cancel
+            </button>
+            <button type="button" className="btn btn-primary" onClick={handleImport} disabled={busy || !chosen.length}>
+              Import {chosen.length} {chosen.length === 1 ? "task" : "tasks"}
+            </button>
+          </div>
+        </section>
+      )}
+    </div>
+  );
+}
+
+ImportExport.propTypes = {
+  lists: PropTypes.arrayOf(PropTypes.shape({ id: PropTypes.any.isRequired, name: PropTypes.string.isRequired })).isRequired,
+  onLoadTasks: PropTypes.func.isRequired,
+  onImport: PropTypes.func.isRequired,
+  onEnsureLists: PropTypes.func.isRequired,
+};
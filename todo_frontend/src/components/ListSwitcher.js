@@ -0,0 +1,147 @@
+import React, { useEffect, useRef, useState } from "react";
+import PropTypes from "prop-types";
+import { DEFAULT_LIST_ID } from "../utils/lists";
+
+/**
+ * Tabs for switching between named lists, with per-list active counters.
+ * Controls for the selected list: rename, move left/right and delete
+ * (the built-in Inbox cannot be deleted). "New list" opens an inline name field.
+ */
+
+// PUBLIC_INTERFACE
+export default function ListSwitcher({ lists, activeListId, counts, onSelect, onCreate, onRename, onDelete, onMove }) {
+  /** List tabs plus management controls for the active list. */
+  const [naming, setNaming] = useState(null); // null | 'new' | 'rename'
+  const [draft, setDraft] = useState("");
+  const inputRef = useRef(null);
+
+  const activeIndex = lists.findIndex((l) => l.id === activeListId);
+  const active = lists[activeIndex];
+
+  useEffect(() => {
+    if (naming && inputRef.current) inputRef.current.focus();
+  }, [naming]);
+
+  const startNaming = (mode) => {
+    setDraft(mode === "rename" && active ? active.name : "");
+    setNaming(mode);
+  };
+
+  const commit = () => {
+    const name = draft.trim();
+    if (name && naming === "new") onCreate(name);
+    if (name && naming === "rename" && active && name !== active.name) onRename(active.id, name);
+    setNaming(null);
+  };
+
+  return (
+    <nav className="list-switcher" aria-label="Task lists">
+      <div className="list-tabs" role="tablist" aria-label="Lists">
+        {lists.map((l) => {
+          const c = counts[l.id] || { active: 0, total: 0 };
+          return (
+            <button
+              key={l.id}
+              type="button"
+              role="tab"
+              aria-selected={l.id === activeListId}
+              className={`list-tab ${l.id === activeListId ? "active" : ""}`}
+              onClick={() => onSelect(l.id)}
+              title={`${c.active} active out of ${c.total} tasks`}
+            >
+              {l.name}
+              <span className="list-count" aria-label={`${c.active} active`}>
+                {c.active}
+              </span>
+            </button>
+          );
+        })}
+      </div>
+
+      {naming ? (
+        <input
+          ref={inputRef}
+          type="text"
+          className="input list-name-input"
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          onBlur={commit}
+          onKeyDown={(e) => {
+            if (e.key === "Enter") {
+              e.preventDefault();
+              commit();
+            } else if (e.key === "Escape") {
+              e.preventDefault();
+              setNaming(null);
+            }
+          }}
+          placeholder="List name"
+          aria-label={naming === "new" ? "New list name" : "Rename list"}
+        />
+      ) : (
+        <div className="list-actions">
+          <button type="button" className="btn-link" onClick={() => startNaming("new")}>
+            + New list
+          </button>
+          {active && (
+            <>
+              <button
+                type="button"
+                className="icon-btn"
+                onClick={() => startNaming("rename")}
+                aria-label={`Rename list ${active.name}`}
+                title="Rename list"
+              >
+                ✏️
+              </button>
+              <button
+                type="button"
+                className="icon-btn"
+                onClick={() => onMove(active.id, -1)}
+                disabled={activeIndex <= 0}
+                aria-label={`Move list ${active.name} left`}
+                title="Move left"
+              >
+                ◀
+              </button>
+              <button
+                type="button"
+                className="icon-btn"
+                onClick={() => onMove(active.id, 1)}
+                disabled={activeIndex >= lists.length - 1}
+                aria-label={`Move list ${active.name} right`}
+                title="Move right"
+              >
+                ▶
+              </button>
+              {active.id !== DEFAULT_LIST_ID && (
+                <button
+                  type="button"
+                  className="icon-btn danger"
+                  onClick={() => onDelete(active.id)}
+                  aria-label={`Delete list ${active.name}`}
+                  title="Delete list (its tasks move to the Inbox)"
+                >
+                  🗑️
+                </button>
+              )}
+            </>
+          )}
+        </div>
+      )}
+    </nav>
+  );
+}
+
+ListSwitcher.propTypes = {
+  lists: PropTypes.arrayOf(
+    PropTypes.shape({ id: PropTypes.any.isRequired, name: PropTypes.string.isRequired, order: PropTypes.number })
+  ).isRequired,
+  activeListId: PropTypes.any.isRequired,
+  counts: PropTypes.objectOf(PropTypes.shape({ active: PropTypes.number, total: PropTypes.number })).isRequired,
+  onSelect: PropTypes.func.isRequired,
+  onCreate: PropTypes.func.isRequired,
+  onRename: PropTypes.func.isRequired,
+  onDelete: PropTypes.func.isRequired,
+  onMove: PropTypes.func.isRequired,
+};
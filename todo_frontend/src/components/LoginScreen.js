@@ -0,0 +1,78 @@
+import React, { useId, useState } from "react";
+import PropTypes from "prop-types";
+
+/**
+ * Sign-in form for the API backend.
+ * - Full panel when nobody is signed in
+ * - Compact "session expired" variant shown above the tasks, which stay usable
+ *   (edits are queued and sent once the user signs in again)
+ */
+
+// PUBLIC_INTERFACE
+export default function LoginScreen({ onLogin, error = null, busy = false, expired = false, user = null, pending = 0 }) {
+  /** Username/password form; onLogin(username, password) is awaited. */
+  const [username, setUsername] = useState(() => (expired && user && (user.username || user.name)) || "");
+  const [password, setPassword] = useState("");
+  const idUser = useId();
+  const idPassword = useId();
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!username.trim() || !password) return;
+    const ok = await onLogin(username.trim(), password);
+    if (!ok) setPassword("");
+  };
+
+  const heading = expired ? "Session expired" : "Sign in";
+  return (
+    <section className={`panel card login ${expired ? "login-expired" : ""}`} aria-label={heading}>
+      <h2 className="login-title">{heading}</h2>
+      {expired && (
+        <p className="login-text" role="alert">
+          Sign in again to keep syncing.
+          {pending > 0 && ` ${pending} ${pending === 1 ? "change is" : "changes are"} waiting to be saved.`}
+        </p>
+      )}
+      <form className="login-form" onSubmit={handleSubmit}>
+        <label htmlFor={idUser} className="login-label">
+          Username
+        </label>
+        <input
+          id={idUser}
+          className="input"
+          autoComplete="username"
+          value={username}
+          onChange={(e) => setUsername(e.target.value)}
+        />
+        <label htmlFor={idPassword} className="login-label">
+          Password
+        </label>
+        <input
+          id={idPassword}
+          className="input"
+          type="password"
+          autoComplete="current-password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+        />
+        {error && (
+          <p className="login-error" role="alert">
+            {error}
+          </p>
+        )}
+        <button type="submit" className="btn btn-primary" disabled={busy || !username.trim() || !password}>
+          {busy ? "Signing in…" : "Sign in"}
+        </button>
+      </form>
+    </section>
+  );
+}
+
+LoginScreen.propTypes = {
+  onLogin: PropTypes.func.isRequired,
+  error: PropTypes.string,
+  busy: PropTypes.bool,
+  expired: PropTypes.bool,
+  user: PropTypes.object,
+  pending: PropTypes.number,
+};
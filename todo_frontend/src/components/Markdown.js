@@ -0,0 +1,82 @@
+import React, { useMemo } from "react";
+import PropTypes from "prop-types";
+import { parseMarkdown } from "../utils/markdown";
+
+/**
+ * Renders the Markdown subset from utils/markdown as React elements.
+ * Text always goes through React's escaping; links open in a new tab.
+ */
+
+function renderText(value, key) {
+  const lines = value.split("\n");
+  return lines.map((line, i) => (
+    <React.Fragment key={`${key}-${i}`}>
+      {i > 0 && <br />}
+      {line}
+    </React.Fragment>
+  ));
+}
+
+function renderInline(nodes) {
+  return nodes.map((n, i) => {
+    switch (n.type) {
+      case "code":
+        return <code key={i}>{n.value}</code>;
+      case "link":
+        return (
+          <a key={i} href={n.href} target="_blank" rel="noopener noreferrer">
+            {renderInline(n.children)}
+          </a>
+        );
+      case "strong":
+        return <strong key={i}>{renderInline(n.children)}</strong>;
+      case "em":
+        return <em key={i}>{renderInline(n.children)}</em>;
+      default:
+        return renderText(n.value, i);
+    }
+  });
+}
+
+// PUBLIC_INTERFACE
+export default function Markdown({ source, className = "" }) {
+  /** Safe Markdown view for user-written notes. */
+  const blocks = useMemo(() => parseMarkdown(source), [source]);
+
+  return (
+    <div className={`markdown ${className}`}>
+      {blocks.map((b, i) => {
+        switch (b.type) {
+          case "heading": {
+            // notes live inside a card, so headings start below the page's own levels
+            const Tag = `h${Math.min(b.level + 3, 6)}`;
+            return <Tag key={i}>{renderInline(b.children)}</Tag>;
+          }
+          case "list": {
+            const Tag = b.ordered ? "ol" : "ul";
+            return (
+              <Tag key={i}>
+                {b.items.map((children, j) => (
+                  <li key={j}>{renderInline(children)}</li>
+                ))}
+              </Tag>
+            );
+          }
+          case "code":
+            return (
+              <pre key={i}>
+                <code data-lang={b.lang || undefined}>{b.value}</code>
+              </pre>
+            );
+          default:
+            return <p key={i}>{renderInline(b.children)}</p>;
+        }
+      })}
+    </div>
+  );
+}
+
+Markdown.propTypes = {
+  source: PropTypes.string.isRequired,
+  className: PropTypes.string,
+};
@@ -0,0 +1,82 @@
+import React, { useId } from "react";
+import PropTypes from "prop-types";
+import { RECURRENCE_TYPES, WEEKDAY_LABELS, normalizeRecurrence } from "../utils/recurrence";
+
+/**
+ * Compact editor for a recurrence rule.
+ * - Repeat select ("Does not repeat" clears the rule)
+ * - Weekday toggles for weekly rules
+ * - Day count for "every N days"
+ */
+
+// PUBLIC_INTERFACE
+export default function RecurrencePicker({ value = null, onChange, label = "Repeat" }) {
+  /** Controlled picker; onChange receives a normalized rule or null. */
+  const id = useId();
+  const rule = normalizeRecurrence(value);
+
+  const changeType = (type) => {
+    if (!type) onChange(null);
+    else if (type === "weekly") onChange({ type, days: [new Date().getDay()] });
+    else onChange(normalizeRecurrence({ type, interval: 2 }));
+  };
+
+  const toggleDay = (day) => {
+    const days = rule.days.includes(day) ? rule.days.filter((d) => d !== day) : [...rule.days, day];
+    onChange(normalizeRecurrence({ type: "weekly", days }));
+  };
+
+  return (
+    <div className="recurrence-picker">
+      <label htmlFor={id} className="field-label">
+        {label}
+      </label>
+      <div className="field-row">
+        <select
+          id={id}
+          className="input select"
+          value={rule ? rule.type : ""}
+          onChange={(e) => changeType(e.target.value)}
+        >
+          <option value="">Does not repeat</option>
+          {RECURRENCE_TYPES.map((t) => (
+            <option key={t.value} value={t.value}>
+              {t.label}
+            </option>
+          ))}
+        </select>
+        {rule && rule.type === "weekly" && (
+          <div className="weekday-toggles" role="group" aria-label="Repeat on days">
+            {WEEKDAY_LABELS.map((d, i) => (
+              <button
+                key={d}
+                type="button"
+                className={`tag-chip tag-toggle ${rule.days.includes(i) ? "active" : ""}`}
+                aria-pressed={rule.days.includes(i)}
+                onClick={() => toggleDay(i)}
+              >
+                {d}
+              </button>
+            ))}
+          </div>
+        )}
+        {rule && rule.type === "interval" && (
+          <input
+            type="number"
+            min={1}
+            className="input interval-input"
+            value={rule.interval}
+            onChange={(e) => onChange(normalizeRecurrence({ type: "interval", interval: e.target.value }))}
+            aria-label="Repeat every N days"
+          />
+        )}
+      </div>
+    </div>
+  );
+}
+
+RecurrencePicker.propTypes = {
+  value: PropTypes.object,
+  onChange: PropTypes.func.isRequired,
+  label: PropTypes.string,
+};
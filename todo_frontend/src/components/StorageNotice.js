@@ -0,0 +1,66 @@
+import React from "react";
+import PropTypes from "prop-types";
+
+/**
+ * Formats a byte count as "12 KB" or "4.8 MB".
+ */
+function formatBytes(bytes) {
+  if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Banner for browser storage problems. It stays up for as long as the problem lasts:
+ * - unavailable: storage is disabled or blocked, so changes live in memory only
+ * - quota: storage is full; changes that did not fit live in memory only
+ * - nearly full: still saving, with the space used so far
+ */
+
+// PUBLIC_INTERFACE
+export default function StorageNotice({ status, nearlyFull = false, usage = null, onRetry }) {
+  /** Renders nothing while storage is healthy and has room. */
+  if (status === "ok" && !nearlyFull) return null;
+
+  const used = usage ? `${formatBytes(usage.used)} of about ${formatBytes(usage.quota)} used` : null;
+
+  if (status === "ok") {
+    return (
+      <div className="storage-notice storage-notice-warn" role="status">
+        <strong>Browser storage is nearly full</strong>
+        {used && <span className="storage-notice-usage"> ({used})</span>}
+        <p className="storage-notice-note">
+          Empty the trash or export your tasks to make room before new changes stop being saved.
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="storage-notice" role="alert">
+      <div className="storage-notice-head">
+        <strong>
+          {status === "quota" ? "Browser storage is full" : "Browser storage is not available"} — changes are not
+          being saved
+        </strong>
+        {onRetry && (
+          <button type="button" className="btn btn-ghost" onClick={onRetry}>
+            Try again
+          </button>
+        )}
+      </div>
+      <p className="storage-notice-note">
+        {status === "quota"
+          ? "Recent changes are kept in memory only and will be lost when this page is closed or reloaded. Empty the trash or export your tasks to free up space."
+          : "Storage may be disabled or blocked (for example in private browsing). Changes are kept in memory only and will be lost when this page is closed or reloaded. Export your tasks to keep a copy."}
+      </p>
+      {status === "quota" && used && <p className="storage-notice-usage">{used}</p>}
+    </div>
+  );
+}
+
+StorageNotice.propTypes = {
+  status: PropTypes.oneOf(["ok", "unavailable", "quota"]).isRequired,
+  nearlyFull: PropTypes.bool,
+  usage: PropTypes.shape({ used: PropTypes.number.isRequired, quota: PropTypes.number.isRequired }),
+  onRetry: PropTypes.func,
+};
@@ -0,0 +1,136 @@
+import React, { useCallback, useEffect, useRef, useState } from "react";
+import PropTypes from "prop-types";
+
+/**
+ * Checklist of subtasks inside a todo card.
+ * - Toggle, rename (double-click or Enter on the title) and delete each subtask
+ * - Text field at the bottom appends a new subtask on Enter
+ */
+
+function SubtaskRow({ subtask, onToggle, onRename, onDelete }) {
+  const [editing, setEditing] = useState(false);
+  const [draft, setDraft] = useState(subtask.title);
+  const inputRef = useRef(null);
+
+  useEffect(() => {
+    if (editing && inputRef.current) {
+      inputRef.current.focus();
+      inputRef.current.select();
+    }
+  }, [editing]);
+
+  const save = useCallback(() => {
+    const next = draft.trim();
+    if (next && next !== subtask.title) onRename(subtask.id, next);
+    else setDraft(subtask.title);
+    setEditing(false);
+  }, [draft, subtask, onRename]);
+
+  return (
+    <li className={`subtask ${subtask.completed ? "completed" : ""}`}>
+      <input
+        type="checkbox"
+        className="checkbox"
+        checked={subtask.completed}
+        onChange={() => onToggle(subtask.id)}
+        aria-label={`${subtask.completed ? "Uncheck" : "Check"} ${subtask.title}`}
+      />
+      {editing ? (
+        <input
+          ref={inputRef}
+          type="text"
+          className="input edit subtask-edit"
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          onBlur={save}
+          onKeyDown={(e) => {
+            if (e.key === "Enter") {
+              e.preventDefault();
+              save();
+            } else if (e.key === "Escape") {
+              e.preventDefault();
+              setDraft(subtask.title);
+              setEditing(false);
+            }
+          }}
+          aria-label="Rename subtask"
+        />
+      ) : (
+        <span
+          className="subtask-title"
+          tabIndex={0}
+          onDoubleClick={() => setEditing(true)}
+          onKeyDown={(e) => {
+            if (e.key === "Enter") setEditing(true);
+          }}
+        >
+          {subtask.title}
+        </span>
+      )}
+      <button
+        type="button"
+        className="tag-remove"
+        onClick={() => onDelete(subtask.id)}
+        aria-label={`Delete subtask ${subtask.title}`}
+        title="Delete subtask"
+      >
+        ×
+      </button>
+    </li>
+  );
+}
+
+SubtaskRow.propTypes = {
+  subtask: PropTypes.shape({
+    id: PropTypes.any.isRequired,
+    title: PropTypes.string.isRequired,
+    completed: PropTypes.bool.isRequired,
+  }).isRequired,
+  onToggle: PropTypes.func.isRequired,
+  onRename: PropTypes.func.isRequired,
+  onDelete: PropTypes.func.isRequired,
+};
+
+// PUBLIC_INTERFACE
+export default function SubtaskList({ subtasks, label, onAdd, onToggle, onRename, onDelete }) {
+  /** Editable checklist. Callbacks receive subtask ids; onAdd receives the new title. */
+  const [draft, setDraft] = useState("");
+
+  return (
+    <div className="subtasks">
+      {subtasks.length > 0 && (
+        <ul className="subtask-list" aria-label={`Checklist for ${label}`}>
+          {subtasks.map((s) => (
+            <SubtaskRow key={s.id} subtask={s} onToggle={onToggle} onRename={onRename} onDelete={onDelete} />
+          ))}
+        </ul>
+      )}
+      <input
+        type="text"
+        className="input subtask-new"
+        placeholder="New checklist item…"
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        onKeyDown={(e) => {
+          if (e.key === "Enter" && draft.trim()) {
+            e.preventDefault();
+            onAdd(draft);
+            setDraft("");
+          }
+        }}
+        aria-label={`New checklist item for ${label}`}
+      />
+    </div>
+  );
+}
+
+SubtaskList.propTypes = {
+  subtasks: PropTypes.arrayOf(
+    PropTypes.shape({ id: PropTypes.any.isRequired, title: PropTypes.string.isRequired, completed: PropTypes.bool })
+  ).isRequired,
+  label: PropTypes.string.isRequired,
+  onAdd: PropTypes.func.isRequired,
+  onToggle: PropTypes.func.isRequired,
+  onRename: PropTypes.func.isRequired,
+  onDelete: PropTypes.func.isRequired,
+};
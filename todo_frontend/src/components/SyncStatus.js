@@ -0,0 +1,38 @@
+import React from "react";
+import PropTypes from "prop-types";
+
+/**
+ * Sync indicator for api mode.
+ * Shows "Offline" with the number of queued changes while the backend is
+ * unreachable, "Syncing…" while the queue is being replayed, and nothing otherwise.
+ */
+
+// PUBLIC_INTERFACE
+export default function SyncStatus({ offline, pending, onRetry }) {
+  /** Compact status pill with a retry button while offline. */
+  if (!offline && pending === 0) return null;
+
+  const changes = `${pending} ${pending === 1 ? "change" : "changes"} pending`;
+  return (
+    <div className={`sync-status ${offline ? "offline" : "syncing"}`} aria-live="polite">
+      <span className="sync-dot" aria-hidden="true">
+        ●
+      </span>
+      <span className="sync-text">
+        {offline ? "Offline" : "Syncing…"}
+        {pending > 0 && ` · ${changes}`}
+      </span>
+      {offline && onRetry && (
+        <button type="button" className="btn-link" onClick={onRetry} title="Check the connection now">
+          Retry
+        </button>
+      )}
+    </div>
+  );
+}
+
+SyncStatus.propTypes = {
+  offline: PropTypes.bool.isRequired,
+  pending: PropTypes.number.isRequired,
+  onRetry: PropTypes.func,
+};
@@ -0,0 +1,90 @@
+import React, { useCallback, useEffect, useRef, useState } from "react";
+import PropTypes from "prop-types";
+import { normalizeTags } from "../utils/tags";
+
+/**
+ * Tag chips for a todo.
+ * - Each chip has a remove button
+ * - "#" button opens an inline input; Enter or comma commits, Esc cancels
+ */
+
+// PUBLIC_INTERFACE
+export default function TagChips({ tags, onChange, label }) {
+  /** Renders tags as chips and reports the full next tag list through onChange. */
+  const [editing, setEditing] = useState(false);
+  const [draft, setDraft] = useState("");
+  const inputRef = useRef(null);
+
+  useEffect(() => {
+    if (editing && inputRef.current) inputRef.current.focus();
+  }, [editing]);
+
+  const commit = useCallback(() => {
+    const added = normalizeTags(draft);
+    if (added.length) onChange(normalizeTags([...tags, ...added]));
+    setDraft("");
+    setEditing(false);
+  }, [draft, tags, onChange]);
+
+  const onKeyDown = useCallback(
+    (e) => {
+      if (e.key === "Enter" || e.key === ",") {
+        e.preventDefault();
+        commit();
+      } else if (e.key === "Escape") {
+        e.preventDefault();
+        setDraft("");
+        setEditing(false);
+      }
+    },
+    [commit]
+  );
+
+  return (
+    <div className="tag-chips" aria-label={`Tags for ${label}`}>
+      {tags.map((tag) => (
+        <span key={tag} className="tag-chip">
+          #{tag}
+          <button
+            type="button"
+            className="tag-remove"
+            onClick={() => onChange(tags.filter((t) => t !== tag))}
+            aria-label={`Remove tag ${tag}`}
+            title={`Remove tag ${tag}`}
+          >
+            ×
+          </button>
+        </span>
+      ))}
+      {editing ? (
+        <input
+          ref={inputRef}
+          type="text"
+          className="input tag-input"
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          onKeyDown={onKeyDown}
+          onBlur={commit}
+          placeholder="tag"
+          aria-label={`New tag for ${label}`}
+        />
+      ) : (
+        <button
+          type="button"
+          className="tag-chip tag-new"
+          onClick={() => setEditing(true)}
+          aria-label={`Tag ${label}`}
+          title="Tag this task"
+        >
+          #
+        </button>
+      )}
+    </div>
+  );
+}
+
+TagChips.propTypes = {
+  tags: PropTypes.arrayOf(PropTypes.string).isRequired,
+  onChange: PropTypes.func.isRequired,
+  label: PropTypes.string.isRequired,
+};
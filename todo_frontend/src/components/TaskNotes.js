@@ -0,0 +1,78 @@
+import React, { useCallback, useEffect, useRef, useState } from "react";
+import PropTypes from "prop-types";
+import Markdown from "./Markdown";
+
+/**
+ * Notes area inside a todo card.
+ * - Shows the description rendered as safe Markdown
+ * - "Edit notes" switches to a textarea; Ctrl/Cmd+Enter or blur saves, Esc cancels
+ */
+
+// PUBLIC_INTERFACE
+export default function TaskNotes({ value, label, onChange }) {
+  /** Markdown notes with an inline editor; onChange receives the new text. */
+  const [editing, setEditing] = useState(!value);
+  const [draft, setDraft] = useState(value);
+  const textareaRef = useRef(null);
+
+  useEffect(() => {
+    if (editing && textareaRef.current) textareaRef.current.focus();
+  }, [editing]);
+
+  useEffect(() => {
+    if (!editing) setDraft(value);
+  }, [value, editing]);
+
+  const save = useCallback(() => {
+    const next = draft.trim();
+    if (next !== value) onChange(next);
+    setEditing(false);
+  }, [draft, value, onChange]);
+
+  const cancel = useCallback(() => {
+    setDraft(value);
+    setEditing(false);
+  }, [value]);
+
+  if (editing) {
+    return (
+      <div className="task-notes editing">
+        <textarea
+          ref={textareaRef}
+          className="input notes-input"
+          rows={4}
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          onBlur={save}
+          onKeyDown={(e) => {
+            if (e.key === "Enter" && (e.ctrlKey || e.metaKey)) {
+              e.preventDefault();
+              save();
+            } else if (e.key === "Escape") {
+              e.preventDefault();
+              cancel();
+            }
+          }}
+          placeholder="Notes, links, context… Markdown supported"
+          aria-label={`Notes for ${label}`}
+        />
+        <span className="notes-hint">Markdown: **bold**, `code`, [link](https://…), - lists</span>
+      </div>
+    );
+  }
+
+  return (
+    <div className="task-notes">
+      {value ? <Markdown source={value} className="notes-view" /> : <p className="notes-empty">No notes yet.</p>}
+      <button type="button" className="btn-link" onClick={() => setEditing(true)} aria-label={`Edit notes for ${label}`}>
+        Edit notes
+      </button>
+    </div>
+  );
+}
+
+TaskNotes.propTypes = {
+  value: PropTypes.string.isRequired,
+  label: PropTypes.string.isRequired,
+  onChange: PropTypes.func.isRequired,
+};
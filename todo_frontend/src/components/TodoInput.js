@@ -1,11 +1,21 @@
-import React, { useCallback, useEffect, useId, useRef, useState } from "react";
+import React, { useCallback, useEffect, useId, useMemo, useRef, useState } from "react";
 import PropTypes from "prop-types";
 import { isFeatureEnabled } from "../utils/env";
+import { DEFAULT_PRIORITY, PRIORITIES, PRIORITY_LABELS } from "../utils/priority";
+import { normalizeTags } from "../utils/tags";
+import { formatDueDate } from "../utils/dates";
+import { describeRecurrence } from "../utils/recurrence";
+import { hasQuickAddFields, parseQuickAdd } from "../utils/quickAdd";
+import RecurrencePicker from "./RecurrencePicker";
 
 /**
  * Input component to add a new todo item.
  * - Controlled input
+ * - Quick-add syntax in the title ("tomorrow 3pm #work !high every weekday")
+ *   with a live preview of the parsed fields; parsed values win over the fields below
  * - Add button
+ * - Priority selector and comma-separated tags
+ * - Repeat rule for recurring tasks
  * - Optional due date input gated by feature flag "due_date"
  * - Keyboard: Enter to submit, Ctrl/Cmd+Enter also works
  */
@@ -15,27 +25,44 @@ export default function TodoInput({ onAdd }) {
   /** Controlled input with optional due date (feature flag "due_date") */
   const [title, setTitle] = useState("");
   const [due, setDue] = useState("");
+  const [priority, setPriority] = useState(DEFAULT_PRIORITY);
+  const [tags, setTags] = useState("");
+  const [recurrence, setRecurrence] = useState(null);
   const inputRef = useRef(null);
   const idTitle = useId();
   const idDate = useId();
+  const idPriority = useId();
+  const idTags = useId();
 
   const dueEnabled = isFeatureEnabled("due_date") || isFeatureEnabled("due-date");
 
   const canAdd = title.trim().length > 0;
+  const parsed = useMemo(() => parseQuickAdd(title), [title]);
+  const showPreview = canAdd && hasQuickAddFields(parsed);
 
   const handleSubmit = useCallback(() => {
-    const t = title.trim();
-    if (!t) return;
-    const payload = { title: t };
-    if (dueEnabled && due) {
+    if (!title.trim()) return;
+    const payload = {
+      title: parsed.title,
+      priority: parsed.priority || priority,
+      tags: normalizeTags([...parsed.tags, ...normalizeTags(tags)]),
+      recurrence: parsed.recurrence || recurrence,
+    };
+    if (parsed.dueDate) {
+      payload.dueDate = parsed.dueDate;
+      payload.dueTime = parsed.dueTime;
+    } else if (dueEnabled && due) {
       payload.dueDate = due;
     }
-    onAdd(payload.title); // currently hook accepts only title; future: support dueDate
+    onAdd(payload);
     setTitle("");
     setDue("");
+    setPriority(DEFAULT_PRIORITY);
+    setTags("");
+    setRecurrence(null);
     // move focus back to input for quick entry
     if (inputRef.current) inputRef.current.focus();
-  }, [title, dueEnabled, due, onAdd]);
+  }, [title, parsed, priority, tags, recurrence, dueEnabled, due, onAdd]);
 
   const onKeyDown = useCallback(
     (e) => {
@@ -64,11 +91,12 @@ export default function TodoInput({ onAdd }) {
             ref={inputRef}
             type="text"
             className="input control-lg"
-            placeholder="e.g., Plan team meeting agenda"
+            placeholder="e.g., Review PR tomorrow 3pm #work !high"
             value={title}
             onChange={(e) => setTitle(e.target.value)}
             onKeyDown={onKeyDown}
             aria-required="true"
+            aria-describedby={`${idTitle}-preview`}
           />
           <button
             type="button"
@@ -82,6 +110,64 @@ export default function TodoInput({ onAdd }) {
             Add
           </button>
         </div>
+        <div id={`${idTitle}-preview`} className="quick-add-preview" aria-live="polite">
+          {showPreview && (
+            <>
+              <span className="preview-title">{parsed.title}</span>
+              {parsed.dueDate && (
+                <span className="due-chip">
+                  📅 {formatDueDate(parsed.dueDate)}
+                  {parsed.dueTime ? ` ${parsed.dueTime}` : ""}
+                </span>
+              )}
+              {parsed.priority && (
+                <span className={`priority-pill priority-${parsed.priority}`}>!{PRIORITY_LABELS[parsed.priority]}</span>
+              )}
+              {parsed.recurrence && <span className="repeat-chip">↻ {describeRecurrence(parsed.recurrence)}</span>}
+              {parsed.tags.map((t) => (
+                <span key={t} className="tag-chip">
+                  #{t}
+                </span>
+              ))}
+            </>
+          )}
+        </div>
+      </div>
+      <div className="field-row">
+        <div className="field-group">
+          <label htmlFor={idPriority} className="field-label">
+            Priority
+          </label>
+          <select
+            id={idPriority}
+            className="input select"
+            value={priority}
+            onChange={(e) => setPriority(e.target.value)}
+          >
+            {PRIORITIES.map((p) => (
+              <option key={p} value={p}>
+                {PRIORITY_LABELS[p]}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div className="field-group grow">
+          <label htmlFor={idTags} className="field-label">
+            Tags
+          </label>
+          <input
+            id={idTags}
+            type="text"
+            className="input"
+            placeholder="e.g., work, on-call"
+            value={tags}
+            onChange={(e) => setTags(e.target.value)}
+            onKeyDown={onKeyDown}
+          />
+        </div>
+      </div>
+      <div className="field-group">
+        <RecurrencePicker value={recurrence} onChange={setRecurrence} />
       </div>
       {dueEnabled && (
         <div className="field-group">
@@ -1,22 +1,73 @@
 import React, { useCallback, useEffect, useId, useRef, useState } from "react";
 import PropTypes from "prop-types";
+import { isFeatureEnabled } from "../utils/env";
+import { classifyDue, formatDueDate } from "../utils/dates";
+import { PRIORITIES, PRIORITY_LABELS, normalizePriority } from "../utils/priority";
+import { subtaskProgress } from "../utils/subtasks";
+import { describeRecurrence } from "../utils/recurrence";
+import TagChips from "./TagChips";
+import SubtaskList from "./SubtaskList";
+import RecurrencePicker from "./RecurrencePicker";
+import TaskNotes from "./TaskNotes";
+import ConflictResolver from "./ConflictResolver";
 
 /**
  * Individual todo item row.
  * - Toggle complete
  * - Inline edit title (Enter to save, Esc to cancel)
+ * - Inline priority selector
+ * - Due date chip, editable inline when feature flag "due_date" is on
+ * - Tag chips, editable inline
+ * - Expandable checklist of subtasks with a done/total progress badge
+ * - Repeat badge with an inline recurrence editor
+ * - Expandable notes (Markdown description)
+ * - Move to another named list (when more than one list exists)
+ * - Drag handle for manual ordering; ArrowUp/ArrowDown on it moves by one
+ * - Conflict resolver when an edit collided with a change made elsewhere
  * - Delete
  * - Accessible labels and keyboard interactions
  */
 
 // PUBLIC_INTERFACE
-export default function TodoItem({ item, onToggle, onUpdate, onDelete }) {
+export default function TodoItem({
+  item,
+  onToggle,
+  onUpdate,
+  onDelete,
+  lists = [],
+  onMoveToList,
+  onAddSubtask,
+  onToggleSubtask,
+  onRenameSubtask,
+  onDeleteSubtask,
+  index = 0,
+  reorderable = false,
+  dragging = false,
+  dropIndicator = null,
+  onDragStart,
+  onMoveBy,
+  conflict = null,
+  onResolveConflict,
+}) {
   const [editing, setEditing] = useState(false);
   const [draft, setDraft] = useState(item.title || "");
+  const [editingDue, setEditingDue] = useState(false);
+  const [showChecklist, setShowChecklist] = useState(false);
+  const [showRepeat, setShowRepeat] = useState(false);
+  const [showNotes, setShowNotes] = useState(false);
   const inputRef = useRef(null);
+  const dueInputRef = useRef(null);
+  const handleRef = useRef(null);
+  const refocusHandle = useRef(false);
   const checkboxId = useId();
   const inputId = useId();
 
+  const dueEnabled = isFeatureEnabled("due_date") || isFeatureEnabled("due-date");
+  const dueStatus = classifyDue(item.dueDate, item.completed);
+  const priority = normalizePriority(item.priority);
+  const subtasks = item.subtasks || [];
+  const progress = subtaskProgress(subtasks);
+
   useEffect(() => {
     if (editing && inputRef.current) {
       inputRef.current.focus();
@@ -24,6 +75,26 @@ export default function TodoItem({ item, onToggle, onUpdate, onDelete }) {
     }
   }, [editing]);
 
+  useEffect(() => {
+    if (editingDue && dueInputRef.current) dueInputRef.current.focus();
+  }, [editingDue]);
+
+  // Moving the row re-inserts its DOM node, which drops focus; keep it on the handle
+  useEffect(() => {
+    if (refocusHandle.current && handleRef.current) {
+      refocusHandle.current = false;
+      handleRef.current.focus();
+    }
+  }, [index]);
+
+  const changeDue = useCallback(
+    (value) => {
+      const next = value || null;
+      if (next !== (item.dueDate || null)) onUpdate(item.id, { dueDate: next });
+    },
+    [item, onUpdate]
+  );
+
   const save = useCallback(() => {
     const next = draft.trim();
     if (!next || next === item.title) {
@@ -35,6 +106,13 @@ export default function TodoItem({ item, onToggle, onUpdate, onDelete }) {
     setEditing(false);
   }, [draft, item, onUpdate]);
 
+  // Start from the current title: it may have changed (another tab, a realtime event)
+  // since the last edit
+  const startEditing = useCallback(() => {
+    setDraft(item.title || "");
+    setEditing(true);
+  }, [item.title]);
+
   const cancel = useCallback(() => {
     setDraft(item.title || "");
     setEditing(false);
@@ -54,9 +132,35 @@ export default function TodoItem({ item, onToggle, onUpdate, onDelete }) {
   );
 
   return (
-    <li className={`todo-item ${item.completed ? "completed" : ""}`} role="listitem">
+    <li
+      className={`todo-item priority-${priority} ${item.completed ? "completed" : ""} ${dragging ? "dragging" : ""} ${
+        dropIndicator ? `drop-${dropIndicator}` : ""
+      }`}
+      role="listitem"
+      data-todo-index={index}
+    >
       <div className="todo-card">
         <div className="left">
+          {reorderable && (
+            <button
+              ref={handleRef}
+              type="button"
+              className="drag-handle"
+              onPointerDown={onDragStart}
+              onKeyDown={(e) => {
+                const delta = e.key === "ArrowUp" ? -1 : e.key === "ArrowDown" ? 1 : 0;
+                if (!delta || !onMoveBy) return;
+                e.preventDefault();
+                refocusHandle.current = true;
+                onMoveBy(delta);
+              }}
+              aria-label={`Reorder ${item.title}`}
+              aria-roledescription="drag handle"
+              title="Drag to reorder (or use the arrow keys)"
+            >
+              ⠿
+            </button>
+          )}
           <input
             id={checkboxId}
             type="checkbox"
@@ -69,10 +173,10 @@ export default function TodoItem({ item, onToggle, onUpdate, onDelete }) {
             <label
               htmlFor={checkboxId}
               className="todo-title"
-              onDoubleClick={() => setEditing(true)}
+              onDoubleClick={startEditing}
               tabIndex={0}
               onKeyDown={(e) => {
-                if (e.key === "Enter") setEditing(true);
+                if (e.key === "Enter") startEditing();
               }}
               aria-describedby={inputId}
               aria-label={`Task: ${item.title}${item.completed ? ", completed" : ""}`}
@@ -93,7 +197,137 @@ export default function TodoItem({ item, onToggle, onUpdate, onDelete }) {
             />
           )}
         </div>
+        {progress.total > 0 && (
+          <button
+            type="button"
+            className={`subtask-progress ${progress.done === progress.total ? "done" : ""}`}
+            onClick={() => setShowChecklist((v) => !v)}
+            aria-expanded={showChecklist}
+            aria-label={`${progress.done} of ${progress.total} checklist items done`}
+            title={showChecklist ? "Hide checklist" : "Show checklist"}
+          >
+            ☑ {progress.done}/{progress.total}
+          </button>
+        )}
+        {item.recurrence && (
+          <button
+            type="button"
+            className="repeat-chip"
+            onClick={() => setShowRepeat((v) => !v)}
+            aria-expanded={showRepeat}
+            aria-label={`Repeats ${describeRecurrence(item.recurrence).toLowerCase()}`}
+            title="Change repeat"
+          >
+            ↻ {describeRecurrence(item.recurrence)}
+          </button>
+        )}
+        <select
+          className={`priority-select priority-${priority}`}
+          value={priority}
+          onChange={(e) => onUpdate(item.id, { priority: e.target.value })}
+          aria-label={`Priority for ${item.title}`}
+          title="Priority"
+        >
+          {PRIORITIES.map((p) => (
+            <option key={p} value={p}>
+              {PRIORITY_LABELS[p]}
+            </option>
+          ))}
+        </select>
+        {editingDue ? (
+          <input
+            ref={dueInputRef}
+            type="date"
+            className="input due-edit"
+            defaultValue={item.dueDate || ""}
+            onBlur={(e) => {
+              changeDue(e.target.value);
+              setEditingDue(false);
+            }}
+            onKeyDown={(e) => {
+              // saved once on leaving the field (Enter), like the title; Escape leaves it unchanged
+              if (e.key === "Enter" || e.key === "Escape") {
+                e.preventDefault();
+                if (e.key === "Escape") e.currentTarget.value = item.dueDate || "";
+                e.currentTarget.blur();
+              }
+            }}
+            aria-label={`Due date for ${item.title}`}
+          />
+        ) : item.dueDate ? (
+          <button
+            type="button"
+            className={`due-chip ${dueStatus || ""}`}
+            onClick={() => dueEnabled && setEditingDue(true)}
+            disabled={!dueEnabled}
+            aria-label={`Due ${formatDueDate(item.dueDate)}${item.dueTime ? ` at ${item.dueTime}` : ""}${dueStatus === "overdue" ? ", overdue" : ""}`}
+            title={dueEnabled ? "Change due date" : item.dueDate}
+          >
+            📅 {formatDueDate(item.dueDate)}
+            {item.dueTime ? ` ${item.dueTime}` : ""}
+          </button>
+        ) : null}
+        {lists.length > 1 && onMoveToList && (
+          <select
+            className="priority-select list-select"
+            value={item.listId}
+            onChange={(e) => onMoveToList(item.id, e.target.value)}
+            aria-label={`Move ${item.title} to list`}
+            title="Move to list"
+          >
+            {lists.map((l) => (
+              <option key={l.id} value={l.id}>
+                {l.name}
+              </option>
+            ))}
+          </select>
+        )}
         <div className="actions">
+          {!editing && dueEnabled && !item.dueDate && !editingDue && (
+            <button
+              type="button"
+              className="icon-btn"
+              onClick={() => setEditingDue(true)}
+              aria-label="Set due date"
+              title="Set due date"
+            >
+              📅
+            </button>
+          )}
+          {!item.recurrence && (
+            <button
+              type="button"
+              className="icon-btn"
+              onClick={() => setShowRepeat((v) => !v)}
+              aria-expanded={showRepeat}
+              aria-label="Repeat"
+              title="Repeat"
+            >
+              ↻
+            </button>
+          )}
+          <button
+            type="button"
+            className={`icon-btn ${item.description ? "has-notes" : ""}`}
+            onClick={() => setShowNotes((v) => !v)}
+            aria-expanded={showNotes}
+            aria-label={item.description ? "Notes (has notes)" : "Notes"}
+            title={showNotes ? "Hide notes" : "Notes"}
+          >
+            📝
+          </button>
+          {progress.total === 0 && (
+            <button
+              type="button"
+              className="icon-btn"
+              onClick={() => setShowChecklist((v) => !v)}
+              aria-expanded={showChecklist}
+              aria-label="Checklist"
+              title={showChecklist ? "Hide checklist" : "Checklist"}
+            >
+              ☑
+            </button>
+          )}
           {!editing && (
             <button
               type="button"
@@ -110,11 +344,44 @@ export default function TodoItem({ item, onToggle, onUpdate, onDelete }) {
             className="icon-btn danger"
             onClick={() => onDelete(item.id)}
             aria-label="Delete task"
-            title="Delete"
+            title="Move to trash"
           >
             🗑️
           </button>
         </div>
+        <div className="todo-extras">
+          {conflict && onResolveConflict && (
+            <ConflictResolver conflict={conflict} onResolve={(choice) => onResolveConflict(item.id, choice)} />
+          )}
+          <TagChips
+            tags={item.tags || []}
+            onChange={(tags) => onUpdate(item.id, { tags })}
+            label={item.title}
+          />
+          {showRepeat && (
+            <RecurrencePicker
+              value={item.recurrence || null}
+              onChange={(recurrence) => onUpdate(item.id, { recurrence })}
+            />
+          )}
+          {showNotes && (
+            <TaskNotes
+              value={item.description || ""}
+              label={item.title}
+              onChange={(description) => onUpdate(item.id, { description })}
+            />
+          )}
+          {showChecklist && (
+            <SubtaskList
+              subtasks={subtasks}
+              label={item.title}
+              onAdd={(title) => onAddSubtask(item.id, title)}
+              onToggle={(subtaskId) => onToggleSubtask(item.id, subtaskId)}
+              onRename={(subtaskId, title) => onRenameSubtask(item.id, subtaskId, title)}
+              onDelete={(subtaskId) => onDeleteSubtask(item.id, subtaskId)}
+            />
+          )}
+        </div>
       </div>
     </li>
   );
@@ -125,8 +392,33 @@ TodoItem.propTypes = {
     id: PropTypes.any.isRequired,
     title: PropTypes.string.isRequired,
     completed: PropTypes.bool,
+    description: PropTypes.string,
+    dueDate: PropTypes.string,
+    dueTime: PropTypes.string,
+    priority: PropTypes.oneOf(PRIORITIES),
+    tags: PropTypes.arrayOf(PropTypes.string),
+    recurrence: PropTypes.object,
+    listId: PropTypes.any,
+    order: PropTypes.number,
+    subtasks: PropTypes.arrayOf(
+      PropTypes.shape({ id: PropTypes.any.isRequired, title: PropTypes.string.isRequired, completed: PropTypes.bool })
+    ),
   }).isRequired,
   onToggle: PropTypes.func.isRequired,
   onUpdate: PropTypes.func.isRequired,
   onDelete: PropTypes.func.isRequired,
+  lists: PropTypes.arrayOf(PropTypes.shape({ id: PropTypes.any.isRequired, name: PropTypes.string.isRequired })),
+  onMoveToList: PropTypes.func,
+  onAddSubtask: PropTypes.func.isRequired,
+  onToggleSubtask: PropTypes.func.isRequired,
+  onRenameSubtask: PropTypes.func.isRequired,
+  onDeleteSubtask: PropTypes.func.isRequired,
+  index: PropTypes.number,
+  reorderable: PropTypes.bool,
+  dragging: PropTypes.bool,
+  dropIndicator: PropTypes.oneOf(["before", "after", null]),
+  onDragStart: PropTypes.func,
+  onMoveBy: PropTypes.func,
+  conflict: PropTypes.shape({ mine: PropTypes.object.isRequired, theirs: PropTypes.object.isRequired }),
+  onResolveConflict: PropTypes.func,
 };
@@ -1,29 +1,169 @@
-import React from "react";
+import React, { useEffect, useRef, useState } from "react";
 import PropTypes from "prop-types";
 import TodoItem from "./TodoItem";
 
 /**
  * List of todos. Renders items and empty state.
+ * When reorderable, items can be dragged by their handle (mouse, touch or pen via
+ * pointer events) or moved with the arrow keys on the handle; onReorder receives
+ * the todo id and its new index among the other items.
+ * conflicts maps todo ids to an unresolved edit conflict shown on that item.
+ * When hasMore, onLoadMore is called as the end of the list scrolls into view
+ * (infinite scroll), or from the "Load more tasks" button.
  */
 
+/**
+ * Insertion point (0..count) for a pointer at clientY: before the first item
+ * whose vertical midpoint lies below the pointer.
+ */
+function insertionIndex(listEl, clientY) {
+  const rows = Array.from(listEl.querySelectorAll("[data-todo-index]"));
+  const hit = rows.find((row) => {
+    const rect = row.getBoundingClientRect();
+    return clientY < rect.top + rect.height / 2;
+  });
+  return hit ? Number(hit.getAttribute("data-todo-index")) : rows.length;
+}
+
+/**
+ * Where to draw the drop line for the item at index, if anywhere. Nothing is
+ * shown while the pointer is still over the dragged item's own slot.
+ */
+function dropIndicatorFor(drag, index, count) {
+  if (!drag || drag.over === drag.from || drag.over === drag.from + 1) return null;
+  if (drag.over === index) return "before";
+  if (drag.over === count && index === count - 1) return "after";
+  return null;
+}
+
 // PUBLIC_INTERFACE
-export default function TodoList({ items, onToggle, onUpdate, onDelete }) {
+export default function TodoList({
+  items,
+  onToggle,
+  onUpdate,
+  onDelete,
+  lists,
+  onMoveToList,
+  onAddSubtask,
+  onToggleSubtask,
+  onRenameSubtask,
+  onDeleteSubtask,
+  reorderable = false,
+  onReorder,
+  conflicts = {},
+  onResolveConflict,
+  hasMore = false,
+  loadingMore = false,
+  onLoadMore,
+}) {
+  const [drag, setDrag] = useState(null); // null | { id, from, over }
+  const listRef = useRef(null);
+  const sentinelRef = useRef(null);
   const hasItems = Array.isArray(items) && items.length > 0;
 
+  // Ask for the next page once the end of the list comes near the viewport; observing
+  // again after each page keeps loading while the list is still too short to scroll
+  useEffect(() => {
+    const el = sentinelRef.current;
+    if (!el || !hasMore || loadingMore || !onLoadMore || typeof window.IntersectionObserver !== "function") {
+      return undefined;
+    }
+    const observer = new window.IntersectionObserver(
+      (entries) => {
+        if (entries.some((entry) => entry.isIntersecting)) onLoadMore();
+      },
+      { rootMargin: "200px" }
+    );
+    observer.observe(el);
+    return () => observer.disconnect();
+  }, [hasMore, loadingMore, onLoadMore]);
+
+  // Track the pointer on the window while dragging so the drop works anywhere
+  useEffect(() => {
+    if (!drag) return undefined;
+
+    const onMove = (e) => {
+      if (!listRef.current) return;
+      const over = insertionIndex(listRef.current, e.clientY);
+      setDrag((cur) => (cur && cur.over !== over ? { ...cur, over } : cur));
+    };
+    const onUp = () => {
+      setDrag(null);
+      // over counts the dragged item itself; onReorder wants an index among the others
+      const toIndex = drag.over > drag.from ? drag.over - 1 : drag.over;
+      if (toIndex !== drag.from && onReorder) onReorder(drag.id, toIndex);
+    };
+    const onCancel = () => setDrag(null);
+    const onKey = (e) => {
+      if (e.key === "Escape") setDrag(null);
+    };
+
+    window.addEventListener("pointermove", onMove);
+    window.addEventListener("pointerup", onUp);
+    window.addEventListener("pointercancel", onCancel);
+    window.addEventListener("keydown", onKey);
+    return () => {
+      window.removeEventListener("pointermove", onMove);
+      window.removeEventListener("pointerup", onUp);
+      window.removeEventListener("pointercancel", onCancel);
+      window.removeEventListener("keydown", onKey);
+    };
+  }, [drag, onReorder]);
+
+  const canReorder = reorderable && !!onReorder;
+
+  const more = hasMore && (
+    <div className="load-more" ref={sentinelRef}>
+      <button type="button" className="btn btn-ghost" onClick={onLoadMore} disabled={loadingMore || !onLoadMore}>
+        {loadingMore ? "Loading…" : "Load more tasks"}
+      </button>
+    </div>
+  );
+
   if (!hasItems) {
     return (
-      <div className="empty-state" role="note" aria-live="polite">
-        No tasks to show. Add your first task above!
-      </div>
+      <>
+        <div className="empty-state" role="note" aria-live="polite">
+          {loadingMore ? "Loading tasks…" : "No tasks to show. Add your first task above!"}
+        </div>
+        {more}
+      </>
     );
   }
 
   return (
-    <ul className="todo-list" role="list" aria-label="Tasks">
-      {items.map((t) => (
-        <TodoItem key={t.id} item={t} onToggle={onToggle} onUpdate={onUpdate} onDelete={onDelete} />
-      ))}
-    </ul>
+    <>
+      <ul className={`todo-list ${drag ? "dragging" : ""}`} role="list" aria-label="Tasks" ref={listRef}>
+        {items.map((t, index) => (
+          <TodoItem
+            key={t.id}
+            item={t}
+            index={index}
+            reorderable={canReorder}
+            dragging={!!drag && drag.id === t.id}
+            dropIndicator={dropIndicatorFor(drag, index, items.length)}
+            onDragStart={(e) => {
+              if (e.button !== undefined && e.button !== 0) return;
+              e.preventDefault();
+              setDrag({ id: t.id, from: index, over: index });
+            }}
+            onMoveBy={(delta) => onReorder(t.id, index + delta)}
+            onToggle={onToggle}
+            onUpdate={onUpdate}
+            onDelete={onDelete}
+            lists={lists}
+            onMoveToList={onMoveToList}
+            onAddSubtask={onAddSubtask}
+            onToggleSubtask={onToggleSubtask}
+            onRenameSubtask={onRenameSubtask}
+            onDeleteSubtask={onDeleteSubtask}
+            conflict={conflicts[t.id] || null}
+            onResolveConflict={onResolveConflict}
+          />
+        ))}
+      </ul>
+      {more}
+    </>
   );
 }
 
@@ -34,4 +174,17 @@ TodoList.propTypes = {
   onToggle: PropTypes.func.isRequired,
   onUpdate: PropTypes.func.isRequired,
   onDelete: PropTypes.func.isRequired,
+  lists: PropTypes.arrayOf(PropTypes.shape({ id: PropTypes.any.isRequired, name: PropTypes.string.isRequired })),
+  onMoveToList: PropTypes.func,
+  onAddSubtask: PropTypes.func.isRequired,
+  onToggleSubtask: PropTypes.func.isRequired,
+  onRenameSubtask: PropTypes.func.isRequired,
+  onDeleteSubtask: PropTypes.func.isRequired,
+  reorderable: PropTypes.bool,
+  onReorder: PropTypes.func,
+  conflicts: PropTypes.object,
+  onResolveConflict: PropTypes.func,
+  hasMore: PropTypes.bool,
+  loadingMore: PropTypes.bool,
+  onLoadMore: PropTypes.func,
 };
@@ -0,0 +1,147 @@
+import React from "react";
+import PropTypes from "prop-types";
+import { formatDueDate, toDateKey } from "../utils/dates";
+import { DEFAULT_LIST_ID } from "../utils/lists";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Trash view: todos moved to the trash, with when they were deleted and the list they
+ * came from. Each can be restored or deleted for good; the whole trash can be emptied.
+ * With a retention period, items show how long they have left before automatic purge.
+ */
+
+/**
+ * "Deleted today", "Deleted Mar 5", … for a deletedAt timestamp.
+ */
+function deletedLabel(deletedAt) {
+  const date = new Date(deletedAt);
+  if (Number.isNaN(date.getTime())) return "Deleted";
+  const label = formatDueDate(toDateKey(date));
+  return `Deleted ${label === "Today" || label === "Yesterday" ? label.toLowerCase() : label}`;
+}
+
+/**
+ * Whole days left before a trashed todo is purged (at least 0).
+ */
+function daysLeft(deletedAt, retentionDays, now = Date.now()) {
+  const expires = Date.parse(deletedAt) + retentionDays * DAY_MS;
+  return Math.max(0, Math.ceil((expires - now) / DAY_MS));
+}
+
+function daysLeftLabel(days) {
+  return `${days} ${days === 1 ? "day" : "days"} left`;
+}
+
+// PUBLIC_INTERFACE
+export default function TrashList({
+  items,
+  lists = [],
+  retentionDays = 0,
+  onRestore,
+  onPurge,
+  onEmpty,
+  hasMore = false,
+  loadingMore = false,
+  onLoadMore,
+}) {
+  /** Renders the trashed todos, newest first, or an empty state. */
+  const listName = (id) => {
+    if (!id || id === DEFAULT_LIST_ID) return null;
+    const list = lists.find((l) => l.id === id);
+    return list ? list.name : null;
+  };
+
+  const more = hasMore && (
+    <div className="load-more">
+      <button type="button" className="btn btn-ghost" onClick={onLoadMore} disabled={loadingMore || !onLoadMore}>
+        {loadingMore ? "Loading…" : "Load more tasks"}
+      </button>
+    </div>
+  );
+
+  return (
+    <div className="trash">
+      <div className="trash-head">
+        <p className="trash-note">
+          {retentionDays > 0
+            ? `Tasks in the trash are deleted for good after ${retentionDays} ${retentionDays === 1 ? "day" : "days"}.`
+            : "Tasks stay in the trash until it is emptied."}
+        </p>
+        {items.length > 0 && (
+          <button type="button" className="btn btn-ghost" onClick={onEmpty}>
+            Empty trash
+          </button>
+        )}
+      </div>
+      {items.length === 0 ? (
+        <div className="empty-state" role="note" aria-live="polite">
+          {loadingMore ? "Loading tasks…" : "The trash is empty."}
+        </div>
+      ) : (
+        <ul className="todo-list trash-list" aria-label="Deleted tasks">
+          {items.map((t) => {
+            const list = listName(t.listId);
+            return (
+              <li key={t.id} className="todo-item trashed">
+                <div className="todo-card">
+                  <div className="left">
+                    <span className="todo-title">{t.title}</span>
+                    <span className="trash-meta">
+                      {[
+                        list,
+                        deletedLabel(t.deletedAt),
+                        retentionDays > 0 && daysLeftLabel(daysLeft(t.deletedAt, retentionDays)),
+                      ]
+                        .filter(Boolean)
+                        .join(" · ")}
+                    </span>
+                  </div>
+                  <div className="actions">
+                    <button
+                      type="button"
+                      className="btn-link"
+                      onClick={() => onRestore(t.id)}
+                      aria-label={`Restore ${t.title}`}
+                    >
+                      Restore
+                    </button>
+                    <button
+                      type="button"
+                      className="icon-btn danger"
+                      onClick={() => onPurge(t.id)}
+                      aria-label={`Delete ${t.title} permanently`}
+                      title="Delete permanently"
+                    >
+                      ✕
+                    </button>
+                  </div>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+      {more}
+    </div>
+  );
+}
+
+TrashList.propTypes = {
+  items: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.any.isRequired,
+      title: PropTypes.string.isRequired,
+      listId: PropTypes.any,
+      deletedAt: PropTypes.string,
+    })
+  ).isRequired,
+  lists: PropTypes.arrayOf(PropTypes.shape({ id: PropTypes.any.isRequired, name: PropTypes.string.isRequired })),
+  retentionDays: PropTypes.number,
+  onRestore: PropTypes.func.isRequired,
+  onPurge: PropTypes.func.isRequired,
+  onEmpty: PropTypes.func.isRequired,
+  hasMore: PropTypes.bool,
+  loadingMore: PropTypes.bool,
+  onLoadMore: PropTypes.func,
+};
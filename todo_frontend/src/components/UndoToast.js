@@ -0,0 +1,39 @@
+import React, { useEffect } from "react";
+import PropTypes from "prop-types";
+
+/**
+ * Snackbar offering to undo the last destructive change.
+ * Dismisses itself after a few seconds; the change stays undoable via Ctrl+Z.
+ */
+
+const AUTO_DISMISS_MS = 8000;
+
+// PUBLIC_INTERFACE
+export default function UndoToast({ notice, onUndo, onDismiss }) {
+  /** Renders nothing without a notice; restarts the dismiss timer for each new notice. */
+  useEffect(() => {
+    if (!notice) return undefined;
+    const timer = setTimeout(onDismiss, AUTO_DISMISS_MS);
+    return () => clearTimeout(timer);
+  }, [notice, onDismiss]);
+
+  if (!notice) return null;
+
+  return (
+    <div className="toast" role="status" aria-live="polite">
+      <span className="toast-text">{notice.label}</span>
+      <button type="button" className="btn-link" onClick={onUndo}>
+        Undo
+      </button>
+      <button type="button" className="tag-remove" onClick={onDismiss} aria-label="Dismiss" title="Dismiss">
+        ×
+      </button>
+    </div>
+  );
+}
+
+UndoToast.propTypes = {
+  notice: PropTypes.shape({ id: PropTypes.any.isRequired, label: PropTypes.string.isRequired }),
+  onUndo: PropTypes.func.isRequired,
+  onDismiss: PropTypes.func.isRequired,
+};
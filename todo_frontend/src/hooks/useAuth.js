@@ -0,0 +1,59 @@
+import { useCallback, useEffect, useState } from "react";
+import * as api from "../services/api";
+import { getSession, subscribeSession } from "../services/session";
+import { saveOutbox, saveTodos } from "../services/storage";
+
+// PUBLIC_INTERFACE
+export default function useAuth() {
+  /**
+   * Sign-in state for the API client (see services/session).
+   * Exposes:
+   *  - enabled: REACT_APP_AUTH_MODE is 'bearer' or 'cookie'
+   *  - status: 'none' | 'signedOut' | 'active' | 'expired'
+   *  - user: the signed-in (or last signed-in, when expired) user, if the server sent one
+   *  - error: message from the last failed sign-in, else null
+   *  - busy: a sign-in request is in flight
+   *  - login(username, password) -> resolves to true on success
+   *  - logout()
+   *
+   * Signing out also drops changes still queued for the server and the offline copy of
+   * the todos, so they are not replayed under the next account.
+   */
+  const [session, setSession] = useState(() => getSession());
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => subscribeSession(setSession), []);
+
+  const login = useCallback(async (username, password) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await api.login(username, password);
+      return true;
+    } catch (err) {
+      setError(
+        api.isAuthError(err) ? "Wrong username or password." : err.message || "Could not sign in. Try again."
+      );
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  }, []);
+
+  const logout = useCallback(async () => {
+    await api.logout();
+    saveOutbox([]);
+    saveTodos([]);
+  }, []);
+
+  return {
+    enabled: session.status !== "none",
+    status: session.status,
+    user: session.user,
+    error,
+    busy,
+    login,
+    logout,
+  };
+}
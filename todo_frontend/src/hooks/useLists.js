@@ -0,0 +1,246 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { getDataMode } from "../utils/env";
+import * as api from "../services/api";
+import { isNetworkOrServerError } from "../services/api";
+import {
+  loadLists as loadLocal,
+  saveLists as saveLocal,
+  loadOutbox,
+  subscribeLists,
+  generateId,
+} from "../services/storage";
+import { DEFAULT_LIST_ID, normalizeList, normalizeLists } from "../utils/lists";
+import { diffTasks } from "../utils/history";
+import { normalizeOutbox } from "../utils/outbox";
+
+// PUBLIC_INTERFACE
+export default function useLists() {
+  /**
+   * Hook to manage the named task lists and which one is shown.
+   * Exposes:
+   *  - lists: Array<{ id, name, order }> sorted by order; always includes the Inbox
+   *  - activeListId: id of the list currently shown
+   *  - selectList(id)
+   *  - createList(name) -> selects the new list and resolves to its id; in api mode once the
+   *    server has given it one (or the create was queued), null when the API refused it
+   *  - renameList(id, name)
+   *  - deleteList(id) -> the Inbox cannot be deleted; resolves to false when nothing was
+   *    deleted (the Inbox, or the API refused and the list was put back)
+   *  - moveList(id, delta) -> shift a list left (-1) or right (+1)
+   *  - ensureLists(names) -> creates the named lists that do not exist yet (without selecting
+   *    them); resolves to a Map of lowercase list name -> id
+   *  - sync: link for useTodos (its lists option), which sends list changes in api mode
+   *
+   * Behavior: localStorage in local mode (kept in sync across tabs). In api mode changes
+   * are applied optimistically and handed to useTodos, which sends them or, while the API
+   * is unreachable, queues them in its outbox with the todo changes; a change the API
+   * refuses is rolled back. A list created while offline keeps its local id until the
+   * queued create goes through, then takes its server id (useTodos moves its todos along).
+   * api mode also keeps a local copy of the lists: when they cannot be fetched (or changes
+   * from an earlier session are still queued) it works from that copy, and useTodos
+   * reloads them once the API answers again.
+   * Deleting a list does not touch todos here; callers move them to the Inbox once
+   * deleteList resolves to true.
+   */
+  const [provider] = useState(() => (getDataMode() === "api" ? "api" : "local"));
+  const [lists, setListsState] = useState(() => normalizeLists(provider === "local" ? loadLocal() : []));
+  const [activeListId, setActiveListId] = useState(DEFAULT_LIST_ID);
+
+  // Synchronous mirror of lists, so a mutation's change set is known before React re-renders
+  const listsRef = useRef(lists);
+  // useTodos' side of the sync link: { send(changes) -> Promise<boolean>, goOffline() }
+  const linkRef = useRef(null);
+  // local id -> server id of lists whose create went through
+  const serverIdsRef = useRef(new Map());
+
+  const setLists = useCallback((update) => {
+    const next = normalizeLists(typeof update === "function" ? update(listsRef.current) : update);
+    listsRef.current = next;
+    setListsState(next);
+    return next;
+  }, []);
+
+  // Initialize from provider on mount
+  useEffect(() => {
+    let isMounted = true;
+
+    async function init() {
+      if (provider !== "api") return;
+      // changes queued in an earlier session were made on the local copy; useTodos sends
+      // them and then reloads the lists
+      if (normalizeOutbox(loadOutbox()).length) {
+        setLists(loadLocal());
+        return;
+      }
+      try {
+        const remote = await api.listLists();
+        if (isMounted) setLists(remote);
+      } catch (err) {
+        if (isNetworkOrServerError(err) && isMounted) {
+          setLists(loadLocal());
+          if (linkRef.current) linkRef.current.goOffline();
+        }
+      }
+    }
+
+    init();
+
+    return () => {
+      isMounted = false;
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  // Persist (in api mode, as the copy to work from while the API is unreachable)
+  useEffect(() => {
+    saveLocal(lists);
+  }, [lists]);
+
+  // In local mode, pick up lists created, renamed or deleted in other tabs
+  useEffect(() => {
+    if (provider !== "local") return undefined;
+    return subscribeLists((next) => setLists(next));
+  }, [provider, setLists]);
+
+  // If the active list disappears (deleted elsewhere), fall back to the Inbox
+  useEffect(() => {
+    if (!lists.some((l) => l.id === activeListId)) setActiveListId(DEFAULT_LIST_ID);
+  }, [lists, activeListId]);
+
+  // PUBLIC_INTERFACE
+  const sync = useMemo(
+    () => ({
+      /** useTodos registers how list changes are sent; returns the function that unregisters it. */
+      connect: (link) => {
+        linkRef.current = link;
+        return () => {
+          if (linkRef.current === link) linkRef.current = null;
+        };
+      },
+      /** A list's create went through (created is the server's copy) or was refused (null). */
+      adoptList: (tempId, created) => {
+        const list = normalizeList(created);
+        if (list) serverIdsRef.current.set(tempId, list.id);
+        setLists((prev) =>
+          list ? prev.map((l) => (l.id === tempId ? list : l)) : prev.filter((l) => l.id !== tempId)
+        );
+        setActiveListId((cur) => (cur === tempId ? (list ? list.id : DEFAULT_LIST_ID) : cur));
+      },
+      /** Fetch the lists again, e.g. once queued changes have been sent. */
+      reload: async () => {
+        try {
+          setLists(await api.listLists());
+        } catch (_err) {
+          // keep the lists shown; the next reload picks up remote changes
+        }
+      },
+    }),
+    [setLists]
+  );
+
+  // Helper for optimistic updates: apply locally, then (api mode) hand the change set to
+  // useTodos; resolves to false when the API refused it and it was rolled back
+  const withOptimistic = useCallback(
+    async (applyLocalChange) => {
+      const snapshot = listsRef.current;
+      const next = setLists(applyLocalChange);
+      const link = linkRef.current;
+      if (provider === "local" || !link) return true;
+
+      const changes = diffTasks(snapshot, next);
+      if (!changes.length || (await link.send(changes))) return true;
+      setLists(snapshot);
+      return false;
+    },
+    [provider, setLists]
+  );
+
+  // PUBLIC_INTERFACE
+  const selectList = useCallback((id) => {
+    setActiveListId(id || DEFAULT_LIST_ID);
+  }, []);
+
+  // PUBLIC_INTERFACE
+  const createList = useCallback(
+    async (name) => {
+      const trimmed = String(name || "").trim();
+      if (!trimmed) return null;
+      const order = lists.reduce((max, l) => Math.max(max, l.order), 0) + 1;
+      const newList = normalizeList({ id: generateId(), name: trimmed, order });
+
+      // Selected only under its server id, so no task is sent with the local one. A create
+      // queued while offline keeps the local id; useTodos moves its tasks along later.
+      if (provider === "local") setActiveListId(newList.id);
+      if (!(await withOptimistic((prev) => [...prev, newList]))) return null;
+      const id = serverIdsRef.current.get(newList.id) ?? newList.id;
+      setActiveListId(id);
+      return id;
+    },
+    [provider, lists, withOptimistic]
+  );
+
+  // PUBLIC_INTERFACE
+  const renameList = useCallback(
+    async (id, name) => {
+      const trimmed = String(name || "").trim();
+      if (!id || !trimmed) return;
+      await withOptimistic((prev) => prev.map((l) => (l.id === id ? { ...l, name: trimmed } : l)));
+    },
+    [withOptimistic]
+  );
+
+  // PUBLIC_INTERFACE
+  const deleteList = useCallback(
+    async (id) => {
+      if (!id || id === DEFAULT_LIST_ID) return false;
+      return withOptimistic((prev) => prev.filter((l) => l.id !== id));
+    },
+    [withOptimistic]
+  );
+
+  // PUBLIC_INTERFACE
+  const moveList = useCallback(
+    async (id, delta) => {
+      const index = lists.findIndex((l) => l.id === id);
+      const swapWith = lists[index + delta];
+      if (index < 0 || !swapWith) return;
+      const current = lists[index];
+      // Swap order values; if they tie, spread them apart so the swap sticks
+      const a = swapWith.order === current.order ? current.order + delta : swapWith.order;
+      const b = current.order;
+
+      await withOptimistic((prev) =>
+        prev.map((l) => {
+          if (l.id === current.id) return { ...l, order: a };
+          if (l.id === swapWith.id) return { ...l, order: b };
+          return l;
+        })
+      );
+    },
+    [lists, withOptimistic]
+  );
+
+  // PUBLIC_INTERFACE
+  const ensureLists = useCallback(
+    async (names) => {
+      const ids = new Map(lists.map((l) => [l.name.toLowerCase(), l.id]));
+      const missing = [];
+      (names || []).forEach((name) => {
+        const trimmed = String(name || "").trim();
+        const key = trimmed.toLowerCase();
+        if (trimmed && !ids.has(key) && !missing.some((m) => m.toLowerCase() === key)) missing.push(trimmed);
+      });
+      if (!missing.length) return ids;
+
+      let order = lists.reduce((max, l) => Math.max(max, l.order), 0);
+      const created = missing.map((name) => normalizeList({ id: generateId(), name, order: (order += 1) }));
+      const ok = await withOptimistic((prev) => [...prev, ...created]);
+      // lists queued while offline keep their local id until the create is sent
+      if (ok) created.forEach((l) => ids.set(l.name.toLowerCase(), serverIdsRef.current.get(l.id) ?? l.id));
+      return ids;
+    },
+    [lists, withOptimistic]
+  );
+
+  return { lists, activeListId, selectList, createList, renameList, deleteList, moveList, ensureLists, sync };
+}
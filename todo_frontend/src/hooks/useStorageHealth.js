@@ -0,0 +1,27 @@
+import { useCallback, useEffect, useState } from "react";
+import { checkStorageHealth, getStorageHealth, subscribeStorageHealth } from "../services/storage";
+
+// PUBLIC_INTERFACE
+export default function useStorageHealth() {
+  /**
+   * Health of the browser storage the app saves to (see services/storage).
+   * Exposes:
+   *  - status: 'ok' | 'unavailable' | 'quota'
+   *  - persistent: false while changes are only kept in memory for this page
+   *  - nearlyFull: storage is close to (or at) its quota
+   *  - usage: { used, quota } in bytes (an estimate)
+   *  - retry(): tries writing again, e.g. after space was freed
+   */
+  const [health, setHealth] = useState(() => checkStorageHealth());
+
+  useEffect(() => {
+    const unsubscribe = subscribeStorageHealth(setHealth);
+    // a write may have failed between the first render and subscribing
+    setHealth(getStorageHealth());
+    return unsubscribe;
+  }, []);
+
+  const retry = useCallback(() => setHealth(checkStorageHealth()), []);
+
+  return { ...health, retry };
+}
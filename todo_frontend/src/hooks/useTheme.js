@@ -1,4 +1,5 @@
 import { useEffect, useState, useCallback } from "react";
+import { readItem, subscribeToStorage, writeItem } from "../services/storage";
 
 /**
  * Key used in localStorage for persisting the theme.
@@ -6,28 +7,12 @@ import { useEffect, useState, useCallback } from "react";
 const THEME_STORAGE_KEY = "todo_app_theme";
 
 /**
- * Safely read a value from localStorage.
- * Returns undefined if unavailable or on error.
+ * Read a value through the storage service (which also sees values kept in memory when
+ * localStorage is unavailable or full). Returns undefined if missing.
  */
 function readLocalStorage(key) {
-  try {
-    const v = window.localStorage.getItem(key);
-    return typeof v === "string" ? v : undefined;
-  } catch (_e) {
-    return undefined;
-  }
-}
-
-/**
- * Safely write a value to localStorage.
- * Silently no-ops if unavailable or on error.
- */
-function writeLocalStorage(key, value) {
-  try {
-    window.localStorage.setItem(key, value);
-  } catch (_e) {
-    // no-op
-  }
+  const v = readItem(key);
+  return typeof v === "string" ? v : undefined;
 }
 
 /**
@@ -68,15 +53,25 @@ export function useTheme() {
    * Behavior:
    *  - Persists current theme in localStorage under "todo_app_theme"
    *  - Applies/removes data-theme attribute on document.documentElement
+   *  - Follows theme changes made in other tabs
    */
   const [theme, setTheme] = useState(getInitialTheme);
 
   // Apply theme to <html data-theme="..."> and persist to localStorage
   useEffect(() => {
     applyThemeAttribute(theme);
-    writeLocalStorage(THEME_STORAGE_KEY, theme);
+    writeItem(THEME_STORAGE_KEY, theme);
   }, [theme]);
 
+  // Another tab switched the theme
+  useEffect(
+    () =>
+      subscribeToStorage(THEME_STORAGE_KEY, (value) => {
+        if (value === "light" || value === "dark") setTheme(value);
+      }),
+    []
+  );
+
   // PUBLIC_INTERFACE
   const toggleTheme = useCallback(() => {
     setTheme((prev) => (prev === "light" ? "dark" : "light"));
@@ -1,7 +1,51 @@
 import { useCallback, useEffect, useMemo, useRef, useState } from "react";
-import { getDataMode } from "../utils/env";
-import * as api from "../services/api";
-import { loadTodos as loadLocal, saveTodos as saveLocal, generateId } from "../services/storage";
+import { isAbortError, isAuthError, isConflictError, isNetworkOrServerError } from "../services/api";
+import { createProvider } from "../services/providers";
+import { getSession, subscribeSession } from "../services/session";
+import { getTrashRetentionDays } from "../utils/env";
+import {
+  loadTodos as loadLocal,
+  saveTodos as saveLocal,
+  loadOutbox,
+  saveOutbox,
+  generateId,
+} from "../services/storage";
+import { classifyDue, normalizeDueDate, normalizeDueTime } from "../utils/dates";
+import { normalizePriority } from "../utils/priority";
+import { DEFAULT_SORT, orderBetween, sortTasks, withManualOrder } from "../utils/sorting";
+import { collectTags, normalizeTags } from "../utils/tags";
+import { normalizeSubtasks } from "../utils/subtasks";
+import { DEFAULT_LIST_ID, listIdOf } from "../utils/lists";
+import {
+  applyChanges,
+  changedFields,
+  diffTasks,
+  invertChanges,
+  remapChangeIds,
+  remapChangeListIds,
+} from "../utils/history";
+import { firstOccurrence, nextOccurrence, normalizeRecurrence, pinRecurrence } from "../utils/recurrence";
+import {
+  isListEntry,
+  moveQueuedTodos,
+  normalizeOutbox,
+  queueChanges,
+  queueListChanges,
+  remapOutboxIds,
+  remapOutboxListIds,
+} from "../utils/outbox";
+import { compareCompleted, isArchived } from "../utils/completions";
+
+// How many undo steps are kept
+const HISTORY_LIMIT = 50;
+
+// How often to probe the API while offline (ms)
+const HEALTH_CHECK_INTERVAL = 15000;
+
+// Todos requested per page from providers that page their list
+const PAGE_SIZE = 50;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 /**
  * Debounce utility for state setter-like functions.
@@ -38,13 +82,6 @@ function useDebouncedCallback(fn, wait = 200) {
   );
 }
 
-/**
- * Helper to detect if an error is a network/server failure eligible for API mode fallback.
- */
-function isNetworkOrServerError(err) {
-  return !!(err && (err.isNetworkOrServerError || (typeof err.status === "number" && err.status >= 500)));
-}
-
 /**
  * Normalize a todo object to ensure shape consistency.
  */
@@ -52,56 +89,392 @@ function normalizeTodo(t) {
   if (!t || typeof t !== "object") return null;
   const id = t.id ?? t._id ?? generateId();
   return {
+    // allow arbitrary additional fields; the known ones below are normalized over them
+    ...t,
     id,
     title: String(t.title ?? "").trim(),
     completed: !!t.completed,
-    // allow arbitrary additional fields but ensure id/title/completed exist
-    ...t,
+    // backends may send snake_case or full ISO datetimes; store a plain date key
+    dueDate: normalizeDueDate(t.dueDate ?? t.due_date),
+    dueTime: normalizeDueDate(t.dueDate ?? t.due_date) ? normalizeDueTime(t.dueTime ?? t.due_time) : null,
+    description: normalizeDescription(t.description),
+    priority: normalizePriority(t.priority),
+    tags: normalizeTags(t.tags),
+    subtasks: normalizeSubtasks(t.subtasks),
+    recurrence: normalizeRecurrence(t.recurrence),
+    listId: listIdOf(t),
+    order: typeof t.order === "number" && Number.isFinite(t.order) ? t.order : null,
+    createdAt: t.createdAt ?? t.created_at ?? null,
+    // server-assigned; sent back as If-Match so concurrent edits are detected
+    version: t.version ?? null,
+    updatedAt: t.updatedAt ?? t.updated_at ?? null,
+    // set while the todo is in the trash
+    deletedAt: t.deletedAt ?? t.deleted_at ?? null,
+    // when it was checked off, and when it was archived out of its list (utils/completions)
+    completedAt: t.completed ? t.completedAt ?? t.completed_at ?? null : null,
+    archivedAt: t.archivedAt ?? t.archived_at ?? null,
   };
 }
 
+// Fields owned by the server, never sent in a create or update body
+const SERVER_FIELDS = ["version", "updatedAt"];
+
+/**
+ * Copy of a field set without server-owned fields.
+ */
+function withoutServerFields(fields) {
+  const out = { ...fields };
+  SERVER_FIELDS.forEach((f) => delete out[f]);
+  return out;
+}
+
+/**
+ * The value to send as If-Match for a todo, or null when the server does not version todos.
+ */
+function concurrencyToken(t) {
+  if (!t) return null;
+  return t.version ?? t.updatedAt ?? null;
+}
+
+/**
+ * Carry the latest server version of each todo over to a re-applied snapshot (undo/redo
+ * restores older copies, whose version would make the next update look stale).
+ */
+function keepServerFields(prev, next) {
+  const byId = new Map(prev.map((t) => [t.id, t]));
+  return next.map((t) => {
+    const p = byId.get(t.id);
+    if (!p || SERVER_FIELDS.every((f) => p[f] === t[f])) return t;
+    return { ...t, version: p.version, updatedAt: p.updatedAt };
+  });
+}
+
+/**
+ * Errors after which a change is kept and queued instead of rolled back: the backend
+ * is unreachable, or the sign-in session expired (the queue is sent after signing in).
+ */
+function shouldQueue(err) {
+  return isNetworkOrServerError(err) || (isAuthError(err) && getSession().status === "expired");
+}
+
+/**
+ * Notes are free-form Markdown text; anything else becomes an empty string.
+ */
+function normalizeDescription(value) {
+  return typeof value === "string" ? value.trim() : "";
+}
+
+/**
+ * The todo with the lowest manual position, or null for an empty list.
+ */
+function lowestOrder(tasks) {
+  return tasks.reduce((min, t) => (typeof t.order === "number" && (!min || t.order < min.order) ? t : min), null);
+}
+
+/**
+ * Normalize a loaded collection; todos saved before manual ordering get positions.
+ */
+function normalizeAll(list) {
+  return withManualOrder((Array.isArray(list) ? list : []).map(normalizeTodo).filter(Boolean));
+}
+
+/**
+ * Server version of a todo merged with the local one. Fields the server did not send
+ * keep their local values, and fields with a local change still in flight (inflight:
+ * Set of field names) keep the local value so a stale echo cannot undo the edit.
+ */
+function mergeRemoteTodo(local, raw, inflight) {
+  const merged = normalizeTodo(local ? { ...local, ...raw } : raw);
+  if (merged && local && inflight) {
+    inflight.forEach((field) => {
+      merged[field] = local[field];
+    });
+  }
+  return merged;
+}
+
+/**
+ * Apply one realtime event ({ type, todo?, id }) to the todo array.
+ * inflight maps todo ids to the Set of fields with local changes awaiting the API.
+ * Only "created" events add todos: an update may carry just the changed fields, and a
+ * todo we do not have (e.g. on a page not loaded yet) arrives with the next reload.
+ */
+function applyRemoteEvent(tasks, event, inflight) {
+  const index = tasks.findIndex((t) => t.id === event.id);
+  if (event.type === "todo.deleted") {
+    return index < 0 ? tasks : tasks.filter((t) => t.id !== event.id);
+  }
+  if (index < 0 && event.type !== "todo.created") return tasks;
+  const local = index < 0 ? null : tasks[index];
+  const merged = mergeRemoteTodo(local, event.todo, inflight.get(event.id));
+  if (!merged) return tasks;
+  if (!local) {
+    // new to us: place it on top of the manual order unless the server sent one
+    const order = typeof event.todo.order === "number" ? merged.order : orderBetween(null, lowestOrder(tasks));
+    return [{ ...merged, order }, ...tasks];
+  }
+  if (JSON.stringify(merged) === JSON.stringify(local)) return tasks;
+  return tasks.map((t, i) => (i === index ? merged : t));
+}
+
+/**
+ * Replace the todo array with a fresh server list, keeping in-flight local edits and
+ * optimistic creates the server has not seen yet.
+ */
+function mergeRemoteList(tasks, list, inflight) {
+  const localById = new Map(tasks.map((t) => [t.id, t]));
+  const merged = (Array.isArray(list) ? list : [])
+    .filter((raw) => raw && typeof raw === "object")
+    .map((raw) => mergeRemoteTodo(localById.get(raw.id), raw, inflight.get(raw.id)))
+    .filter(Boolean);
+  const remoteIds = new Set(merged.map((t) => t.id));
+  const unsent = tasks.filter((t) => !remoteIds.has(t.id) && inflight.has(t.id));
+  return normalizeAll([...unsent, ...merged]);
+}
+
 /**
- * Apply filter and search to a list of tasks.
+ * Add a page of server todos to the ones already loaded (merged like mergeRemoteList,
+ * but nothing is dropped: other views' pages stay cached).
  */
-function filterAndSearch(tasks, filter, search) {
+function mergeRemotePage(tasks, list, inflight) {
+  const byId = new Map(tasks.map((t) => [t.id, t]));
+  (Array.isArray(list) ? list : []).forEach((raw) => {
+    if (!raw || typeof raw !== "object") return;
+    const merged = mergeRemoteTodo(byId.get(raw.id), raw, inflight.get(raw.id));
+    if (merged) byId.set(merged.id, merged);
+  });
+  return normalizeAll(Array.from(byId.values()));
+}
+
+/**
+ * Build the next instance of a recurring todo that is being completed.
+ * Carries every user field forward, resets the checklist and moves the due date
+ * to the next occurrence. The returned item has a fresh local id.
+ */
+function nextRecurringInstance(t) {
+  return normalizeTodo({
+    ...t,
+    id: generateId(),
+    completed: false,
+    dueDate: nextOccurrence(t.recurrence, t.dueDate),
+    recurrence: pinRecurrence(t.recurrence, t.dueDate),
+    subtasks: (t.subtasks || []).map((s) => ({ ...s, completed: false })),
+    createdAt: new Date().toISOString(),
+  });
+}
+
+/**
+ * Whether a task belongs in the given status/date filter segment.
+ */
+function matchesStatusFilter(t, filter) {
+  switch (filter) {
+    case "active":
+      return !t.completed;
+    case "completed":
+      return !!t.completed;
+    case "overdue":
+    case "today":
+    case "upcoming":
+      return classifyDue(t.dueDate, t.completed) === filter;
+    default:
+      return true;
+  }
+}
+
+/**
+ * Whether a todo has been moved to the trash.
+ */
+function isTrashed(t) {
+  return !!t.deletedAt;
+}
+
+/**
+ * Trashed todos whose retention period is over, as of now.
+ */
+function expiredTrash(tasks, retentionDays, now = Date.now()) {
+  if (!retentionDays) return [];
+  const cutoff = now - retentionDays * DAY_MS;
+  return tasks.filter((t) => isTrashed(t) && Date.parse(t.deletedAt) < cutoff);
+}
+
+/**
+ * Count active/total todos per list id (todos in the trash or the archive are left out).
+ */
+function countByList(tasks) {
+  const counts = {};
+  tasks.forEach((t) => {
+    if (isTrashed(t) || isArchived(t)) return;
+    const c = counts[t.listId] || (counts[t.listId] = { active: 0, total: 0 });
+    c.total += 1;
+    if (!t.completed) c.active += 1;
+  });
+  return counts;
+}
+
+/**
+ * Apply list, filter, tag selection, search and sort order to a list of tasks.
+ * A task matches the tag selection when it carries any of the selected tags.
+ * The 'trash' filter shows trashed todos of every list, most recently deleted first;
+ * every other view leaves them out. The 'history' filter shows completed todos of every
+ * list, archived or not, most recently completed first (searching titles, notes and
+ * tags); every other view leaves archived todos out.
+ */
+function filterAndSearch(tasks, { listId, filter, search, sort, tags }) {
   const q = (search || "").trim().toLowerCase();
-  return tasks.filter((t) => {
-    const matchesFilter =
-      filter === "all" ? true : filter === "active" ? !t.completed : filter === "completed" ? !!t.completed : true;
-    const matchesSearch = q.length ? String(t.title || "").toLowerCase().includes(q) : true;
-    return matchesFilter && matchesSearch;
+  if (filter === "trash") {
+    return tasks
+      .filter((t) => isTrashed(t) && (!q || String(t.title || "").toLowerCase().includes(q)))
+      .sort((a, b) => String(b.deletedAt).localeCompare(String(a.deletedAt)));
+  }
+  if (filter === "history") {
+    const matchesQuery = (t) =>
+      [t.title, t.description, ...t.tags.map((tag) => `#${tag}`)].some((text) =>
+        String(text || "").toLowerCase().includes(q)
+      );
+    return tasks.filter((t) => t.completed && !isTrashed(t) && (!q || matchesQuery(t))).sort(compareCompleted);
+  }
+  const selectedTags = tags || [];
+  const matching = tasks.filter((t) => {
+    if (isTrashed(t) || isArchived(t)) return false;
+    if (listId && t.listId !== listId) return false;
+    const matchesFilter = matchesStatusFilter(t, filter);
+    const matchesTags = selectedTags.length ? selectedTags.some((tag) => t.tags.includes(tag)) : true;
+    const matchesSearch = q.length
+      ? String(t.title || "").toLowerCase().includes(q) || t.description.toLowerCase().includes(q)
+      : true;
+    return matchesFilter && matchesTags && matchesSearch;
   });
+  return sortTasks(matching, sort);
+}
+
+/**
+ * Backend query for a view. Status, search, list, tags and sort order are pushed down;
+ * the date segments only narrow by status where they can ('overdue' is always active)
+ * and are finished client-side by filterAndSearch. The trash and the history span every
+ * list; the history includes archived todos, which the list views leave out.
+ */
+function pageQuery({ listId, filter, search, sort, tags }) {
+  const q = (search || "").trim() || null;
+  if (filter === "trash") return { trashed: true, q };
+  if (filter === "history") return { status: "completed", trashed: false, q, sort: "completed" };
+  const status = filter === "active" || filter === "overdue" ? "active" : filter === "completed" ? "completed" : null;
+  return { listId, status, trashed: false, archived: false, q, tags, sort };
 }
 
 // PUBLIC_INTERFACE
-export default function useTodos() {
+export default function useTodos({ listId = DEFAULT_LIST_ID, lists = null } = {}) {
   /**
    * Hook to manage todos and related UI state.
+   * Options:
+   *  - listId: named list to show; new todos are added to it (defaults to the Inbox)
+   *  - lists: the `sync` link of useLists; with a remote provider, list changes are sent
+   *    (or queued while offline) here, in order with the todo changes that refer to them
    * Exposes:
-   *  - tasks: filtered+searched list of todos
-   *  - filter: 'all' | 'active' | 'completed'
-   *  - search: search string
-   *  - addTodo(title)
-   *  - toggleTodo(id)
+   *  - tasks: filtered+searched list of todos in the current list
+   *  - hasMore: the provider has more todos for the current view (paged providers only)
+   *  - loadingMore: a page of the current view is being fetched
+   *  - loadMore() -> fetch the next page of the current view
+   *  - countsByList: { [listId]: { active, total } } across all lists
+   *  - filter: 'all' | 'active' | 'completed' | 'overdue' | 'today' | 'upcoming' | 'trash' | 'history'
+   *    ('trash' lists the trashed todos of every list, most recently deleted first;
+   *    'history' the completed todos of every list, archived ones included, most recently
+   *    completed first; see utils/completions for grouping them by day)
+   *  - search: search string (matches titles and notes)
+   *  - sort: 'manual' | 'created' | 'priority' | 'due' | 'alpha'
+   *  - tagFilter: selected tags narrowing the list (any-of)
+   *  - availableTags: sorted tags used across all todos
+   *  - addTodo(titleOrPayload) -> accepts a title string or { title, description, dueDate, dueTime, priority, tags, recurrence }
+   *  - toggleTodo(id) -> completing sets completedAt (reopening clears it and takes the todo
+   *    out of the archive); completing a recurring todo also schedules its next instance
    *  - updateTodo(id, updates)
-   *  - deleteTodo(id)
-   *  - clearCompleted()
+   *  - deleteTodo(id) -> moves the todo to the trash (sets deletedAt)
+   *  - clearCompleted() -> moves completed todos of the current list to the trash with one
+   *    bulk update, restoring only the todos the provider refused to update
+   *  - archiveCompleted() -> archives the completed todos of the current list (sets archivedAt)
+   *    with one bulk update: they leave the list but stay in the history
+   *  - unarchiveTodo(id) -> puts an archived todo back in its list
+   *  - restoreTodo(id) -> takes a todo out of the trash
+   *  - purgeTodo(id), emptyTrash() -> delete trashed todos for good
+   *  - trashCount: number of todos in the trash
+   *  - trashRetentionDays: days a todo stays in the trash before it is purged automatically
+   *    (utils/env.getTrashRetentionDays; 0 = until the trash is emptied)
+   *  - importTodos(drafts) -> adds parsed todos (utils/transfer) in one bulk create and one
+   *    undo step, on top of the manual order; drafts without a listId go to the current list.
+   *    Resolves to the number added (0 when the import was rolled back)
+   *  - loadAllTodos() -> every todo outside the trash, across lists and views (for export and duplicate checks);
+   *    paged providers are asked for the full list, falling back to the todos loaded so far
+   *  - reorderTodo(id, toIndex) -> move a todo to a position in the visible list (manual order);
+   *    only the moved todo's `order` changes, so the provider gets a single update
+   *  - moveTodoToList(id, listId)
+   *  - releaseList(listId) -> move todos of a deleted list to the Inbox (remote providers
+   *    only update local state: the backend does this on DELETE /lists/:id); todos a local
+   *    store fails to save stay where they were and are listed in failureNotice
+   *  - addSubtask(id, title), toggleSubtask(id, subtaskId),
+   *    renameSubtask(id, subtaskId, title), deleteSubtask(id, subtaskId)
+   *  - undo(), redo() -> step through the history of todo mutations
+   *  - canUndo, canRedo
+   *  - undoNotice: { id, label } after a destructive change (delete, clear completed), else null
+   *  - dismissUndoNotice()
+   *  - failureNotice: { id, total, items: [{ id, title, message }] } when some items of a bulk
+   *    change were rejected by the API (and rolled back), else null
+   *  - dismissFailureNotice()
+   *  - isOffline: a remote provider (api) could not reach the backend; changes are being queued
+   *  - pendingChanges: number of queued API calls waiting to be replayed
+   *  - retrySync() -> check the API now and replay the queue if it answers
+   *  - conflicts: { [todoId]: { mine, theirs } } updates the server rejected because the
+   *    todo changed elsewhere first; mine is the rejected fields, theirs the server's todo
+   *  - resolveConflict(id, choice) -> choice is 'mine', 'theirs' or an object of merged fields
    *  - setFilter(nextFilter)
    *  - setSearch(nextSearch) -> debounced internal update
+   *  - setSort(nextSort)
+   *  - setTagFilter(nextTags)
    *
    * Behavior:
-   *  - Selects data provider based on utils/env.getDataMode(): 'local' or 'api'
-   *  - Initializes tasks from provider on mount.
-   *  - In local mode, persists to localStorage on changes.
-   *  - In api mode, performs optimistic updates with rollback on failure.
+   *  - Reads and writes todos through a data provider (services/providers) chosen by
+   *    utils/env.getDataMode(): 'local' (localStorage), 'indexeddb' or 'api'.
+   *  - Initializes tasks from the provider on mount.
+   *  - Providers with listPage (the api provider) are read a view at a time: the first
+   *    page of the current list/filter/search/tags/sort is fetched when the view is first
+   *    shown, with status and search applied by the backend, and loadMore() appends the
+   *    next. Loaded pages are kept, so going back to a view fetches nothing; a reconnect or
+   *    replayed outbox reloads the current view from its first page. countsByList then
+   *    counts the todos loaded so far.
+   *  - Applies every mutation optimistically, then to the provider; rolls back on failure.
+   *  - Deleting is a soft delete: the todo keeps its place in the store with deletedAt set
+   *    (a PATCH in api mode) until it is purged, by hand or once the retention period is over.
+   *  - Updates carry the todo's last known version (If-Match); a 409/412 keeps the local
+   *    edit and records a conflict instead of silently overwriting either side.
+   *  - When the API is unreachable (network/5xx), keeps changes locally and queues them
+   *    in a persisted outbox; a periodic health check replays the queue in order once the
+   *    API answers again, swapping local ids for server ids as creates go through.
+   *    Changes to named lists (see the lists option) share that queue; once a list's
+   *    server id is known, the todos in it (and queued entries and history) point at it.
+   *  - When the sign-in session expires (services/session), keeps and queues changes the
+   *    same way and sends them once the user has signed in again.
+   *  - Records each mutation as a change set; undo/redo re-apply them and issue the
+   *    compensating provider calls (delete for an add, re-create for a delete, update back).
+   *  - Applies todo created/updated/deleted events the provider pushes (the api provider
+   *    uses the WebSocket at REACT_APP_WS_URL, see services/realtime; local providers report
+   *    changes made in other tabs), without overwriting fields that have a local change in
+   *    flight, and reloads the list after a reconnect.
    *  - Debounces search input updates slightly.
    */
-  const [provider, setProvider] = useState(() => getDataMode() === "api" ? "api" : "local");
-  const [allTasks, setAllTasks] = useState(() => {
-    if (provider === "local") return (loadLocal() || []).map(normalizeTodo).filter(Boolean);
-    return [];
-  });
+  const [provider] = useState(() => createProvider());
+  const [retentionDays] = useState(() => getTrashRetentionDays());
+  const [allTasks, setAllTasksState] = useState(() =>
+    !provider.remote && provider.snapshot ? normalizeAll(provider.snapshot()) : []
+  );
+  const [history, setHistoryState] = useState({ past: [], future: [] });
+  const [outbox, setOutboxState] = useState(() => (provider.remote ? normalizeOutbox(loadOutbox()) : []));
+  const [isOffline, setIsOfflineState] = useState(false);
+  const [conflicts, setConflicts] = useState({});
+  // paged providers: query key -> { nextCursor, done, loading }
+  const [pages, setPagesState] = useState({});
+  const [undoNotice, setUndoNotice] = useState(null);
+  const [failureNotice, setFailureNotice] = useState(null);
   const [filter, setFilter] = useState("all");
+  const [sort, setSort] = useState(DEFAULT_SORT);
+  const [tagFilter, setTagFilterRaw] = useState([]);
   const [searchImmediate, setSearchImmediate] = useState("");
 
   // Debounced external setter for search text
@@ -118,33 +491,124 @@ export default function useTodos() {
     [debouncedSetSearch]
   );
 
-  // Initialize from provider on mount
+  // Synchronous mirrors of tasks/history so change sets can be computed at mutation
+  // time, before React re-renders. All writes go through these setters.
+  const tasksRef = useRef(allTasks);
+  const historyRef = useRef(history);
+  const outboxRef = useRef(outbox);
+  const offlineRef = useRef(isOffline);
+  const flushingRef = useRef(false);
+  // the API session expired: queue changes until the user signs in again
+  const authPausedRef = useRef(provider.remote && getSession().status === "expired");
+  // todo id -> Set of fields with a local change the API has not confirmed yet
+  const inflightRef = useRef(new Map());
+  const pagesRef = useRef(pages);
+  // AbortController of the page request in flight
+  const pageRequestRef = useRef(null);
+
+  const setAllTasks = useCallback((update) => {
+    const next = typeof update === "function" ? update(tasksRef.current) : update;
+    tasksRef.current = next;
+    setAllTasksState(next);
+    return next;
+  }, []);
+
+  const setHistory = useCallback((update) => {
+    const next = update(historyRef.current);
+    historyRef.current = next;
+    setHistoryState(next);
+  }, []);
+
+  const setOutbox = useCallback((update) => {
+    const next = update(outboxRef.current);
+    outboxRef.current = next;
+    setOutboxState(next);
+  }, []);
+
+  const setOffline = useCallback((value) => {
+    offlineRef.current = value;
+    setIsOfflineState(value);
+  }, []);
+
+  const setPages = useCallback((update) => {
+    const next = update(pagesRef.current);
+    pagesRef.current = next;
+    setPagesState(next);
+  }, []);
+
+  // The view as the backend sees it, when the provider pages its list
+  const paged = provider.remote && typeof provider.listPage === "function";
+  const query = useMemo(
+    () => pageQuery({ listId, filter, search, sort, tags: tagFilter }),
+    [listId, filter, search, sort, tagFilter]
+  );
+  const queryKey = JSON.stringify(query);
+  const viewRef = useRef({ query, key: queryKey });
+  viewRef.current = { query, key: queryKey };
+
+  // Fetch the next page of a view (its first page if none was loaded, or with reset) and
+  // merge it into the loaded todos; reset drops every cached page first. A request for
+  // another view cancels the one in flight. Rejects with the provider's error.
+  const loadPage = useCallback(
+    async ({ query: q, key }, { reset = false } = {}) => {
+      const entry = reset ? null : pagesRef.current[key];
+      if (entry && (entry.done || entry.loading)) return;
+      if (pageRequestRef.current) pageRequestRef.current.abort();
+      const controller = new AbortController();
+      pageRequestRef.current = controller;
+      const cursor = entry ? entry.nextCursor : null;
+      setPages((p) => ({ ...(reset ? {} : p), [key]: { nextCursor: cursor, done: false, loading: true } }));
+      try {
+        const page = await provider.listPage({ ...q, cursor, limit: PAGE_SIZE }, { signal: controller.signal });
+        const merge = reset ? mergeRemoteList : mergeRemotePage;
+        setAllTasks((prev) => merge(prev, page.items, inflightRef.current));
+        setPages((p) => ({ ...p, [key]: { nextCursor: page.nextCursor, done: !page.nextCursor, loading: false } }));
+      } catch (err) {
+        setPages((p) => (p[key] ? { ...p, [key]: { ...p[key], loading: false } } : p));
+        if (!isAbortError(err)) throw err;
+      } finally {
+        if (pageRequestRef.current === controller) pageRequestRef.current = null;
+      }
+    },
+    [provider, setAllTasks, setPages]
+  );
+
+  // Initialize from provider on mount; unmounting cancels the read
   useEffect(() => {
-    let isMounted = true;
+    const controller = new AbortController();
+    const { signal } = controller;
 
     async function init() {
-      const mode = getDataMode() === "api" ? "api" : "local";
-      setProvider(mode);
-
-      if (mode === "local") {
-        const local = (loadLocal() || []).map(normalizeTodo).filter(Boolean);
-        if (isMounted) setAllTasks(local);
+      if (!provider.remote) {
+        if (provider.snapshot) return; // already loaded synchronously
+        const initial = tasksRef.current;
+        const list = normalizeAll(await provider.list({ signal }));
+        // keep anything added while the store was loading
+        if (!signal.aborted && tasksRef.current === initial) setAllTasks(list);
         return;
       }
 
-      // api mode
+      if (outboxRef.current.length) {
+        // Changes queued in an earlier session: show the local copy they were made on
+        // and let the health check replay them before anything is fetched
+        setAllTasks(normalizeAll(loadLocal()));
+        setOffline(true);
+        return;
+      }
       try {
-        const list = await api.listTodos();
-        const normalized = Array.isArray(list) ? list.map(normalizeTodo).filter(Boolean) : [];
-        if (isMounted) setAllTasks(normalized);
+        if (paged) {
+          await loadPage(viewRef.current, { reset: true });
+        } else {
+          const list = await provider.list({ signal });
+          setAllTasks(normalizeAll(list));
+        }
       } catch (err) {
-        // Fallback to local mode if network/server problem
-        if (isNetworkOrServerError(err)) {
-          const local = (loadLocal() || []).map(normalizeTodo).filter(Boolean);
-          if (isMounted) {
-            setProvider("local");
-            setAllTasks(local);
-          }
+        if (isAbortError(err)) return;
+        // Work on the local copy if network/server problem (or until the user signs in again);
+        // the health check then reloads from the API once it answers again
+        if (shouldQueue(err)) {
+          setAllTasks(normalizeAll(loadLocal()));
+          if (isNetworkOrServerError(err)) setOffline(true);
         } else {
           // keep api mode but show empty/previous state
           // no rethrow: UI should continue functioning
@@ -156,85 +620,591 @@ export default function useTodos() {
     init();
 
     return () => {
-      isMounted = false;
+      controller.abort();
+      if (pageRequestRef.current) pageRequestRef.current.abort();
     };
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
-  // Persist in local mode
+  // PUBLIC_INTERFACE
+  const loadMore = useCallback(async () => {
+    if (!paged || offlineRef.current || authPausedRef.current) return;
+    try {
+      await loadPage(viewRef.current);
+    } catch (err) {
+      if (isNetworkOrServerError(err)) setOffline(true);
+    }
+  }, [paged, loadPage, setOffline]);
+
+  // Fetch the first page of a view the first time it is shown
+  useEffect(() => {
+    if (!pagesRef.current[queryKey]) loadMore();
+  }, [queryKey, loadMore]);
+
+  // Keep a local copy while a remote provider has changes it could not send yet
+  // (other providers store every change themselves)
   useEffect(() => {
-    if (provider === "local") {
+    if (provider.remote && (isOffline || outbox.length)) {
       saveLocal(allTasks);
     }
-  }, [provider, allTasks]);
+  }, [provider, isOffline, outbox.length, allTasks]);
 
-  // Derived tasks according to filter + search
-  const tasks = useMemo(() => filterAndSearch(allTasks, filter, search), [allTasks, filter, search]);
+  useEffect(() => {
+    if (provider.remote) {
+      saveOutbox(outbox);
+    }
+  }, [provider, outbox]);
+
+  const setTagFilter = useCallback((next) => {
+    setTagFilterRaw(normalizeTags(next));
+  }, []);
+
+  // Derived tasks according to filter + tags + search + sort
+  const tasks = useMemo(
+    () => filterAndSearch(allTasks, { listId, filter, search, sort, tags: tagFilter }),
+    [allTasks, listId, filter, search, sort, tagFilter]
+  );
 
-  // Helper for optimistic updates with rollback in API mode
+  const availableTags = useMemo(
+    () => collectTags(allTasks.filter((t) => t.listId === listId && !isTrashed(t) && !isArchived(t))),
+    [allTasks, listId]
+  );
+
+  const countsByList = useMemo(() => countByList(allTasks), [allTasks]);
+
+  const trashCount = useMemo(() => allTasks.filter(isTrashed).length, [allTasks]);
+
+  // Record a 409/412 from provider.update as a conflict to resolve in the UI. The local
+  // edit stays on screen meanwhile. Resolves to false when the server's copy could not be
+  // obtained (the caller then treats it as an ordinary failure).
+  const reportConflict = useCallback(async (err) => {
+    const id = err.todoId;
+    let current = err.current;
+    if (!current) {
+      try {
+        current = await provider.get(id);
+      } catch (_e) {
+        return false;
+      }
+    }
+    const theirs = mergeRemoteTodo(tasksRef.current.find((t) => t.id === id), current, null);
+    if (!theirs) return false;
+    const mine = withoutServerFields(err.attempted || {});
+    if (!Object.keys(changedFields(theirs, { ...theirs, ...mine })).length) {
+      // both sides made the same change: just take the server copy
+      setAllTasks((prev) => prev.map((t) => (t.id === id ? theirs : t)));
+      return true;
+    }
+    setConflicts((c) => ({ ...c, [id]: { mine, theirs } }));
+    return true;
+  }, [provider, setAllTasks]);
+
+  // Sort out the items a bulk provider call could not apply: network/5xx failures (and
+  // those of an expired session) are queued for replay, conflicts are reported, and the
+  // rest are rolled back (and dropped from the history entry) and listed in failureNotice.
+  // Resolves to the number rolled back.
+  const settleFailures = useCallback(
+    async (entry, changes, failed) => {
+      const byId = new Map(changes.map((c) => [c.id, c]));
+      const queued = [];
+      const rejected = [];
+      let unreachable = false;
+      for (const { id, error } of failed) {
+        const change = byId.get(id);
+        if (!change) continue;
+        if (isConflictError(error) && error.todoId !== undefined && (await reportConflict(error))) continue;
+        if (shouldQueue(error)) {
+          queued.push(change);
+          unreachable = unreachable || isNetworkOrServerError(error);
+        } else {
+          rejected.push({ change, error });
+        }
+      }
+      if (queued.length) {
+        setOutbox((q) => queueChanges(q, queued));
+        if (unreachable) setOffline(true);
+      }
+      if (!rejected.length) return 0;
+
+      const reverted = rejected.map((r) => r.change);
+      setAllTasks((prev) => applyChanges(prev, invertChanges(reverted)));
+      if (entry) {
+        const ids = new Set(reverted.map((c) => c.id));
+        setHistory((h) => ({
+          ...h,
+          past: h.past
+            .map((e) => (e.id === entry.id ? { ...e, changes: e.changes.filter((c) => !ids.has(c.id)) } : e))
+            .filter((e) => e.changes.length),
+        }));
+        if (reverted.length === changes.length) setUndoNotice((n) => (n && n.id === entry.id ? null : n));
+      }
+      setFailureNotice({
+        id: generateId(),
+        total: changes.length,
+        items: rejected.map(({ change, error }) => ({
+          id: change.id,
+          title: (change.before || change.after).title,
+          message: (error && error.message) || "Request failed",
+        })),
+      });
+      return rejected.length;
+    },
+    [reportConflict, setAllTasks, setHistory, setOutbox, setOffline]
+  );
+
+  // Helper for optimistic updates: apply locally, then through the provider; roll back on failure.
+  // Every applied change is recorded as an undo step unless options.record is false.
+  // While offline (or when the call fails with a network/server error) the change is
+  // kept and queued in the outbox instead of calling the API. A conflicting update is
+  // kept too and reported through `conflicts` instead of being rolled back.
+  // apiCall may resolve to { failed: [{ id, error }] } (bulk calls): only those items
+  // are then rolled back, see settleFailures.
+  // Resolves to true when the change (or part of it) stuck, false when it was rolled back.
   const withOptimistic = useCallback(
-    async (applyLocalChange, apiCall, rollbackOnError) => {
-      if (provider === "local") {
-        // Just apply and persist
-        setAllTasks((prev) => {
-          const next = applyLocalChange(prev);
-          return next;
-        });
-        return;
+    async (applyLocalChange, apiCall, rollbackOnError, options = {}) => {
+      const { label = "Edited task", destructive = false, record = true } = options;
+      const snapshot = tasksRef.current;
+      const next = setAllTasks(applyLocalChange);
+      const changes = diffTasks(snapshot, next);
+
+      const entry = record && changes.length ? { id: generateId(), label, destructive, changes } : null;
+      if (entry) {
+        setHistory((h) => ({ past: [...h.past, entry].slice(-HISTORY_LIMIT), future: [] }));
+        setUndoNotice(destructive ? { id: entry.id, label } : null);
       }
 
-      // API mode: optimistic update then call API
-      let snapshot;
-      setAllTasks((prev) => {
-        snapshot = prev;
-        const next = applyLocalChange(prev);
-        return next;
+      if (offlineRef.current || authPausedRef.current) {
+        setOutbox((q) => queueChanges(q, changes));
+        return true;
+      }
+
+      // The change is already applied optimistically; now hand it to the provider.
+      // Realtime events arriving meanwhile must not overwrite the touched fields.
+      const touched = changes.map((c) => {
+        const fields = Object.keys(changedFields(c.before, c.after));
+        const set = inflightRef.current.get(c.id) || new Set();
+        fields.forEach((f) => set.add(f));
+        inflightRef.current.set(c.id, set);
+        return [c.id, set, fields];
       });
+      const release = () =>
+        touched.forEach(([id, set, fields]) => {
+          fields.forEach((f) => set.delete(f));
+          if (!set.size && inflightRef.current.get(id) === set) inflightRef.current.delete(id);
+        });
 
       try {
-        await apiCall();
+        const result = await apiCall();
+        release();
+        const failed = result && Array.isArray(result.failed) ? result.failed : [];
+        if (!failed.length) return true;
+        return (await settleFailures(entry, changes, failed)) < changes.length;
       } catch (err) {
+        release();
+        if (isConflictError(err) && err.todoId !== undefined && (await reportConflict(err))) {
+          return true;
+        }
+        if (shouldQueue(err)) {
+          // Keep the change and send it once the API is back (or the user signed in again)
+          setOutbox((q) => queueChanges(q, changes));
+          if (isNetworkOrServerError(err)) setOffline(true);
+          return true;
+        }
+
         // rollback on failure
         setAllTasks((prev) => {
           // If a specialized rollback is provided, use it; else restore snapshot
           return typeof rollbackOnError === "function" ? rollbackOnError(prev, snapshot) : snapshot;
         });
+        if (entry) {
+          setHistory((h) => ({ ...h, past: h.past.filter((e) => e.id !== entry.id) }));
+          setUndoNotice((n) => (n && n.id === entry.id ? null : n));
+        }
+        return false;
+      }
+    },
+    [setAllTasks, setHistory, setOutbox, setOffline, reportConflict, settleFailures]
+  );
+
+  // Take the version/updatedAt the server returned for a todo, without recording history
+  const acceptServerFields = useCallback(
+    (id, updated) => {
+      if (!updated || typeof updated !== "object" || SERVER_FIELDS.every((f) => updated[f] === undefined)) return;
+      setAllTasks((prev) =>
+        prev.map((t) =>
+          t.id === id ? { ...t, version: updated.version ?? t.version, updatedAt: updated.updatedAt ?? t.updatedAt } : t
+        )
+      );
+    },
+    [setAllTasks]
+  );
+
+  // Update a todo conditionally on the version we last saw, then take the server's new version
+  const patchTodo = useCallback(
+    async (id, fields) => {
+      const current = tasksRef.current.find((t) => t.id === id);
+      const updated = await provider.update(id, withoutServerFields(fields), { version: concurrencyToken(current) });
+      acceptServerFields(id, updated);
+      return updated;
+    },
+    [provider, acceptServerFields]
+  );
+
+  // Swap an optimistic item (local id) for the version the server created
+  const adoptServerItem = useCallback(
+    (tempId, created) => {
+      const normalized = normalizeTodo(created);
+      if (!normalized) return;
+      // a realtime "created" event may have delivered the server copy already
+      setAllTasks((prev) =>
+        prev
+          .filter((t) => t.id !== normalized.id || t.id === tempId)
+          .map((t) => (t.id === tempId ? { ...normalized } : t))
+      );
+      if (normalized.id !== tempId) {
+        const remap = (e) => ({ ...e, changes: remapChangeIds(e.changes, tempId, normalized.id) });
+        setHistory((h) => ({ past: h.past.map(remap), future: h.future.map(remap) }));
+      }
+    },
+    [setAllTasks, setHistory]
+  );
+
+  // Issue the provider calls that make the store match a change set (used by undo/redo).
+  // Resolves to { failed: [{ id, error }] } for the items the provider rejected.
+  const pushChanges = useCallback(
+    async (changes) => {
+      const deletes = changes.filter((c) => c.before && !c.after);
+      const creates = changes.filter((c) => !c.before && c.after);
+      const updates = changes.filter((c) => c.before && c.after);
+      const failed = [];
+
+      if (deletes.length) {
+        const results = await provider.bulkRemove(deletes.map((c) => c.id));
+        results.forEach((r) => !r.ok && failed.push({ id: r.id, error: r.error }));
+      }
+      if (creates.length) {
+        const results = await provider.bulkCreate(creates.map((c) => c.after));
+        results.forEach((r, i) => {
+          // Restored todos get a new server id; remap state and history to it
+          if (r.ok) adoptServerItem(creates[i].id, r.todo);
+          else failed.push({ id: creates[i].id, error: r.error });
+        });
+      }
+      if (updates.length) {
+        const results = await provider.bulkUpdate(
+          updates.map((c) => ({
+            id: c.id,
+            fields: withoutServerFields(changedFields(c.before, c.after)),
+            version: concurrencyToken(tasksRef.current.find((t) => t.id === c.id)),
+          }))
+        );
+        results.forEach((r) => (r.ok ? acceptServerFields(r.id, r.todo) : failed.push({ id: r.id, error: r.error })));
+      }
+      return { failed };
+    },
+    [provider, adoptServerItem, acceptServerFields]
+  );
+
+  // Swap a list's local id for the one the server created in useLists, the todos, the
+  // outbox and the history. Without a created list (the server refused it), its queued
+  // entries are dropped and its todos move to the Inbox.
+  const adoptServerList = useCallback(
+    (tempId, created) => {
+      const newId = created ? created.id : DEFAULT_LIST_ID;
+      if (lists) lists.adoptList(tempId, created);
+      if (newId === tempId) return;
+      setAllTasks((prev) => prev.map((t) => (t.listId === tempId ? { ...t, listId: newId } : t)));
+      setOutbox((q) =>
+        created
+          ? remapOutboxListIds(q, tempId, newId)
+          : moveQueuedTodos(
+              q.filter((op) => !(isListEntry(op) && op.listId === tempId)),
+              tempId,
+              newId
+            )
+      );
+      const remap = (e) => ({ ...e, changes: remapChangeListIds(e.changes, tempId, newId) });
+      setHistory((h) => ({ past: h.past.map(remap), future: h.future.map(remap) }));
+    },
+    [lists, setAllTasks, setOutbox, setHistory]
+  );
+
+  // Send one queued list entry to the provider
+  const sendListEntry = useCallback(
+    async (op) => {
+      if (op.type === "create") {
+        const created = await provider.createList(op.list);
+        const serverId = created && created.id !== undefined ? created.id : op.listId;
+        adoptServerList(op.listId, { ...op.list, ...created, id: serverId });
+        return serverId;
+      }
+      if (op.type === "delete") {
+        await provider.removeList(op.listId);
+      } else {
+        await provider.updateList(op.listId, op.fields);
+      }
+      return op.listId;
+    },
+    [provider, adoptServerList]
+  );
+
+  // Send one queued outbox entry to the provider
+  const sendQueued = useCallback(
+    async (op) => {
+      if (isListEntry(op)) return sendListEntry(op);
+      if (op.type === "create") {
+        const created = await provider.create(op.todo);
+        adoptServerItem(op.todoId, created);
+        const normalized = normalizeTodo(created);
+        return normalized ? normalized.id : op.todoId;
+      }
+      if (op.type === "delete") {
+        await provider.remove(op.todoId);
+      } else {
+        await patchTodo(op.todoId, op.fields);
+      }
+      return op.todoId;
+    },
+    [provider, sendListEntry, adoptServerItem, patchTodo]
+  );
+
+  // Replay the outbox in order. Stops (and stays offline) at the first network/server
+  // error; entries the server rejects outright (e.g. a todo deleted elsewhere) are dropped.
+  // Once the queue is empty, reloads the list from the server to pick up remote changes.
+  const flushOutbox = useCallback(async () => {
+    if (!provider.remote || flushingRef.current || authPausedRef.current) return;
+    flushingRef.current = true;
+    try {
+      while (outboxRef.current.length) {
+        const op = outboxRef.current[0];
+        let serverId = op.todoId;
+        try {
+          serverId = await sendQueued(op);
+        } catch (err) {
+          if (shouldQueue(err)) return;
+          if (isListEntry(op)) {
+            // a list the server would not create: its todos go to the Inbox
+            if (op.type === "create") adoptServerList(op.listId, null);
+          } else if (isConflictError(err)) {
+            await reportConflict(err);
+          }
+        }
+        setOutbox((q) => {
+          const rest = q.filter((o) => o.id !== op.id);
+          return isListEntry(op) ? rest : remapOutboxIds(rest, op.todoId, serverId);
+        });
+      }
+      setOffline(false);
+      if (lists) lists.reload();
 
-        // Fallback to local if network/server is down
-        if (isNetworkOrServerError(err)) {
-          setProvider("local");
+      if (paged) {
+        await loadPage(viewRef.current, { reset: true });
+        return;
+      }
+      const snapshot = tasksRef.current;
+      const list = await provider.list();
+      // skip if anything changed meanwhile; the next load picks it up
+      if (tasksRef.current === snapshot && !outboxRef.current.length) {
+        setAllTasks(normalizeAll(list));
+      }
+    } catch (_err) {
+      // reload failed; keep the local state, which already matches what was sent
+    } finally {
+      flushingRef.current = false;
+    }
+  }, [
+    provider,
+    paged,
+    lists,
+    loadPage,
+    sendQueued,
+    adoptServerList,
+    setOutbox,
+    setOffline,
+    setAllTasks,
+    reportConflict,
+  ]);
+
+  // While offline, probe the API periodically (and when the browser reports it is back online)
+  useEffect(() => {
+    if (!provider.remote || !isOffline) return undefined;
+    let cancelled = false;
+
+    const check = async () => {
+      const healthy = await provider.checkHealth();
+      if (healthy && !cancelled) flushOutbox();
+    };
+
+    check();
+    const timer = setInterval(check, HEALTH_CHECK_INTERVAL);
+    window.addEventListener("online", check);
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+      window.removeEventListener("online", check);
+    };
+  }, [provider, isOffline, flushOutbox]);
+
+  // Realtime updates: merge pushed events, and resync the whole list after a reconnect
+  // since events sent while disconnected are lost
+  useEffect(() => {
+    const resync = async () => {
+      if (outboxRef.current.length) return; // flushOutbox reloads once the queue is sent
+      try {
+        if (paged) {
+          await loadPage(viewRef.current, { reset: true });
+          return;
+        }
+        const list = await provider.list();
+        setAllTasks((prev) => mergeRemoteList(prev, list, inflightRef.current));
+      } catch (err) {
+        if (isNetworkOrServerError(err)) setOffline(true);
+      }
+    };
+
+    return provider.subscribe({
+      onEvent: (event) => setAllTasks((prev) => applyRemoteEvent(prev, event, inflightRef.current)),
+      onOpen: ({ reconnected }) => {
+        if (reconnected) resync();
+      },
+    });
+  }, [provider, paged, loadPage, setAllTasks, setOffline]);
+
+  // Send what was queued while the session was expired once the user has signed in again
+  useEffect(() => {
+    if (!provider.remote) return undefined;
+    return subscribeSession((session) => {
+      const wasPaused = authPausedRef.current;
+      authPausedRef.current = session.status === "expired";
+      if (wasPaused && session.status === "active") flushOutbox();
+    });
+  }, [provider, flushOutbox]);
+
+  // Send the changes useLists makes to named lists, or queue them with the todo changes.
+  // Resolves to false when the provider refused them (useLists then puts the lists back).
+  const sendListChanges = useCallback(
+    async (changes) => {
+      if (offlineRef.current || authPausedRef.current) {
+        setOutbox((q) => queueListChanges(q, changes));
+        return true;
+      }
+      for (let i = 0; i < changes.length; i += 1) {
+        const [op] = queueListChanges([], [changes[i]]);
+        if (!op) continue;
+        try {
+          await sendListEntry(op);
+        } catch (err) {
+          if (shouldQueue(err)) {
+            setOutbox((q) => queueListChanges(q, changes.slice(i)));
+            if (isNetworkOrServerError(err)) setOffline(true);
+            return true;
+          }
+          if (op.type === "create") adoptServerList(op.listId, null);
+          return false;
         }
       }
+      return true;
     },
-    [provider]
+    [sendListEntry, adoptServerList, setOutbox, setOffline]
   );
 
+  useEffect(() => {
+    if (!lists || !provider.remote) return undefined;
+    return lists.connect({ send: sendListChanges, goOffline: () => setOffline(true) });
+  }, [lists, provider, sendListChanges, setOffline]);
+
+  // PUBLIC_INTERFACE
+  const retrySync = useCallback(async () => {
+    if (!provider.remote) return;
+    if (await provider.checkHealth()) await flushOutbox();
+  }, [provider, flushOutbox]);
+
+  // Re-apply an undo step in either direction, locally and through the provider
+  const replayEntry = useCallback(
+    (entry, direction) => {
+      const changes = direction === "undo" ? invertChanges(entry.changes) : entry.changes;
+      return withOptimistic(
+        (prev) => keepServerFields(prev, applyChanges(prev, changes)),
+        () => pushChanges(changes),
+        (prev, snapshot) => snapshot,
+        { record: false }
+      );
+    },
+    [withOptimistic, pushChanges]
+  );
+
+  // PUBLIC_INTERFACE
+  const undo = useCallback(async () => {
+    const { past } = historyRef.current;
+    const entry = past[past.length - 1];
+    if (!entry) return;
+    setUndoNotice(null);
+    setHistory((h) => ({ past: h.past.filter((e) => e.id !== entry.id), future: [...h.future, entry] }));
+    const ok = await replayEntry(entry, "undo");
+    if (!ok) {
+      setHistory((h) => ({ past: [...h.past, entry], future: h.future.filter((e) => e.id !== entry.id) }));
+    }
+  }, [replayEntry, setHistory]);
+
+  // PUBLIC_INTERFACE
+  const redo = useCallback(async () => {
+    const { future } = historyRef.current;
+    const entry = future[future.length - 1];
+    if (!entry) return;
+    setUndoNotice(null);
+    setHistory((h) => ({ past: [...h.past, entry], future: h.future.filter((e) => e.id !== entry.id) }));
+    const ok = await replayEntry(entry, "redo");
+    if (!ok) {
+      setHistory((h) => ({ past: h.past.filter((e) => e.id !== entry.id), future: [...h.future, entry] }));
+    }
+  }, [replayEntry, setHistory]);
+
+  // PUBLIC_INTERFACE
+  const dismissFailureNotice = useCallback(() => {
+    setFailureNotice(null);
+  }, []);
+
+  // PUBLIC_INTERFACE
+  const dismissUndoNotice = useCallback(() => {
+    setUndoNotice(null);
+  }, []);
+
   // PUBLIC_INTERFACE
   const addTodo = useCallback(
-    async (title) => {
-      const trimmed = String(title || "").trim();
+    async (input) => {
+      const payload = typeof input === "string" ? { title: input } : input || {};
+      const trimmed = String(payload.title || "").trim();
       if (!trimmed) return;
 
-      const newItem = normalizeTodo({ id: generateId(), title: trimmed, completed: false });
+      const recurrence = normalizeRecurrence(payload.recurrence);
+      const fields = {
+        title: trimmed,
+        description: normalizeDescription(payload.description),
+        completed: false,
+        // recurring tasks always carry a due date so the next one can be scheduled from it
+        dueDate: normalizeDueDate(payload.dueDate) || (recurrence ? firstOccurrence(recurrence) : null),
+        dueTime: normalizeDueTime(payload.dueTime),
+        recurrence,
+        listId: payload.listId || listId,
+        priority: normalizePriority(payload.priority),
+        tags: normalizeTags(payload.tags),
+        // new todos go to the top of the manual order
+        order: orderBetween(null, lowestOrder(tasksRef.current)),
+        createdAt: new Date().toISOString(),
+      };
+      const newItem = normalizeTodo({ id: generateId(), ...fields });
 
       await withOptimistic(
         (prev) => [newItem, ...prev],
         async () => {
-          if (provider === "api") {
-            const created = await api.createTodo({ title: trimmed, completed: false });
-            const normalized = normalizeTodo(created);
-            if (normalized) {
-              // replace temp item by server version using id match rules
-              setAllTasks((prev) =>
-                prev.map((t) => (t.id === newItem.id ? { ...normalized } : t))
-              );
-            }
-          }
+          const created = await provider.create(newItem);
+          adoptServerItem(newItem.id, created);
         },
-        (prev, snapshot) => snapshot
+        (prev, snapshot) => snapshot,
+        { label: "Added task" }
       );
     },
-    [provider, withOptimistic]
+    [listId, provider, withOptimistic, adoptServerItem]
   );
 
   // PUBLIC_INTERFACE
@@ -245,17 +1215,46 @@ export default function useTodos() {
       if (!target) return;
       const nextCompleted = !target.completed;
 
+      if (nextCompleted && target.recurrence) {
+        // Completing a recurring todo: close this instance and schedule the next one
+        const nextItem = nextRecurringInstance(target);
+        const closed = { completed: true, completedAt: new Date().toISOString(), recurrence: null };
+
+        await withOptimistic(
+          (prev) => [nextItem, ...prev.map((t) => (t.id === id ? { ...t, ...closed } : t))],
+          async () => {
+            await patchTodo(id, closed);
+            try {
+              const created = await provider.create(nextItem);
+              adoptServerItem(nextItem.id, created);
+            } catch (err) {
+              // The close went through but the next instance was refused: reopen this one on
+              // the server too, or it would stay completed without its rule. Errors that queue
+              // the change (offline, signed out) keep both steps and need no undo.
+              if (!shouldQueue(err)) {
+                const reopened = { completed: false, completedAt: null, recurrence: target.recurrence };
+                await patchTodo(id, reopened).catch(() => {});
+              }
+              throw err;
+            }
+          },
+          (prev, snapshot) => snapshot,
+          { label: "Completed task" }
+        );
+        return;
+      }
+
+      const fields = nextCompleted
+        ? { completed: true, completedAt: new Date().toISOString() }
+        : { completed: false, completedAt: null, archivedAt: null };
       await withOptimistic(
-        (prev) => prev.map((t) => (t.id === id ? { ...t, completed: nextCompleted } : t)),
-        async () => {
-          if (provider === "api") {
-            await api.updateTodo(id, { completed: nextCompleted });
-          }
-        },
-        (prev, snapshot) => snapshot
+        (prev) => prev.map((t) => (t.id === id ? { ...t, ...fields } : t)),
+        () => patchTodo(id, fields),
+        (prev, snapshot) => snapshot,
+        { label: nextCompleted ? "Completed task" : "Reopened task" }
       );
     },
-    [allTasks, provider, withOptimistic]
+    [allTasks, provider, withOptimistic, adoptServerItem, patchTodo]
   );
 
   // PUBLIC_INTERFACE
@@ -266,65 +1265,459 @@ export default function useTodos() {
       if (typeof safeUpdates.title === "string") {
         safeUpdates.title = safeUpdates.title.trim();
       }
+      if ("description" in safeUpdates) {
+        safeUpdates.description = normalizeDescription(safeUpdates.description);
+      }
+      if ("dueDate" in safeUpdates) {
+        safeUpdates.dueDate = normalizeDueDate(safeUpdates.dueDate);
+        // a time of day means nothing without a date
+        if (!safeUpdates.dueDate) safeUpdates.dueTime = null;
+      }
+      if ("dueTime" in safeUpdates) {
+        safeUpdates.dueTime = normalizeDueTime(safeUpdates.dueTime);
+      }
+      if ("priority" in safeUpdates) {
+        safeUpdates.priority = normalizePriority(safeUpdates.priority);
+      }
+      if ("tags" in safeUpdates) {
+        safeUpdates.tags = normalizeTags(safeUpdates.tags);
+      }
+      if ("subtasks" in safeUpdates) {
+        safeUpdates.subtasks = normalizeSubtasks(safeUpdates.subtasks);
+      }
+      if ("recurrence" in safeUpdates) {
+        safeUpdates.recurrence = normalizeRecurrence(safeUpdates.recurrence);
+      }
+      if ("completed" in safeUpdates) {
+        safeUpdates.completed = !!safeUpdates.completed;
+        const target = tasksRef.current.find((t) => t.id === id);
+        if (!safeUpdates.completed) Object.assign(safeUpdates, { completedAt: null, archivedAt: null });
+        else if (!target || !target.completed) safeUpdates.completedAt = new Date().toISOString();
+      }
 
       await withOptimistic(
         (prev) => prev.map((t) => (t.id === id ? { ...t, ...safeUpdates } : t)),
-        async () => {
-          if (provider === "api") {
-            await api.updateTodo(id, safeUpdates);
-          }
-        },
+        () => patchTodo(id, safeUpdates),
         (prev, snapshot) => snapshot
       );
     },
-    [provider, withOptimistic]
+    [withOptimistic, patchTodo]
   );
 
   // PUBLIC_INTERFACE
   const deleteTodo = useCallback(
     async (id) => {
       if (!id) return;
+      const deletedAt = new Date().toISOString();
 
       await withOptimistic(
-        (prev) => prev.filter((t) => t.id !== id),
-        async () => {
-          if (provider === "api") {
-            await api.deleteTodo(id);
-          }
-        },
-        (prev, snapshot) => snapshot
+        (prev) => prev.map((t) => (t.id === id ? { ...t, deletedAt } : t)),
+        () => patchTodo(id, { deletedAt }),
+        (prev, snapshot) => snapshot,
+        { label: "Moved task to trash", destructive: true }
       );
     },
-    [provider, withOptimistic]
+    [withOptimistic, patchTodo]
   );
 
   // PUBLIC_INTERFACE
   const clearCompleted = useCallback(async () => {
-    const completedIds = allTasks.filter((t) => t.completed).map((t) => t.id);
-    if (!completedIds.length) return;
+    const isClearable = (t) => t.completed && t.listId === listId && !isTrashed(t);
+    const cleared = allTasks.filter(isClearable);
+    if (!cleared.length) return;
+    const ids = new Set(cleared.map((t) => t.id));
+    const deletedAt = new Date().toISOString();
 
     await withOptimistic(
-      (prev) => prev.filter((t) => !t.completed),
+      (prev) => prev.map((t) => (ids.has(t.id) ? { ...t, deletedAt } : t)),
       async () => {
-        if (provider === "api") {
-          // If backend lacks a batch clear endpoint, we serially delete.
-          await Promise.allSettled(completedIds.map((id) => api.deleteTodo(id)));
-        }
+        // one batch call (or per-item updates where the provider has none); only failures roll back
+        const results = await provider.bulkUpdate(
+          cleared.map((t) => ({ id: t.id, fields: { deletedAt }, version: concurrencyToken(t) }))
+        );
+        results.forEach((r) => r.ok && acceptServerFields(r.id, r.todo));
+        return { failed: results.filter((r) => !r.ok) };
+      },
+      (prev, snapshot) => snapshot,
+      {
+        label: `Moved ${cleared.length} completed task${cleared.length === 1 ? "" : "s"} to trash`,
+        destructive: true,
+      }
+    );
+  }, [allTasks, listId, provider, withOptimistic, acceptServerFields]);
+
+  // PUBLIC_INTERFACE
+  const archiveCompleted = useCallback(async () => {
+    const isArchivable = (t) => t.completed && t.listId === listId && !isTrashed(t) && !isArchived(t);
+    const archived = allTasks.filter(isArchivable);
+    if (!archived.length) return;
+    const ids = new Set(archived.map((t) => t.id));
+    const archivedAt = new Date().toISOString();
+    // todos completed before completedAt existed get one now, so their place in the history stays put
+    const fieldsOf = (t) => (t.completedAt ? { archivedAt } : { archivedAt, completedAt: archivedAt });
+
+    await withOptimistic(
+      (prev) => prev.map((t) => (ids.has(t.id) ? { ...t, ...fieldsOf(t) } : t)),
+      async () => {
+        const results = await provider.bulkUpdate(
+          archived.map((t) => ({ id: t.id, fields: fieldsOf(t), version: concurrencyToken(t) }))
+        );
+        results.forEach((r) => r.ok && acceptServerFields(r.id, r.todo));
+        return { failed: results.filter((r) => !r.ok) };
       },
-      (prev, snapshot) => snapshot
+      (prev, snapshot) => snapshot,
+      {
+        label: `Archived ${archived.length} completed task${archived.length === 1 ? "" : "s"}`,
+        destructive: true,
+      }
     );
-  }, [allTasks, provider, withOptimistic]);
+  }, [allTasks, listId, provider, withOptimistic, acceptServerFields]);
+
+  // PUBLIC_INTERFACE
+  const unarchiveTodo = useCallback(
+    async (id) => {
+      if (!id) return;
+
+      await withOptimistic(
+        (prev) => prev.map((t) => (t.id === id ? { ...t, archivedAt: null } : t)),
+        () => patchTodo(id, { archivedAt: null }),
+        (prev, snapshot) => snapshot,
+        { label: "Moved task back to its list" }
+      );
+    },
+    [withOptimistic, patchTodo]
+  );
+
+  // PUBLIC_INTERFACE
+  const restoreTodo = useCallback(
+    async (id) => {
+      if (!id) return;
+
+      await withOptimistic(
+        (prev) => prev.map((t) => (t.id === id ? { ...t, deletedAt: null } : t)),
+        () => patchTodo(id, { deletedAt: null }),
+        (prev, snapshot) => snapshot,
+        { label: "Restored task" }
+      );
+    },
+    [withOptimistic, patchTodo]
+  );
+
+  // Delete todos for good; options are passed on to withOptimistic
+  const purge = useCallback(
+    (ids, options) => {
+      const purged = new Set(ids);
+      return withOptimistic(
+        (prev) => prev.filter((t) => !purged.has(t.id)),
+        async () => {
+          const results = await provider.bulkRemove(ids);
+          return { failed: results.filter((r) => !r.ok) };
+        },
+        (prev, snapshot) => snapshot,
+        options
+      );
+    },
+    [provider, withOptimistic]
+  );
+
+  // PUBLIC_INTERFACE
+  const purgeTodo = useCallback(
+    async (id) => {
+      if (!id) return;
+      await purge([id], { label: "Deleted task permanently", destructive: true });
+    },
+    [purge]
+  );
+
+  // PUBLIC_INTERFACE
+  const emptyTrash = useCallback(async () => {
+    const ids = allTasks.filter(isTrashed).map((t) => t.id);
+    if (!ids.length) return;
+    await purge(ids, {
+      label: `Deleted ${ids.length} task${ids.length === 1 ? "" : "s"} permanently`,
+      destructive: true,
+    });
+  }, [allTasks, purge]);
+
+  // Purge todos that have been in the trash longer than the retention period (each id is
+  // tried once per session, so a refused purge is not retried in a loop)
+  const purgeAttemptedRef = useRef(new Set());
+  useEffect(() => {
+    const expired = expiredTrash(allTasks, retentionDays)
+      .map((t) => t.id)
+      .filter((id) => !purgeAttemptedRef.current.has(id));
+    if (!expired.length) return;
+    expired.forEach((id) => purgeAttemptedRef.current.add(id));
+    purge(expired, { record: false });
+  }, [allTasks, retentionDays, purge]);
+
+  // PUBLIC_INTERFACE
+  const importTodos = useCallback(
+    async (drafts) => {
+      const valid = (Array.isArray(drafts) ? drafts : []).filter((d) => d && String(d.title || "").trim());
+      if (!valid.length) return 0;
+      const now = new Date().toISOString();
+      // imported todos go to the top of the manual order, in the order they were given
+      let top = lowestOrder(tasksRef.current);
+      const items = valid
+        .slice()
+        .reverse()
+        .map((draft) => {
+          // list and duplicate are import-preview annotations, not todo fields
+          const fields = withoutServerFields(draft);
+          delete fields.list;
+          delete fields.duplicate;
+          const order = orderBetween(null, top);
+          top = { order };
+          return normalizeTodo({
+            ...fields,
+            id: generateId(),
+            listId: draft.listId || listId,
+            order,
+            createdAt: draft.createdAt || now,
+          });
+        })
+        .reverse();
+
+      const ok = await withOptimistic(
+        (prev) => [...items, ...prev],
+        async () => {
+          const results = await provider.bulkCreate(items);
+          const failed = [];
+          results.forEach((r, i) => {
+            if (r.ok) adoptServerItem(items[i].id, r.todo);
+            else failed.push({ id: items[i].id, error: r.error });
+          });
+          return { failed };
+        },
+        (prev, snapshot) => snapshot,
+        { label: `Imported ${items.length} task${items.length === 1 ? "" : "s"}` }
+      );
+      return ok ? items.length : 0;
+    },
+    [listId, provider, withOptimistic, adoptServerItem]
+  );
+
+  // PUBLIC_INTERFACE
+  const loadAllTodos = useCallback(async () => {
+    let all = tasksRef.current;
+    if (paged && !isOffline) {
+      try {
+        all = mergeRemoteList(tasksRef.current, await provider.list(), inflightRef.current);
+      } catch (_err) {
+        // keep the todos loaded so far
+      }
+    }
+    return all.filter((t) => !isTrashed(t));
+  }, [paged, isOffline, provider]);
+
+  // PUBLIC_INTERFACE
+  const reorderTodo = useCallback(
+    async (id, toIndex) => {
+      const from = tasks.findIndex((t) => t.id === id);
+      if (from < 0) return;
+      const rest = tasks.filter((t) => t.id !== id);
+      const index = Math.min(Math.max(toIndex, 0), rest.length);
+      if (index === from) return;
+      const order = orderBetween(rest[index - 1], rest[index]);
+
+      await withOptimistic(
+        (prev) => prev.map((t) => (t.id === id ? { ...t, order } : t)),
+        () => patchTodo(id, { order }),
+        (prev, snapshot) => snapshot,
+        { label: "Reordered task" }
+      );
+    },
+    [tasks, withOptimistic, patchTodo]
+  );
+
+  // PUBLIC_INTERFACE
+  const moveTodoToList = useCallback(
+    (id, targetListId) => updateTodo(id, { listId: targetListId || DEFAULT_LIST_ID }),
+    [updateTodo]
+  );
+
+  // PUBLIC_INTERFACE
+  const releaseList = useCallback(
+    async (deletedListId) => {
+      if (!deletedListId || deletedListId === DEFAULT_LIST_ID) return;
+      const moved = tasksRef.current.filter((t) => t.listId === deletedListId).map((t) => t.id);
+      const toInbox = (prev) =>
+        prev.map((t) => (t.listId === deletedListId ? { ...t, listId: DEFAULT_LIST_ID } : t));
+      // a backend moves them itself on DELETE /lists/:id; queued todos are pointed at
+      // the Inbox so none is sent to a list that no longer exists
+      if (provider.remote) {
+        if (moved.length) setAllTasks(toInbox);
+        setOutbox((q) => moveQueuedTodos(q, deletedListId, DEFAULT_LIST_ID));
+        return;
+      }
+      if (!moved.length) return;
+      // local stores need the update; todos it could not save are put back and reported
+      await withOptimistic(
+        toInbox,
+        async () => {
+          try {
+            const results = await provider.bulkUpdate(moved.map((id) => ({ id, fields: { listId: DEFAULT_LIST_ID } })));
+            return { failed: results.filter((r) => !r.ok) };
+          } catch (err) {
+            return { failed: moved.map((id) => ({ id, error: err })) };
+          }
+        },
+        (prev, snapshot) => snapshot,
+        { record: false }
+      );
+    },
+    [provider, setAllTasks, setOutbox, withOptimistic]
+  );
+
+  // Shared path for checklist edits: recompute the subtask array and PATCH it as a whole
+  const mutateSubtasks = useCallback(
+    async (id, change) => {
+      if (!id) return;
+      const target = allTasks.find((t) => t.id === id);
+      if (!target) return;
+      const nextSubtasks = change(target.subtasks || []);
+      if (!nextSubtasks) return;
+
+      await withOptimistic(
+        (prev) => prev.map((t) => (t.id === id ? { ...t, subtasks: nextSubtasks } : t)),
+        () => patchTodo(id, { subtasks: nextSubtasks }),
+        (prev, snapshot) => snapshot,
+        { label: "Edited checklist" }
+      );
+    },
+    [allTasks, withOptimistic, patchTodo]
+  );
+
+  // PUBLIC_INTERFACE
+  const addSubtask = useCallback(
+    (id, title) => {
+      const trimmed = String(title || "").trim();
+      if (!trimmed) return Promise.resolve();
+      return mutateSubtasks(id, (subtasks) => [
+        ...subtasks,
+        { id: generateId(), title: trimmed, completed: false },
+      ]);
+    },
+    [mutateSubtasks]
+  );
+
+  // PUBLIC_INTERFACE
+  const toggleSubtask = useCallback(
+    (id, subtaskId) =>
+      mutateSubtasks(id, (subtasks) =>
+        subtasks.map((s) => (s.id === subtaskId ? { ...s, completed: !s.completed } : s))
+      ),
+    [mutateSubtasks]
+  );
+
+  // PUBLIC_INTERFACE
+  const renameSubtask = useCallback(
+    (id, subtaskId, title) => {
+      const trimmed = String(title || "").trim();
+      if (!trimmed) return Promise.resolve();
+      return mutateSubtasks(id, (subtasks) =>
+        subtasks.map((s) => (s.id === subtaskId ? { ...s, title: trimmed } : s))
+      );
+    },
+    [mutateSubtasks]
+  );
+
+  // PUBLIC_INTERFACE
+  const deleteSubtask = useCallback(
+    (id, subtaskId) => mutateSubtasks(id, (subtasks) => subtasks.filter((s) => s.id !== subtaskId)),
+    [mutateSubtasks]
+  );
+
+  // PUBLIC_INTERFACE
+  const resolveConflict = useCallback(
+    async (id, choice) => {
+      const conflict = conflicts[id];
+      if (!conflict) return;
+      setConflicts((c) => {
+        const next = { ...c };
+        delete next[id];
+        return next;
+      });
+      const { theirs } = conflict;
+      if (choice === "theirs") {
+        setAllTasks((prev) => prev.map((t) => (t.id === id ? theirs : t)));
+        return;
+      }
+      const fields = choice === "mine" ? conflict.mine : withoutServerFields(choice || {});
+      const resolved = normalizeTodo({ ...theirs, ...fields });
+      setAllTasks((prev) => prev.map((t) => (t.id === id ? resolved : t)));
+      const changed = changedFields(theirs, resolved);
+      if (!Object.keys(changed).length) return;
+      if (offlineRef.current || authPausedRef.current) {
+        setOutbox((q) => queueChanges(q, [{ id, before: theirs, after: resolved }]));
+        return;
+      }
+      try {
+        await patchTodo(id, changed);
+      } catch (err) {
+        if (isConflictError(err) && (await reportConflict(err))) return;
+        if (shouldQueue(err)) {
+          setOutbox((q) => queueChanges(q, [{ id, before: theirs, after: resolved }]));
+          if (isNetworkOrServerError(err)) setOffline(true);
+          return;
+        }
+        setAllTasks((prev) => prev.map((t) => (t.id === id ? theirs : t)));
+      }
+    },
+    [conflicts, patchTodo, reportConflict, setAllTasks, setOutbox, setOffline]
+  );
+
+  const page = pages[queryKey];
 
   return {
     tasks,
+    hasMore: paged && !isOffline && !!page && !page.done,
+    loadingMore: !!page && page.loading,
+    loadMore,
+    countsByList,
     filter,
     search: searchImmediate,
+    sort,
+    tagFilter,
+    availableTags,
     addTodo,
     toggleTodo,
     updateTodo,
     deleteTodo,
     clearCompleted,
+    restoreTodo,
+    purgeTodo,
+    emptyTrash,
+    archiveCompleted,
+    unarchiveTodo,
+    trashCount,
+    trashRetentionDays: retentionDays,
+    importTodos,
+    loadAllTodos,
+    undo,
+    redo,
+    canUndo: history.past.length > 0,
+    canRedo: history.future.length > 0,
+    undoNotice,
+    dismissUndoNotice,
+    failureNotice,
+    dismissFailureNotice,
+    isOffline,
+    pendingChanges: outbox.length,
+    retrySync,
+    conflicts,
+    resolveConflict,
+    reorderTodo,
+    moveTodoToList,
+    releaseList,
+    addSubtask,
+    toggleSubtask,
+    renameSubtask,
+    deleteSubtask,
     setFilter,
     setSearch,
+    setSort,
+    setTagFilter,
   };
 }
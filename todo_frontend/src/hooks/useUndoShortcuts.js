@@ -0,0 +1,37 @@
+import { useEffect } from "react";
+
+/**
+ * Whether a keyboard event comes from a text field, where the browser's own
+ * text undo should win over task-level undo.
+ */
+function isTextEditingTarget(target) {
+  if (!target) return false;
+  const tag = (target.tagName || "").toLowerCase();
+  return tag === "input" || tag === "textarea" || tag === "select" || !!target.isContentEditable;
+}
+
+// PUBLIC_INTERFACE
+export default function useUndoShortcuts(undo, redo) {
+  /**
+   * Binds global keyboard shortcuts:
+   *  - Ctrl/Cmd+Z: undo
+   *  - Ctrl/Cmd+Shift+Z or Ctrl+Y: redo
+   * Ignored while typing in form fields.
+   */
+  useEffect(() => {
+    function onKeyDown(e) {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey || isTextEditingTarget(e.target)) return;
+      const key = String(e.key || "").toLowerCase();
+      if (key === "z" && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if ((key === "z" && e.shiftKey) || key === "y") {
+        e.preventDefault();
+        redo();
+      }
+    }
+
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [undo, redo]);
+}
@@ -6,11 +6,30 @@
 // - Network errors and 5xx responses will throw an error with isNetworkOrServerError=true
 //   so callers can detect and fallback to local mode.
 // - 4xx responses will throw an error with status and details when available.
+// - 409/412 responses (a conditional update lost to a concurrent edit) are flagged with
+//   isConflict=true and carry the server's current todo as err.current when it sent one.
+// - 401/403 responses are flagged with isAuthError=true.
+// - Requests cancelled through a caller's AbortSignal are flagged with isAborted=true.
+//
+// Every attempt is aborted after REACT_APP_API_TIMEOUT_MS (a timeout counts as a network
+// error, with isTimeout=true). GET, PATCH and DELETE are retried on network/5xx errors up
+// to REACT_APP_API_RETRIES times, with exponential backoff and jitter between attempts.
+//
+// Authentication (REACT_APP_AUTH_MODE, see services/session): requests carry the bearer
+// token or the session cookie. A 401 triggers one token refresh (POST /auth/refresh) and
+// the request is retried; if that fails too the session is marked expired.
+//
+// Bulk operations (bulkCreateTodos, bulkUpdateTodos, bulkDeleteTodos) resolve to one
+// result per item, in input order: { id, ok: true, todo } or { id, ok: false, error },
+// where error carries the same flags as above. Only a failure of the whole request
+// (network/5xx, or a 4xx other than "not supported") throws. Backends without the
+// batch endpoints (404/405/501) get one request per item instead.
 //
 // PUBLIC INTERFACES in this file are preceded with "PUBLIC_INTERFACE" comments.
 //
 
-import { getApiBase } from "../utils/env";
+import { getApiBase, getRequestRetries, getRequestTimeout } from "../utils/env";
+import { endSession, expireSession, getSession, startSession } from "./session";
 
 // Helper: build full URL with optional query params
 function buildUrl(path, params) {
@@ -67,40 +86,145 @@ async function readBodySafely(resp) {
   }
 }
 
-// Helper: normalize and throw a rich error with flags to allow fallback decisions
-async function throwForResponse(resp) {
-  const body = await readBodySafely(resp);
+// Helper: build a rich error with flags for a failed status (a response or one bulk item)
+function errorForStatus(status, body) {
   const message =
     (body && body.message) ||
+    (body && typeof body.error === "string" ? body.error : null) ||
     (typeof body === "string" ? body : null) ||
-    `Request failed with status ${resp.status}`;
+    `Request failed with status ${status}`;
 
   const err = new Error(message);
-  err.status = resp.status;
+  err.status = status;
   err.details = body;
   // Mark network/server errors to signal fallback option
-  err.isNetworkOrServerError = resp.status >= 500 && resp.status <= 599;
-  throw err;
+  err.isNetworkOrServerError = status >= 500 && status <= 599;
+  err.isConflict = status === 409 || status === 412;
+  err.isAuthError = status === 401 || status === 403;
+  if (err.isConflict && body && typeof body === "object") {
+    err.current = body.current || body.todo || (body.id !== undefined ? body : null);
+  }
+  return err;
+}
+
+// Helper: normalize and throw a rich error with flags to allow fallback decisions
+async function throwForResponse(resp) {
+  const body = await readBodySafely(resp);
+  throw errorForStatus(resp.status, body);
+}
+
+// Helper: credentials for the current session (bearer header or cookies)
+function authOptions() {
+  const session = getSession();
+  if (session.mode === "cookie") return { credentials: "include", headers: {} };
+  if (session.mode === "bearer" && session.accessToken) {
+    return { headers: { Authorization: `Bearer ${session.accessToken}` } };
+  }
+  return { headers: {} };
+}
+
+// Refresh in progress, shared by every request that got a 401 meanwhile
+let refreshing = null;
+
+// Methods retried after a network error, timeout or 5xx (the request may not have arrived).
+// Conditional requests (If-Match) are not: if the first attempt was applied and only its
+// answer got lost, the retry would be refused as a conflict with our own change.
+const RETRYABLE_METHODS = ["GET", "PATCH", "DELETE"];
+const BACKOFF_BASE_MS = 300;
+const BACKOFF_MAX_MS = 5000;
+
+// Helper: the error for a request cancelled through the caller's AbortSignal
+function abortError() {
+  const err = new Error("Request was cancelled");
+  err.name = "AbortError";
+  err.isAborted = true;
+  return err;
+}
+
+// Helper: the error for a request that got no complete response in time
+function timeoutError(timeoutMs) {
+  const err = new Error(`Request timed out after ${timeoutMs} ms`);
+  err.isTimeout = true;
+  err.isNetworkOrServerError = true;
+  return err;
 }
 
-// Helper: wrap fetch with consistent error semantics
-async function requestJson(path, options = {}) {
-  const url = buildUrl(path);
+// Helper: exponential backoff with jitter; half the delay is random so clients that
+// failed together do not retry together
+function backoffDelay(attempt) {
+  const ceiling = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** attempt);
+  return ceiling / 2 + Math.random() * (ceiling / 2);
+}
+
+// Helper: wait ms, or reject with abortError() as soon as signal aborts
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(abortError());
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortError());
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    if (signal) signal.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+// Helper: one attempt at a request, aborted after timeoutMs or when options.signal aborts.
+// A 401 on an authenticated request refreshes the session once and tries again.
+async function attemptRequest(url, options, timeoutMs, retryOnAuth) {
+  const { signal, ...init } = options;
+  if (signal && signal.aborted) throw abortError();
+
+  const controller = new AbortController();
+  const cancel = () => controller.abort();
+  if (signal) signal.addEventListener("abort", cancel);
+  let timedOut = false;
+  const timer =
+    timeoutMs > 0
+      ? setTimeout(() => {
+          timedOut = true;
+          controller.abort();
+        }, timeoutMs)
+      : null;
+  const cleanup = () => {
+    clearTimeout(timer);
+    if (signal) signal.removeEventListener("abort", cancel);
+  };
+
   try {
+    const auth = authOptions();
     const resp = await fetch(url, {
-      ...options,
-      headers: defaultJsonHeaders(options.headers),
+      ...init,
+      ...(auth.credentials ? { credentials: auth.credentials } : {}),
+      headers: defaultJsonHeaders({ ...auth.headers, ...init.headers }),
+      signal: controller.signal,
     });
 
+    if (resp.status === 401 && retryOnAuth && getSession().status === "active") {
+      cleanup();
+      if (await refreshSession()) return attemptRequest(url, options, timeoutMs, false);
+      expireSession();
+    }
+
     if (!resp.ok) {
       await throwForResponse(resp);
     }
 
     // Success: try parse JSON
     const data = await readBodySafely(resp);
+    // the body may have been cut off by the abort
+    if (controller.signal.aborted) throw abortError();
     return data;
   } catch (e) {
-    // Network or CORS or aborted, etc.
+    if (timedOut) throw timeoutError(timeoutMs);
+    if (signal && signal.aborted) throw abortError();
+    // Network or CORS, etc.
     if (!(e instanceof Error)) {
       const err = new Error("Unknown error during request");
       err.isNetworkOrServerError = true;
@@ -111,26 +235,237 @@ async function requestJson(path, options = {}) {
       e.isNetworkOrServerError = true;
     }
     throw e;
+  } finally {
+    cleanup();
+  }
+}
+
+// Helper: wrap fetch with consistent error semantics.
+// options are fetch's (signal cancels the request, including pending retries); config:
+//  - params: query string parameters (see buildUrl)
+//  - retryOnAuth: refresh the session and retry once on a 401 (default true)
+//  - timeout: ms per attempt (default getRequestTimeout(), 0 for none)
+//  - retries: attempts after the first on network/timeout/5xx errors (default
+//    getRequestRetries() for GET/PATCH/DELETE without an If-Match header, 0 otherwise)
+async function requestJson(path, options = {}, config = {}) {
+  const method = String(options.method || "GET").toUpperCase();
+  const { params, retryOnAuth = true, timeout = getRequestTimeout() } = config;
+  const url = buildUrl(path, params);
+  const conditional = !!(options.headers && options.headers["If-Match"]);
+  const retries = config.retries ?? (RETRYABLE_METHODS.includes(method) && !conditional ? getRequestRetries() : 0);
+
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      return await attemptRequest(url, options, timeout, retryOnAuth);
+    } catch (err) {
+      if (attempt >= retries || !isNetworkOrServerError(err)) throw err;
+      await sleep(backoffDelay(attempt), options.signal);
+    }
   }
 }
 
 // PUBLIC_INTERFACE
-export async function listTodos() {
+export function isNetworkOrServerError(err) {
+  /** Whether an error thrown by this client is a network/5xx failure eligible for local fallback. */
+  return !!(err && (err.isNetworkOrServerError || (typeof err.status === "number" && err.status >= 500)));
+}
+
+// PUBLIC_INTERFACE
+export function isAbortError(err) {
+  /** Whether a request was cancelled through the AbortSignal its caller passed. */
+  return !!(err && err.isAborted);
+}
+
+// PUBLIC_INTERFACE
+export function isAuthError(err) {
+  /** Whether an error is a 401/403: the session is missing, expired or not allowed to do this. */
+  return !!(err && err.isAuthError);
+}
+
+// PUBLIC_INTERFACE
+export function isConflictError(err) {
+  /** Whether an error is a 409/412 from a conditional update that lost to a concurrent edit. */
+  return !!(err && err.isConflict);
+}
+
+/**
+ * Tokens from an auth response, accepting camelCase or snake_case names.
+ */
+function tokensFrom(body) {
+  const b = body && typeof body === "object" ? body : {};
+  return {
+    accessToken: b.accessToken ?? b.access_token ?? b.token ?? null,
+    refreshToken: b.refreshToken ?? b.refresh_token ?? null,
+  };
+}
+
+// PUBLIC_INTERFACE
+export async function login(username, password) {
+  /** Sign in.
+   * POST /auth/login
+   * Body: { username, password }
+   * Returns: the session (see services/session); bearer mode expects { accessToken,
+   *          refreshToken?, user? } back, cookie mode a Set-Cookie and optionally { user }
+   * Throws: Same semantics as listTodos(); wrong credentials are a 401 with isAuthError=true
+   */
+  const body = await requestJson(
+    "auth/login",
+    { method: "POST", body: JSON.stringify({ username, password }) },
+    { retryOnAuth: false }
+  );
+  const tokens = tokensFrom(body);
+  if (getSession().mode === "bearer" && !tokens.accessToken) {
+    const err = new Error("Sign-in response did not include an access token");
+    err.status = 502;
+    throw err;
+  }
+  startSession({ user: (body && body.user) || { name: username }, ...tokens });
+  return getSession();
+}
+
+// PUBLIC_INTERFACE
+export async function logout() {
+  /** Sign out.
+   * POST /auth/logout (best effort: the local session ends even if the server is unreachable)
+   */
+  try {
+    await requestJson("auth/logout", { method: "POST" }, { retryOnAuth: false });
+  } catch (_e) {
+    // the server-side session expires on its own
+  }
+  endSession();
+}
+
+// PUBLIC_INTERFACE
+export function refreshSession() {
+  /** Renew the session after a 401.
+   * POST /auth/refresh
+   * Body: { refreshToken } in bearer mode, nothing in cookie mode
+   * Returns: Promise<boolean> whether the session could be renewed. Concurrent callers
+   *          share one request.
+   */
+  if (!refreshing) {
+    refreshing = (async () => {
+      const session = getSession();
+      if (session.status !== "active") return false;
+      if (session.mode === "bearer" && !session.refreshToken) return false;
+      try {
+        const body = await requestJson(
+          "auth/refresh",
+          {
+            method: "POST",
+            body: JSON.stringify(session.mode === "bearer" ? { refreshToken: session.refreshToken } : {}),
+          },
+          { retryOnAuth: false }
+        );
+        const tokens = tokensFrom(body);
+        if (session.mode === "bearer" && !tokens.accessToken) return false;
+        startSession({
+          user: (body && body.user) || session.user,
+          accessToken: tokens.accessToken,
+          refreshToken: tokens.refreshToken || session.refreshToken,
+        });
+        return true;
+      } catch (_e) {
+        return false;
+      }
+    })().finally(() => {
+      refreshing = null;
+    });
+  }
+  return refreshing;
+}
+
+// PUBLIC_INTERFACE
+export async function checkHealth() {
+  /** Probe whether the backend is reachable.
+   * GET /health
+   * Returns: true when the server answers without a 5xx (even a 404 from a backend
+   *          without a health route proves it is up), false on network/5xx errors.
+   */
+  try {
+    // no retries: the probe itself is repeated while offline
+    await requestJson("health", { method: "GET" }, { retries: 0 });
+    return true;
+  } catch (err) {
+    return !isNetworkOrServerError(err);
+  }
+}
+
+// PUBLIC_INTERFACE
+export async function listTodos(options = {}) {
   /** Fetch the list of todos from the backend.
    * GET /todos
+   * Options:
+   *  - signal: AbortSignal that cancels the request (it then rejects with isAborted=true)
    * Returns: Array<Object> (todos)
    * Throws:
    *  - Error with .isNetworkOrServerError = true on network/5xx to enable fallback
    *  - Error with .status and .details for other HTTP errors
    */
-  return requestJson("todos", { method: "GET" });
+  return requestJson("todos", { method: "GET", signal: options.signal });
+}
+
+// Helper: a page from GET /todos; a plain array is a backend that does not page
+function toPage(body) {
+  if (Array.isArray(body)) return { items: body, nextCursor: null };
+  const b = body && typeof body === "object" ? body : {};
+  const items = [b.items, b.todos, b.data].find(Array.isArray) || [];
+  const nextCursor = b.nextCursor ?? b.next_cursor ?? null;
+  return { items, nextCursor: nextCursor === "" ? null : nextCursor };
+}
+
+// PUBLIC_INTERFACE
+export async function listTodosPage(query = {}, options = {}) {
+  /** Fetch one page of todos, filtered, searched and sorted by the backend.
+   * GET /todos?limit=&cursor=&listId=&status=&trashed=&archived=&q=&tag=&sort=
+   * Query (all optional):
+   *  - limit: page size; cursor: the nextCursor of the previous page
+   *  - listId: only todos of this list
+   *  - status: 'active' | 'completed'
+   *  - trashed: true for only the todos in the trash (deletedAt set), false for the others
+   *  - archived: true for only archived todos (archivedAt set), false for the others
+   *  - q: search text, matched against titles and notes
+   *  - tags: todos carrying any of these tags (sent as repeated tag=)
+   *  - sort: 'manual' | 'created' | 'priority' | 'due' | 'alpha' | 'completed' (most recently completed first)
+   * Options:
+   *  - signal: AbortSignal that cancels the request, as for listTodos()
+   * Returns: { items: Array<Object>, nextCursor } where nextCursor is null on the last page;
+   *          a backend that answers with a plain array is treated as sending everything at once
+   * Throws: Same semantics as listTodos()
+   */
+  const { tags, ...rest } = query || {};
+  const body = await requestJson(
+    "todos",
+    { method: "GET", signal: options.signal },
+    { params: { ...rest, tag: Array.isArray(tags) && tags.length ? tags : undefined } }
+  );
+  return toPage(body);
+}
+
+// PUBLIC_INTERFACE
+export async function getTodo(id) {
+  /** Fetch a single todo item by id.
+   * GET /todos/:id
+   * Returns: Todo object
+   * Throws: Same semantics as listTodos()
+   */
+  if (!id) {
+    const err = new Error("Missing id for getTodo");
+    err.status = 400;
+    throw err;
+  }
+  return requestJson(`todos/${encodeURIComponent(String(id))}`, { method: "GET" });
 }
 
 // PUBLIC_INTERFACE
 export async function createTodo(payload) {
   /** Create a new todo item.
    * POST /todos
-   * Body: JSON payload { title: string, completed?: boolean, ... }
+   * Body: JSON payload { title: string, description?: string (Markdown), completed?: boolean, dueDate?: "YYYY-MM-DD" | null, dueTime?: "HH:MM" | null,
+   *       priority?: "low" | "normal" | "high" | "urgent", tags?: string[],
+   *       subtasks?: Array<{ id, title, completed }>, recurrence?: { type, days?, monthDay?, interval? } | null,
+   *       listId?: string, order?: number, createdAt?: ISO string, ... }
    * Returns: Created todo object
    * Throws: Same semantics as listTodos()
    */
@@ -141,22 +476,36 @@ export async function createTodo(payload) {
 }
 
 // PUBLIC_INTERFACE
-export async function updateTodo(id, payload) {
+export async function updateTodo(id, payload, options = {}) {
   /** Update an existing todo item by id.
    * PATCH /todos/:id
-   * Body: JSON payload with fields to update
-   * Returns: Updated todo object
-   * Throws: Same semantics as listTodos()
+   * Body: JSON payload with fields to update (e.g. { title }, { description }, { completed }, { dueDate }, { priority }, { tags }, { subtasks }, { recurrence }, { listId }, { order })
+   * Options:
+   *  - version: the todo's version (or updatedAt) as last seen; sent as If-Match so the
+   *    server can refuse the update with 409/412 when someone else changed it since
+   * Returns: Updated todo object (with its new version)
+   * Throws: Same semantics as listTodos(); conflicts have isConflict=true, the server's
+   *         current todo in err.current, and todoId/attempted set to this call's arguments
    */
   if (!id) {
     const err = new Error("Missing id for updateTodo");
     err.status = 400;
     throw err;
   }
-  return requestJson(`todos/${encodeURIComponent(String(id))}`, {
-    method: "PATCH",
-    body: JSON.stringify(payload || {}),
-  });
+  const { version } = options;
+  try {
+    return await requestJson(`todos/${encodeURIComponent(String(id))}`, {
+      method: "PATCH",
+      headers: version !== undefined && version !== null ? { "If-Match": `"${version}"` } : undefined,
+      body: JSON.stringify(payload || {}),
+    });
+  } catch (err) {
+    if (isConflictError(err)) {
+      err.todoId = id;
+      err.attempted = payload || {};
+    }
+    throw err;
+  }
 }
 
 // PUBLIC_INTERFACE
@@ -175,3 +524,165 @@ export async function deleteTodo(id) {
     method: "DELETE",
   });
 }
+
+// Batch endpoints the backend answered with 404/405/501; per-item calls are used from then on
+const unsupportedBulk = new Set();
+const BULK_UNSUPPORTED_STATUSES = [404, 405, 501];
+
+// Helper: one bulk result per input, matched by id when the server sends ids, else by position
+function toBulkResults(body, ids) {
+  const list = Array.isArray(body) ? body : body && Array.isArray(body.results) ? body.results : null;
+  // no per-item report (e.g. 204): the whole batch went through
+  if (!list) return ids.map((id) => ({ id, ok: true, todo: null }));
+  return ids.map((id, i) => {
+    const byId = id !== undefined ? list.find((r) => r && r.id !== undefined && String(r.id) === String(id)) : null;
+    const r = byId || list[i];
+    if (!r || typeof r !== "object") {
+      return { id, ok: false, error: errorForStatus(500, { message: "Missing result for item" }) };
+    }
+    const status = typeof r.status === "number" ? r.status : r.ok === false || r.error ? 400 : 200;
+    if (r.ok === false || r.error || status >= 400) return { id, ok: false, error: errorForStatus(status, r) };
+    return { id: id !== undefined ? id : r.todo && r.todo.id, ok: true, todo: r.todo || null };
+  });
+}
+
+// Helper: POST/PATCH a batch endpoint, or run perItem for each input when it is not available;
+// config is passed on to requestJson
+async function runBulk(path, method, body, ids, perItem, config = {}) {
+  if (!ids.length) return [];
+  // a single item goes through the regular endpoint
+  const key = `${method} ${path}`;
+  if (ids.length > 1 && !unsupportedBulk.has(key)) {
+    try {
+      const response = await requestJson(path, { method, body: JSON.stringify(body) }, config);
+      return toBulkResults(response, ids);
+    } catch (err) {
+      if (!BULK_UNSUPPORTED_STATUSES.includes(err.status)) throw err;
+      unsupportedBulk.add(key);
+    }
+  }
+  const settled = await Promise.allSettled(ids.map((id, i) => perItem(i)));
+  return settled.map((r, i) =>
+    r.status === "fulfilled"
+      ? { id: ids[i], ok: true, todo: r.value && typeof r.value === "object" ? r.value : null }
+      : { id: ids[i], ok: false, error: r.reason }
+  );
+}
+
+// PUBLIC_INTERFACE
+export async function bulkCreateTodos(payloads) {
+  /** Create several todos at once.
+   * POST /todos/bulk
+   * Body: { todos: [payload, ...] } (same payloads as createTodo)
+   * Returns: [{ id, ok, todo | error }] in input order; id is the created todo's id
+   * Throws: only when the request as a whole fails (same semantics as listTodos())
+   */
+  const list = Array.isArray(payloads) ? payloads : [];
+  const results = await runBulk(
+    "todos/bulk",
+    "POST",
+    { todos: list },
+    list.map(() => undefined),
+    (i) => createTodo(list[i])
+  );
+  return results.map((r) => (r.ok && r.id === undefined && r.todo ? { ...r, id: r.todo.id } : r));
+}
+
+// PUBLIC_INTERFACE
+export async function bulkUpdateTodos(updates) {
+  /** Update several todos at once.
+   * PATCH /todos/bulk
+   * Body: { updates: [{ id, fields, version? }, ...] } (version as for updateTodo's If-Match)
+   * Returns: [{ id, ok, todo | error }] in input order; conflicts are flagged like updateTodo's
+   * Throws: only when the request as a whole fails (same semantics as listTodos())
+   */
+  const list = Array.isArray(updates) ? updates : [];
+  const results = await runBulk(
+    "todos/bulk",
+    "PATCH",
+    { updates: list },
+    list.map((u) => u.id),
+    (i) => updateTodo(list[i].id, list[i].fields, { version: list[i].version }),
+    // versions make the batch conditional, like If-Match: a retry could conflict with itself
+    list.some((u) => u.version !== undefined && u.version !== null) ? { retries: 0 } : {}
+  );
+  return results.map((r, i) => {
+    if (r.ok || !isConflictError(r.error)) return r;
+    r.error.todoId = list[i].id;
+    r.error.attempted = list[i].fields || {};
+    return r;
+  });
+}
+
+// PUBLIC_INTERFACE
+export async function bulkDeleteTodos(ids) {
+  /** Delete several todos at once.
+   * POST /todos/bulk-delete
+   * Body: { ids: [id, ...] }
+   * Returns: [{ id, ok, error? }] in input order
+   * Throws: only when the request as a whole fails (same semantics as listTodos())
+   */
+  const list = Array.isArray(ids) ? ids : [];
+  return runBulk("todos/bulk-delete", "POST", { ids: list }, list, (i) => deleteTodo(list[i]));
+}
+
+// PUBLIC_INTERFACE
+export async function listLists() {
+  /** Fetch the named task lists.
+   * GET /lists
+   * Returns: Array<{ id, name, order }>
+   * Throws: Same semantics as listTodos()
+   */
+  return requestJson("lists", { method: "GET" });
+}
+
+// PUBLIC_INTERFACE
+export async function createList(payload) {
+  /** Create a named task list.
+   * POST /lists
+   * Body: { name: string, order?: number }
+   * Returns: Created list object
+   * Throws: Same semantics as listTodos()
+   */
+  return requestJson("lists", {
+    method: "POST",
+    body: JSON.stringify(payload || {}),
+  });
+}
+
+// PUBLIC_INTERFACE
+export async function updateList(id, payload) {
+  /** Rename or reorder a list.
+   * PATCH /lists/:id
+   * Body: { name?: string, order?: number }
+   * Returns: Updated list object
+   * Throws: Same semantics as listTodos()
+   */
+  if (!id) {
+    const err = new Error("Missing id for updateList");
+    err.status = 400;
+    throw err;
+  }
+  return requestJson(`lists/${encodeURIComponent(String(id))}`, {
+    method: "PATCH",
+    body: JSON.stringify(payload || {}),
+  });
+}
+
+// PUBLIC_INTERFACE
+export async function deleteList(id) {
+  /** Delete a list.
+   * DELETE /lists/:id
+   * The backend moves the list's todos into the default "inbox" list.
+   * Returns: { success: true } or empty object depending on backend
+   * Throws: Same semantics as listTodos()
+   */
+  if (!id) {
+    const err = new Error("Missing id for deleteList");
+    err.status = 400;
+    throw err;
+  }
+  return requestJson(`lists/${encodeURIComponent(String(id))}`, {
+    method: "DELETE",
+  });
+}
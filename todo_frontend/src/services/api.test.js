@@ -0,0 +1,213 @@
+import { bulkDeleteTodos, bulkUpdateTodos, createTodo, listTodos, listTodosPage, updateTodo } from './api';
+import { createMockApi } from '../../mock-server/api';
+
+const respond = (status, body) =>
+  Promise.resolve({
+    ok: status >= 200 && status < 300,
+    status,
+    headers: { get: () => 'application/json' },
+    json: () => Promise.resolve(body),
+    text: () => Promise.resolve(JSON.stringify(body)),
+  });
+
+describe('bulk operations', () => {
+  const originalFetch = global.fetch;
+
+  beforeEach(() => {
+    process.env.REACT_APP_API_BASE = 'http://api.test';
+    process.env.REACT_APP_API_RETRIES = '0';
+  });
+
+  afterEach(() => {
+    delete process.env.REACT_APP_API_BASE;
+    delete process.env.REACT_APP_API_RETRIES;
+    global.fetch = originalFetch;
+  });
+
+  test('reports per-item results from the batch endpoint, matched by id', async () => {
+    global.fetch = jest.fn(() =>
+      respond(200, {
+        results: [
+          { id: 'b', ok: false, status: 409, message: 'Changed elsewhere', current: { id: 'b', title: 'New' } },
+          { id: 'a', ok: true, todo: { id: 'a', title: 'A', version: 2 } },
+        ],
+      })
+    );
+
+    const results = await bulkUpdateTodos([
+      { id: 'a', fields: { title: 'A' }, version: 1 },
+      { id: 'b', fields: { title: 'B' }, version: 1 },
+    ]);
+
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(global.fetch.mock.calls[0][0]).toBe('http://api.test/todos/bulk');
+    expect(results[0]).toEqual({ id: 'a', ok: true, todo: { id: 'a', title: 'A', version: 2 } });
+    expect(results[1]).toMatchObject({ id: 'b', ok: false });
+    expect(results[1].error).toMatchObject({
+      status: 409,
+      isConflict: true,
+      todoId: 'b',
+      attempted: { title: 'B' },
+      current: { id: 'b', title: 'New' },
+    });
+  });
+
+  test('falls back to one request per item when the backend has no batch endpoint', async () => {
+    global.fetch = jest.fn((url) => {
+      const path = new URL(url).pathname;
+      if (path === '/todos/bulk-delete') return respond(404, { message: 'Not found' });
+      if (path === '/todos/2') return respond(403, { message: 'Forbidden' });
+      return respond(204, null);
+    });
+
+    const results = await bulkDeleteTodos(['1', '2', '3']);
+
+    expect(results.map((r) => r.ok)).toEqual([true, false, true]);
+    expect(results[1].error).toMatchObject({ status: 403, message: 'Forbidden' });
+
+    // the missing endpoint is not asked again
+    global.fetch.mockClear();
+    await bulkDeleteTodos(['4', '5']);
+    expect(global.fetch.mock.calls.map(([url]) => new URL(url).pathname)).toEqual(['/todos/4', '/todos/5']);
+  });
+
+  test('throws when the whole batch fails to reach the server', async () => {
+    global.fetch = jest.fn(() => Promise.reject(new TypeError('Failed to fetch')));
+
+    const updates = [
+      { id: '1', fields: { completed: true } },
+      { id: '2', fields: { completed: true } },
+    ];
+    await expect(bulkUpdateTodos(updates)).rejects.toMatchObject({ isNetworkOrServerError: true });
+  });
+});
+
+describe('timeouts, retries and cancellation', () => {
+  const originalFetch = global.fetch;
+
+  // like fetch, settles only when the request is aborted
+  const hang = (url, options) =>
+    new Promise((resolve, reject) => {
+      options.signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+    });
+
+  beforeEach(() => {
+    process.env.REACT_APP_API_BASE = 'http://api.test';
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+  });
+
+  afterEach(() => {
+    delete process.env.REACT_APP_API_BASE;
+    delete process.env.REACT_APP_API_TIMEOUT_MS;
+    delete process.env.REACT_APP_API_RETRIES;
+    global.fetch = originalFetch;
+    jest.restoreAllMocks();
+  });
+
+  test('retries idempotent requests after a 5xx, but not POSTs', async () => {
+    global.fetch = jest
+      .fn()
+      .mockImplementationOnce(() => respond(503, { message: 'Busy' }))
+      .mockImplementationOnce(() => respond(502, { message: 'Bad gateway' }))
+      .mockImplementation(() => respond(200, [{ id: '1', title: 'A' }]));
+
+    await expect(listTodos()).resolves.toEqual([{ id: '1', title: 'A' }]);
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+
+    global.fetch = jest.fn(() => respond(503, { message: 'Busy' }));
+    await expect(createTodo({ title: 'A' })).rejects.toMatchObject({ status: 503 });
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('gives up on a request that does not answer in time', async () => {
+    process.env.REACT_APP_API_TIMEOUT_MS = '20';
+    process.env.REACT_APP_API_RETRIES = '1';
+    global.fetch = jest.fn(hang);
+
+    await expect(listTodos()).rejects.toMatchObject({ isTimeout: true, isNetworkOrServerError: true });
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  test('does not retry an update sent with If-Match after a timeout', async () => {
+    process.env.REACT_APP_API_TIMEOUT_MS = '20';
+    process.env.REACT_APP_API_RETRIES = '1';
+    global.fetch = jest.fn(hang);
+
+    await expect(updateTodo('a', { title: 'Mine' }, { version: 3 })).rejects.toMatchObject({ isTimeout: true });
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(global.fetch.mock.calls[0][1].headers['If-Match']).toBe('"3"');
+
+    await expect(updateTodo('a', { title: 'Mine' })).rejects.toMatchObject({ isTimeout: true });
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+  });
+
+  test('cancels through the signal without retrying', async () => {
+    global.fetch = jest.fn(hang);
+    const controller = new AbortController();
+
+    const pending = listTodos({ signal: controller.signal });
+    controller.abort();
+
+    const err = await pending.catch((e) => e);
+    expect(err).toMatchObject({ isAborted: true });
+    expect(err.isNetworkOrServerError).toBeFalsy();
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('listTodosPage', () => {
+  const originalFetch = global.fetch;
+
+  beforeEach(() => {
+    process.env.REACT_APP_API_BASE = 'http://api.test';
+  });
+
+  afterEach(() => {
+    delete process.env.REACT_APP_API_BASE;
+    global.fetch = originalFetch;
+  });
+
+  test('sends the view as query params and reads the next cursor', async () => {
+    global.fetch = jest.fn(() => respond(200, { items: [{ id: '1' }], next_cursor: 'abc' }));
+
+    const page = await listTodosPage({ limit: 50, cursor: null, status: 'active', q: 'milk', tags: ['home', 'urgent'] });
+
+    expect(page).toEqual({ items: [{ id: '1' }], nextCursor: 'abc' });
+    const { searchParams } = new URL(global.fetch.mock.calls[0][0]);
+    expect(searchParams.get('limit')).toBe('50');
+    expect(searchParams.has('cursor')).toBe(false);
+    expect(searchParams.get('status')).toBe('active');
+    expect(searchParams.get('q')).toBe('milk');
+    expect(searchParams.getAll('tag')).toEqual(['home', 'urgent']);
+  });
+
+  test('treats a plain array as the whole collection', async () => {
+    global.fetch = jest.fn(() => respond(200, [{ id: '1' }, { id: '2' }]));
+
+    await expect(listTodosPage({ limit: 1 })).resolves.toEqual({ items: [{ id: '1' }, { id: '2' }], nextCursor: null });
+  });
+});
+
+describe('against the mock backend', () => {
+  const originalFetch = global.fetch;
+
+  beforeEach(() => {
+    process.env.REACT_APP_API_BASE = 'http://api.test';
+  });
+
+  afterEach(() => {
+    delete process.env.REACT_APP_API_BASE;
+    global.fetch = originalFetch;
+  });
+
+  test('refuses an update based on an old version', async () => {
+    const backend = createMockApi({ todos: [{ id: 'a', title: 'Draft' }] });
+    global.fetch = backend.fetch;
+
+    await expect(updateTodo('a', { title: 'Mine' }, { version: 1 })).resolves.toMatchObject({ version: 2 });
+    const err = await updateTodo('a', { title: 'Stale' }, { version: 1 }).catch((e) => e);
+
+    expect(err).toMatchObject({ status: 412, isConflict: true, todoId: 'a', current: { title: 'Mine' } });
+    expect(backend.todos()[0].title).toBe('Mine');
+  });
+});
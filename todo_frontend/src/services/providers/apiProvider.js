@@ -0,0 +1,71 @@
+//
+// Todo provider for the REST backend (services/api), with live changes from the
+// WebSocket at REACT_APP_WS_URL (services/realtime) when one is configured. With bearer
+// auth the socket is opened with the session's access token, and opened again when the
+// token is refreshed or the session ends.
+//
+// PUBLIC INTERFACES in this file are preceded with "PUBLIC_INTERFACE" comments.
+//
+
+import * as api from "../api";
+import { connectRealtime } from "../realtime";
+import { getSession, subscribeSession } from "../session";
+import { getWebsocketUrl } from "../../utils/env";
+
+/**
+ * Body for POST /todos: the server assigns the id, version and timestamps.
+ */
+function createPayload(todo) {
+  const fields = { ...todo };
+  ["id", "version", "updatedAt"].forEach((f) => delete fields[f]);
+  return fields;
+}
+
+/**
+ * WebSocket URL for a session. Browsers cannot set headers on a WebSocket, so a bearer
+ * token goes in the access_token query parameter; without one (signed out, expired) no
+ * socket is opened. Cookie sessions travel with the handshake by themselves.
+ */
+function realtimeUrl(base, session) {
+  if (session.mode !== "bearer") return base;
+  if (!session.accessToken) return null;
+  return `${base}${base.includes("?") ? "&" : "?"}access_token=${encodeURIComponent(session.accessToken)}`;
+}
+
+// PUBLIC_INTERFACE
+export function createApiProvider() {
+  /** Provider talking to the backend configured by REACT_APP_API_BASE. */
+  return {
+    name: "api",
+    remote: true,
+    list: (options) => api.listTodos(options),
+    listPage: (query, options) => api.listTodosPage(query, options),
+    get: (id) => api.getTodo(id),
+    create: (todo) => api.createTodo(createPayload(todo)),
+    update: (id, fields, options) => api.updateTodo(id, fields, options),
+    remove: (id) => api.deleteTodo(id),
+    bulkCreate: (todos) => api.bulkCreateTodos(todos.map(createPayload)),
+    bulkUpdate: (updates) => api.bulkUpdateTodos(updates),
+    bulkRemove: (ids) => api.bulkDeleteTodos(ids),
+    createList: (list) => api.createList({ name: list.name, order: list.order }),
+    updateList: (id, fields) => api.updateList(id, fields),
+    removeList: (id) => api.deleteList(id),
+    checkHealth: () => api.checkHealth(),
+    subscribe: (handlers) => {
+      const base = getWebsocketUrl();
+      const connection = connectRealtime(base && (() => realtimeUrl(base, getSession())), handlers);
+      // reconnect with the new credentials after a token refresh, a sign-in or a sign-out
+      const credentials = (session) => `${session.status}:${session.accessToken || ""}`;
+      let current = credentials(getSession());
+      const unsubscribe = subscribeSession((session) => {
+        if (credentials(session) === current) return;
+        current = credentials(session);
+        connection.reconnect();
+      });
+      return () => {
+        unsubscribe();
+        connection.close();
+      };
+    },
+  };
+}
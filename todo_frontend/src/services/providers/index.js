@@ -0,0 +1,82 @@
+//
+// Data providers: where useTodos reads and writes todos.
+// Every provider implements
+//   list({ signal })                -> Promise<todo[]>       signal (optional) cancels the read
+//   create(todo)                    -> Promise<todo>        the stored copy (may carry a new id)
+//   update(id, fields, { version }) -> Promise<todo|null>  version is the If-Match token, if any
+//   remove(id)                      -> Promise
+//   subscribe({ onEvent, onOpen })  -> unsubscribe()        changes made elsewhere, as
+//                                                           services/realtime events
+// and may add
+//   get(id), bulkCreate(todos), bulkUpdate([{ id, fields, version }]), bulkRemove(ids)
+//     (bulk calls resolve to per-item results like services/api's bulk operations),
+//   listPage(query, { signal }) -> Promise<{ items, nextCursor }>
+//                   one page of a filtered view (query as services/api's listTodosPage);
+//                   useTodos then loads views page by page instead of calling list(),
+//   snapshot()      todos readable synchronously, used for the first render,
+//   checkHealth()   whether the backing store is reachable,
+//   remote: true    changes travel to a server: useTodos then keeps an offline outbox,
+//                   handles edit conflicts and probes checkHealth while offline,
+//   createList(list), updateList(id, fields), removeList(id)
+//                   named lists on a remote provider; useTodos sends the changes made
+//                   through useLists with them, queued in the same outbox.
+// withDefaults() fills in whatever optional members a provider leaves out.
+//
+// The provider is chosen by name from utils/env.getDataMode() ('local', 'indexeddb',
+// 'api'); registerProvider() makes more names available.
+//
+// PUBLIC INTERFACES in this file are preceded with "PUBLIC_INTERFACE" comments.
+//
+
+import { getDataMode } from "../../utils/env";
+import { createApiProvider } from "./apiProvider";
+import { createLocalStorageProvider } from "./localStorageProvider";
+import { createIndexedDbProvider, isIndexedDbAvailable } from "./indexedDbProvider";
+
+const registry = new Map([
+  ["local", createLocalStorageProvider],
+  ["api", createApiProvider],
+  // browsers without IndexedDB (or with it blocked) keep working on localStorage
+  ["indexeddb", () => (isIndexedDbAvailable() ? createIndexedDbProvider() : createLocalStorageProvider())],
+]);
+
+/**
+ * Run call for each item and report one { id, ok, todo | error } result per item.
+ */
+async function settleEach(items, idOf, call) {
+  const settled = await Promise.allSettled(items.map((item) => call(item)));
+  return settled.map((r, i) =>
+    r.status === "fulfilled"
+      ? { id: idOf(items[i], r.value), ok: true, todo: r.value && typeof r.value === "object" ? r.value : null }
+      : { id: idOf(items[i]), ok: false, error: r.reason }
+  );
+}
+
+// PUBLIC_INTERFACE
+export function withDefaults(provider) {
+  /** Completes a provider with per-item bulk calls, a list-based get, and no-op subscribe/health. */
+  return {
+    remote: false,
+    get: async (id) => (await provider.list()).find((t) => t.id === id) || null,
+    bulkCreate: (todos) => settleEach(todos, (t, created) => (created && created.id) ?? t.id, provider.create),
+    bulkUpdate: (updates) =>
+      settleEach(updates, (u) => u.id, (u) => provider.update(u.id, u.fields, { version: u.version })),
+    bulkRemove: (ids) => settleEach(ids, (id) => id, provider.remove),
+    subscribe: () => () => {},
+    checkHealth: async () => true,
+    ...provider,
+  };
+}
+
+// PUBLIC_INTERFACE
+export function registerProvider(name, factory) {
+  /** Makes a provider factory selectable by name (REACT_APP_DATA_PROVIDER). */
+  registry.set(String(name).toLowerCase(), factory);
+}
+
+// PUBLIC_INTERFACE
+export function createProvider(name = getDataMode()) {
+  /** Builds the named provider (unknown names fall back to 'local'), completed by withDefaults. */
+  const factory = registry.get(name) || registry.get("local");
+  return withDefaults(factory());
+}
@@ -0,0 +1,103 @@
+import { createProvider, registerProvider, withDefaults } from './index';
+import { endSession, startSession } from '../session';
+
+describe('data providers', () => {
+  afterEach(() => {
+    delete process.env.REACT_APP_DATA_PROVIDER;
+    window.localStorage.clear();
+  });
+
+  test('picks the provider named by REACT_APP_DATA_PROVIDER', () => {
+    registerProvider('memory', () => ({ name: 'memory', list: async () => [] }));
+    process.env.REACT_APP_DATA_PROVIDER = 'Memory';
+    expect(createProvider().name).toBe('memory');
+
+    process.env.REACT_APP_DATA_PROVIDER = 'nonsense';
+    expect(createProvider().name).toBe('local');
+  });
+
+  test('uses localStorage where IndexedDB is unavailable', () => {
+    expect(typeof indexedDB).toBe('undefined');
+    expect(createProvider('indexeddb').name).toBe('local');
+  });
+
+  test('the localStorage provider stores each change', async () => {
+    const provider = createProvider('local');
+    await provider.create({ id: 'a', title: 'Alpha' });
+    await provider.bulkCreate([{ id: 'b', title: 'Beta' }, { id: 'c', title: 'Gamma' }]);
+    await provider.update('a', { completed: true });
+    await provider.remove('b');
+
+    expect(await provider.list()).toEqual([
+      { id: 'c', title: 'Gamma' },
+      { id: 'a', title: 'Alpha', completed: true },
+    ]);
+    expect(JSON.parse(window.localStorage.getItem('todo_app_todos')).data).toHaveLength(2);
+    await expect(provider.update('b', { title: 'Gone' })).rejects.toMatchObject({ status: 404 });
+
+    const results = await provider.bulkUpdate([
+      { id: 'a', fields: { title: 'A' } },
+      { id: 'zzz', fields: { title: 'Z' } },
+    ]);
+    expect(results.map((r) => r.ok)).toEqual([true, false]);
+  });
+
+  test('withDefaults reports per-item results for providers without bulk calls', async () => {
+    const removed = [];
+    const provider = withDefaults({
+      list: async () => [],
+      remove: async (id) => {
+        if (id === 'locked') throw new Error('Locked');
+        removed.push(id);
+      },
+    });
+
+    const results = await provider.bulkRemove(['a', 'locked', 'b']);
+
+    expect(removed).toEqual(['a', 'b']);
+    expect(results.map(({ id, ok }) => [id, ok])).toEqual([
+      ['a', true],
+      ['locked', false],
+      ['b', true],
+    ]);
+    expect(results[1].error.message).toBe('Locked');
+    expect(provider.remote).toBe(false);
+    expect(typeof provider.subscribe(() => {})).toBe('function');
+  });
+
+  test('the api provider opens its websocket with the access token and reopens it when that changes', () => {
+    const OriginalWebSocket = global.WebSocket;
+    const sockets = [];
+    global.WebSocket = class {
+      constructor(url) {
+        this.url = url;
+        this.closed = false;
+        sockets.push(this);
+      }
+
+      close() {
+        this.closed = true;
+      }
+    };
+    process.env.REACT_APP_WS_URL = 'ws://api.test/ws';
+    process.env.REACT_APP_AUTH_MODE = 'bearer';
+    try {
+      startSession({ user: { name: 'Sam' }, accessToken: 'a1', refreshToken: 'r1' });
+      const unsubscribe = createProvider('api').subscribe({});
+      expect(sockets.map((s) => s.url)).toEqual(['ws://api.test/ws?access_token=a1']);
+
+      startSession({ user: { name: 'Sam' }, accessToken: 'a2', refreshToken: 'r1' });
+      expect(sockets.map((s) => s.url)).toEqual(['ws://api.test/ws?access_token=a1', 'ws://api.test/ws?access_token=a2']);
+      expect(sockets[0].closed).toBe(true);
+
+      endSession();
+      expect(sockets).toHaveLength(2);
+      expect(sockets[1].closed).toBe(true);
+      unsubscribe();
+    } finally {
+      delete process.env.REACT_APP_WS_URL;
+      delete process.env.REACT_APP_AUTH_MODE;
+      global.WebSocket = OriginalWebSocket;
+    }
+  });
+});
@@ -0,0 +1,177 @@
+//
+// Todo provider backed by IndexedDB, for lists too large to rewrite into localStorage
+// on every change. Todos are stored one record per todo (keyed by id) in the "todos"
+// store of the "todo_app" database, so an edit only writes the todo it touches.
+// When the database is first created, todos saved by the localStorage provider are
+// copied into it. Writes are announced to other tabs on a BroadcastChannel (where the
+// browser has one) as per-todo events, which subscribe() delivers.
+//
+// PUBLIC INTERFACES in this file are preceded with "PUBLIC_INTERFACE" comments.
+//
+
+import { loadTodos } from "../storage";
+import { parseRealtimeEvent } from "../realtime";
+
+const DB_NAME = "todo_app";
+const DB_VERSION = 1;
+const STORE = "todos";
+const CHANNEL = "todo_app_todos";
+
+// PUBLIC_INTERFACE
+export function isIndexedDbAvailable() {
+  /** Whether this environment exposes IndexedDB (private modes and tests may not). */
+  try {
+    return typeof indexedDB !== "undefined" && indexedDB !== null;
+  } catch (_e) {
+    return false;
+  }
+}
+
+/**
+ * Error for an update aimed at a todo that is not stored (mirrors the API's 404).
+ */
+function notFound(id) {
+  const err = new Error(`Todo ${id} not found`);
+  err.status = 404;
+  return err;
+}
+
+/**
+ * Opens (and on first use creates) the database.
+ */
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = (event) => {
+      const db = req.result;
+      const store = db.createObjectStore(STORE, { keyPath: "id" });
+      if (event.oldVersion === 0) {
+        loadTodos()
+          .filter((t) => t && typeof t === "object" && t.id !== undefined && t.id !== null)
+          .forEach((t) => store.put(t));
+      }
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+    req.onblocked = () => reject(new Error("IndexedDB upgrade blocked by another tab"));
+  });
+}
+
+// PUBLIC_INTERFACE
+export function createIndexedDbProvider() {
+  /** Provider storing one IndexedDB record per todo. */
+  let dbPromise = null;
+  const channel = typeof BroadcastChannel === "function" ? new BroadcastChannel(CHANNEL) : null;
+  // Tell other tabs what a write changed (the channel does not echo to its sender)
+  const announce = (events) => {
+    if (channel) events.forEach((event) => channel.postMessage(event));
+  };
+  const announceResults = (type, results) => {
+    const done = results.filter((r) => r.ok);
+    announce(done.map((r) => (type === "todo.deleted" ? { type, id: r.id } : { type, todo: r.todo })));
+    return results;
+  };
+
+  const db = () => {
+    if (!dbPromise) {
+      dbPromise = openDatabase().catch((err) => {
+        dbPromise = null; // try again on the next call
+        throw err;
+      });
+    }
+    return dbPromise;
+  };
+
+  // Runs work(store) in one transaction. work issues its requests synchronously and
+  // returns a function producing the result, read once the transaction has committed.
+  const transact = async (mode, work) => {
+    const database = await db();
+    return new Promise((resolve, reject) => {
+      const tx = database.transaction(STORE, mode);
+      const read = work(tx.objectStore(STORE));
+      tx.oncomplete = () => {
+        try {
+          resolve(typeof read === "function" ? read() : undefined);
+        } catch (err) {
+          reject(err);
+        }
+      };
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error("IndexedDB transaction aborted"));
+    });
+  };
+
+  // Merges fields into each stored todo; missing todos are reported, not created
+  const putUpdates = (updates) =>
+    transact("readwrite", (store) => {
+      const results = updates.map(({ id }) => ({ id, ok: false, error: notFound(id) }));
+      updates.forEach(({ id, fields }, i) => {
+        const req = store.get(id);
+        req.onsuccess = () => {
+          if (!req.result) return;
+          const todo = { ...req.result, ...fields };
+          store.put(todo);
+          results[i] = { id, ok: true, todo };
+        };
+      });
+      return () => results;
+    });
+
+  return {
+    name: "indexeddb",
+    list: () =>
+      transact("readonly", (store) => {
+        const req = store.getAll();
+        return () => req.result || [];
+      }),
+    get: (id) =>
+      transact("readonly", (store) => {
+        const req = store.get(id);
+        return () => req.result || null;
+      }),
+    create: async (todo) => {
+      await transact("readwrite", (store) => {
+        store.put(todo);
+      });
+      announce([{ type: "todo.created", todo }]);
+      return todo;
+    },
+    update: async (id, fields) => {
+      const [result] = announceResults("todo.updated", await putUpdates([{ id, fields }]));
+      if (!result.ok) throw result.error;
+      return result.todo;
+    },
+    remove: async (id) => {
+      await transact("readwrite", (store) => {
+        store.delete(id);
+      });
+      announce([{ type: "todo.deleted", id }]);
+    },
+    bulkCreate: async (todos) =>
+      announceResults(
+        "todo.created",
+        await transact("readwrite", (store) => {
+          todos.forEach((todo) => store.put(todo));
+          return () => todos.map((todo) => ({ id: todo.id, ok: true, todo }));
+        })
+      ),
+    bulkUpdate: async (updates) => announceResults("todo.updated", await putUpdates(updates)),
+    bulkRemove: async (ids) =>
+      announceResults(
+        "todo.deleted",
+        await transact("readwrite", (store) => {
+          ids.forEach((id) => store.delete(id));
+          return () => ids.map((id) => ({ id, ok: true, todo: null }));
+        })
+      ),
+    subscribe: ({ onEvent }) => {
+      if (!channel) return () => {};
+      const onMessage = (e) => {
+        const event = parseRealtimeEvent(e.data);
+        if (event) onEvent(event);
+      };
+      channel.addEventListener("message", onMessage);
+      return () => channel.removeEventListener("message", onMessage);
+    },
+  };
+}
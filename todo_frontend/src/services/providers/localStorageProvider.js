@@ -0,0 +1,73 @@
+//
+// Todo provider backed by localStorage (services/storage).
+// The whole collection lives under one key, so every write rewrites it; fine for the
+// few hundred todos a person keeps, use the IndexedDB provider for more.
+// Each write re-reads the stored array and changes only the todos it touches, and
+// subscribe() reports what other tabs changed as per-todo events, so open tabs merge
+// each other's edits instead of overwriting them.
+//
+// PUBLIC INTERFACES in this file are preceded with "PUBLIC_INTERFACE" comments.
+//
+
+import { loadTodos, saveTodos, subscribeTodos } from "../storage";
+import { todoEventsBetween } from "../realtime";
+
+/**
+ * Error for an update aimed at a todo that is not stored (mirrors the API's 404).
+ */
+function notFound(id) {
+  const err = new Error(`Todo ${id} not found`);
+  err.status = 404;
+  return err;
+}
+
+// PUBLIC_INTERFACE
+export function createLocalStorageProvider() {
+  /** Provider reading and writing the todo array in localStorage. */
+  const write = (update) => saveTodos(update(loadTodos()));
+
+  const applyUpdates = (updates) => {
+    const results = [];
+    write((todos) => {
+      const byId = new Map(updates.map((u) => [u.id, u.fields]));
+      const next = todos.map((t) => (byId.has(t.id) ? { ...t, ...byId.get(t.id) } : t));
+      updates.forEach(({ id }) => {
+        const todo = next.find((t) => t.id === id);
+        results.push(todo ? { id, ok: true, todo } : { id, ok: false, error: notFound(id) });
+      });
+      return next;
+    });
+    return results;
+  };
+
+  return {
+    name: "local",
+    snapshot: () => loadTodos(),
+    list: async () => loadTodos(),
+    create: async (todo) => {
+      write((todos) => [todo, ...todos.filter((t) => t.id !== todo.id)]);
+      return todo;
+    },
+    update: async (id, fields) => {
+      const [result] = applyUpdates([{ id, fields }]);
+      if (!result.ok) throw result.error;
+      return result.todo;
+    },
+    remove: async (id) => {
+      write((todos) => todos.filter((t) => t.id !== id));
+    },
+    bulkCreate: async (created) => {
+      const ids = new Set(created.map((t) => t.id));
+      write((todos) => [...created, ...todos.filter((t) => !ids.has(t.id))]);
+      return created.map((todo) => ({ id: todo.id, ok: true, todo }));
+    },
+    bulkUpdate: async (updates) => applyUpdates(updates),
+    bulkRemove: async (ids) => {
+      const removed = new Set(ids);
+      write((todos) => todos.filter((t) => !removed.has(t.id)));
+      return ids.map((id) => ({ id, ok: true, todo: null }));
+    },
+    subscribe: ({ onEvent }) =>
+      subscribeTodos((next, prev) => todoEventsBetween(prev, next).forEach((event) => onEvent(event))),
+  };
+}
@@ -0,0 +1,146 @@
+//
+// Realtime service: WebSocket subscription to todo change events.
+// The server pushes one JSON message per change:
+//   { "type": "todo.created", "todo": { ...todo } }
+//   { "type": "todo.updated", "todo": { ...todo } }    full todo or the changed fields plus id
+//   { "type": "todo.deleted", "id": "<todo id>" }
+// Dropped connections are retried with exponential backoff and jitter; the open
+// handler is told when a connection is a reconnect so callers can resync.
+// The URL can be a function, read again on every (re)connect, so it can carry credentials
+// that change over time (the api provider adds the session's access token).
+//
+// PUBLIC INTERFACES in this file are preceded with "PUBLIC_INTERFACE" comments.
+//
+
+const EVENT_TYPES = ["todo.created", "todo.updated", "todo.deleted"];
+const BASE_DELAY = 1000;
+const MAX_DELAY = 30000;
+
+// PUBLIC_INTERFACE
+export function parseRealtimeEvent(data) {
+  /**
+   * Validates a raw message into { type, todo?, id }.
+   * Returns null for anything that is not a known todo event.
+   */
+  let msg = data;
+  if (typeof data === "string") {
+    try {
+      msg = JSON.parse(data);
+    } catch (_e) {
+      return null;
+    }
+  }
+  if (!msg || typeof msg !== "object" || !EVENT_TYPES.includes(msg.type)) return null;
+  if (msg.type === "todo.deleted") {
+    const id = msg.id ?? (msg.todo && msg.todo.id);
+    return id === undefined || id === null ? null : { type: msg.type, id };
+  }
+  if (!msg.todo || typeof msg.todo !== "object" || msg.todo.id === undefined || msg.todo.id === null) return null;
+  return { type: msg.type, todo: msg.todo, id: msg.todo.id };
+}
+
+// PUBLIC_INTERFACE
+export function todoEventsBetween(before, after) {
+  /**
+   * The events that turn one todo array into another: created/updated with the full
+   * todo, deleted with the id. Used to replay another tab's change todo by todo.
+   */
+  const prev = new Map();
+  (Array.isArray(before) ? before : []).forEach((t) => t && t.id != null && prev.set(t.id, t));
+  const events = [];
+  (Array.isArray(after) ? after : []).forEach((todo) => {
+    if (!todo || todo.id == null) return;
+    const old = prev.get(todo.id);
+    prev.delete(todo.id);
+    if (!old) events.push({ type: "todo.created", todo, id: todo.id });
+    else if (JSON.stringify(old) !== JSON.stringify(todo)) events.push({ type: "todo.updated", todo, id: todo.id });
+  });
+  prev.forEach((_todo, id) => events.push({ type: "todo.deleted", id }));
+  return events;
+}
+
+// PUBLIC_INTERFACE
+export function reconnectDelay(attempt, random = Math.random) {
+  /** Backoff before reconnect attempt n (0-based): doubling from 1s up to 30s, with 50-100% jitter. */
+  const ceiling = Math.min(MAX_DELAY, BASE_DELAY * 2 ** attempt);
+  return Math.round(ceiling * (0.5 + random() / 2));
+}
+
+// PUBLIC_INTERFACE
+export function connectRealtime(url, { onEvent, onOpen, onClose } = {}) {
+  /**
+   * Opens a WebSocket to url and keeps it open until close() is called.
+   * url is a string or a function returning one; while the function returns nothing
+   * no connection is opened (until the next reconnect()).
+   * Callbacks:
+   *  - onEvent(event): each valid message, as returned by parseRealtimeEvent
+   *  - onOpen({ reconnected }): connection established; reconnected is true after a drop
+   *  - onClose(): connection lost (a reconnect is already scheduled)
+   * Returns { close, reconnect }; reconnect() drops the connection and opens a new one at
+   * once, e.g. after the credentials in the URL changed. A no-op handle is returned where
+   * WebSocket is unavailable.
+   */
+  if (!url || typeof WebSocket === "undefined") return { close() {}, reconnect() {} };
+
+  let socket = null;
+  let timer = null;
+  let attempt = 0;
+  let connectedBefore = false;
+  let closed = false;
+
+  const connect = () => {
+    const target = typeof url === "function" ? url() : url;
+    if (!target) return;
+    try {
+      socket = new WebSocket(target);
+    } catch (_e) {
+      scheduleReconnect();
+      return;
+    }
+    socket.onopen = () => {
+      attempt = 0;
+      if (onOpen) onOpen({ reconnected: connectedBefore });
+      connectedBefore = true;
+    };
+    socket.onmessage = (msg) => {
+      const event = parseRealtimeEvent(msg.data);
+      if (event && onEvent) onEvent(event);
+    };
+    socket.onclose = () => {
+      socket = null;
+      if (closed) return;
+      if (onClose) onClose();
+      scheduleReconnect();
+    };
+    // errors are followed by a close event, which handles the retry
+    socket.onerror = () => {};
+  };
+
+  function scheduleReconnect() {
+    if (closed) return;
+    timer = setTimeout(connect, reconnectDelay(attempt));
+    attempt += 1;
+  }
+
+  connect();
+
+  return {
+    close() {
+      closed = true;
+      clearTimeout(timer);
+      if (socket) socket.close();
+    },
+    reconnect() {
+      if (closed) return;
+      clearTimeout(timer);
+      attempt = 0;
+      if (socket) {
+        // the old socket's close must not schedule a retry of its own
+        socket.onclose = null;
+        socket.close();
+        socket = null;
+      }
+      connect();
+    },
+  };
+}
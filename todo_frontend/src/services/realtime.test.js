@@ -0,0 +1,36 @@
+import { parseRealtimeEvent, reconnectDelay, todoEventsBetween } from './realtime';
+
+describe('realtime events', () => {
+  test('accepts known todo events and rejects the rest', () => {
+    expect(parseRealtimeEvent('{"type":"todo.updated","todo":{"id":"1","title":"A"}}')).toEqual({
+      type: 'todo.updated',
+      todo: { id: '1', title: 'A' },
+      id: '1',
+    });
+    expect(parseRealtimeEvent({ type: 'todo.deleted', id: 7 })).toEqual({ type: 'todo.deleted', id: 7 });
+    expect(parseRealtimeEvent('not json')).toBeNull();
+    expect(parseRealtimeEvent({ type: 'todo.created', todo: { title: 'no id' } })).toBeNull();
+    expect(parseRealtimeEvent({ type: 'list.updated', id: 1 })).toBeNull();
+  });
+
+  test('backs off exponentially up to a ceiling', () => {
+    const top = () => 1;
+    expect(reconnectDelay(0, top)).toBe(1000);
+    expect(reconnectDelay(3, top)).toBe(8000);
+    expect(reconnectDelay(10, top)).toBe(30000);
+    expect(reconnectDelay(2, () => 0)).toBe(2000);
+  });
+
+  test('describes the difference between two todo arrays per todo', () => {
+    const a = { id: 'a', title: 'A' };
+    const b = { id: 'b', title: 'B' };
+    const c = { id: 'c', title: 'C' };
+
+    expect(todoEventsBetween([a, b], [{ ...a, completed: true }, c])).toEqual([
+      { type: 'todo.updated', todo: { ...a, completed: true }, id: 'a' },
+      { type: 'todo.created', todo: c, id: 'c' },
+      { type: 'todo.deleted', id: 'b' },
+    ]);
+    expect(todoEventsBetween([a], [a])).toEqual([]);
+  });
+});
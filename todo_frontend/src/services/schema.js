@@ -0,0 +1,183 @@
+//
+// Versioned schema for the collections the app persists in the browser.
+// Each collection is stored as an envelope: { schemaVersion, data, meta: { savedAt, count } }.
+// Payloads written by older builds are upgraded on load by the migrations registered for
+// their collection, one version at a time; the bare arrays saved before envelopes existed
+// are read as version 0. Records that fail validation after migrating are returned as
+// rejected (services/storage quarantines them) instead of being dropped.
+//
+// PUBLIC INTERFACES in this file are preceded with "PUBLIC_INTERFACE" comments.
+//
+
+// Legacy snake_case keys (sent by some backends and kept by old builds) and their names
+const TODO_FIELD_ALIASES = {
+  _id: "id",
+  due_date: "dueDate",
+  due_time: "dueTime",
+  list_id: "listId",
+  created_at: "createdAt",
+  updated_at: "updatedAt",
+};
+
+/**
+ * A record with legacy keys renamed; a key already present under its new name wins.
+ */
+function renameFields(record, aliases) {
+  if (!record || typeof record !== "object" || Array.isArray(record)) return record;
+  const out = { ...record };
+  Object.entries(aliases).forEach(([from, to]) => {
+    if (!(from in out)) return;
+    if (out[to] === undefined || out[to] === null) out[to] = out[from];
+    delete out[from];
+  });
+  return out;
+}
+
+/**
+ * Whether a value can identify a record.
+ */
+function isId(value) {
+  return (typeof value === "string" && value !== "") || (typeof value === "number" && Number.isFinite(value));
+}
+
+/**
+ * Reason a value is not a storable object, or null when it is one.
+ */
+function objectProblem(record) {
+  if (!record || typeof record !== "object" || Array.isArray(record)) return "not an object";
+  if (!isId(record.id)) return "missing id";
+  return null;
+}
+
+const COLLECTIONS = {
+  todos: {
+    migrations: new Map([
+      // v1: envelope; ids and dates under their camelCase names, titles as trimmed strings
+      [
+        1,
+        (data) =>
+          data.map((t) => {
+            const out = renameFields(t, TODO_FIELD_ALIASES);
+            if (out && typeof out === "object" && typeof out.title !== "object") {
+              out.title = String(out.title ?? "").trim();
+            }
+            return out;
+          }),
+      ],
+      // v2: completed todos carry completedAt (when they were finished) for the history view
+      [
+        2,
+        (data) =>
+          data.map((t) => {
+            if (!t || typeof t !== "object" || !t.completed || t.completedAt) return t;
+            return { ...t, completedAt: t.updatedAt ?? t.createdAt ?? null };
+          }),
+      ],
+    ]),
+    validate: (t) => objectProblem(t) || (typeof t.title !== "string" ? "title is not text" : null),
+  },
+  lists: {
+    migrations: new Map([[1, (data) => data.map((l) => renameFields(l, { _id: "id" }))]]),
+    validate: (l) => objectProblem(l),
+  },
+  outbox: {
+    migrations: new Map([[1, (data) => data]]),
+    validate: (op) =>
+      objectProblem(op) ||
+      (!["create", "update", "delete"].includes(op.type) ? "unknown operation" : null) ||
+      (!isId(op.todoId) ? "missing todo id" : null),
+  },
+};
+
+/**
+ * The registered schema of a collection; throws for unknown names.
+ */
+function schemaOf(collection) {
+  const schema = COLLECTIONS[collection];
+  if (!schema) throw new Error(`Unknown storage collection "${collection}"`);
+  return schema;
+}
+
+// PUBLIC_INTERFACE
+export function registerMigration(collection, version, migrate) {
+  /**
+   * Adds the step that upgrades a collection's data to `version` from the version before it.
+   * migrate(data) receives and returns the record array. Registering a step past the
+   * current version makes it the version new payloads are written with.
+   * @param {string} collection 'todos' | 'lists' | 'outbox'
+   * @param {number} version
+   * @param {Function} migrate
+   */
+  if (!Number.isInteger(version) || version < 1) throw new Error("Migration version must be a positive integer");
+  schemaOf(collection).migrations.set(version, migrate);
+}
+
+// PUBLIC_INTERFACE
+export function schemaVersion(collection) {
+  /** The version a collection is written with (its highest registered migration). */
+  return Math.max(0, ...schemaOf(collection).migrations.keys());
+}
+
+// PUBLIC_INTERFACE
+export function wrapPayload(collection, data) {
+  /**
+   * The envelope to persist for a collection's records.
+   * @returns {{ schemaVersion: number, data: Array<Object>, meta: { savedAt: string, count: number } }}
+   */
+  const records = Array.isArray(data) ? data : [];
+  return {
+    schemaVersion: schemaVersion(collection),
+    data: records,
+    meta: { savedAt: new Date().toISOString(), count: records.length },
+  };
+}
+
+// PUBLIC_INTERFACE
+export function readPayload(collection, payload) {
+  /**
+   * Reads a parsed payload (an envelope or a legacy bare array) for a collection.
+   * Returns:
+   *  - data: the valid records, migrated to the current version
+   *  - rejected: [{ record, reason }] for records (or a whole payload) that cannot be used
+   *  - version: the version the payload was stored with
+   *  - migrated: true when migrations ran, so the payload should be written back
+   *  - newer: true when a newer build wrote it (records are used as they are, unmigrated)
+   */
+  const schema = schemaOf(collection);
+  const current = schemaVersion(collection);
+  const result = { data: [], rejected: [], version: 0, migrated: false, newer: false };
+
+  let records;
+  if (Array.isArray(payload)) {
+    records = payload;
+  } else if (payload && typeof payload === "object" && Array.isArray(payload.data)) {
+    result.version = Number.isInteger(payload.schemaVersion) && payload.schemaVersion >= 0 ? payload.schemaVersion : 0;
+    records = payload.data;
+  } else {
+    if (payload !== null && payload !== undefined) result.rejected.push({ record: payload, reason: "unrecognized payload" });
+    return result;
+  }
+
+  if (result.version > current) {
+    result.newer = true;
+  } else {
+    for (let v = result.version + 1; v <= current; v += 1) {
+      const migrate = schema.migrations.get(v);
+      if (!migrate) continue;
+      try {
+        records = migrate(records);
+      } catch (err) {
+        result.rejected.push({ record: payload, reason: `migration to v${v} failed: ${err.message}` });
+        return result;
+      }
+    }
+    result.migrated = result.version !== current;
+  }
+
+  (Array.isArray(records) ? records : []).forEach((record) => {
+    const reason = schema.validate(record);
+    if (reason) result.rejected.push({ record, reason });
+    else result.data.push(record);
+  });
+  return result;
+}
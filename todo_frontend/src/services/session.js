@@ -0,0 +1,92 @@
+//
+// Sign-in session for the API client (see services/api for the HTTP side).
+// REACT_APP_AUTH_MODE selects how requests are authenticated:
+//  - 'bearer': an access token (plus refresh token) from POST /auth/login is sent as
+//    "Authorization: Bearer <token>"; tokens are kept in localStorage
+//  - 'cookie': the server keeps a session cookie; requests are sent with credentials
+//  - unset / 'none': no authentication (the default)
+// The session status is one of:
+//  - 'none'       authentication is off
+//  - 'signedOut'  nobody is signed in
+//  - 'active'     signed in
+//  - 'expired'    the server stopped accepting the session and it could not be refreshed;
+//                 the user (kept for display) has to sign in again
+//
+// PUBLIC INTERFACES in this file are preceded with "PUBLIC_INTERFACE" comments.
+//
+
+import { getAuthMode } from "../utils/env";
+
+const SESSION_KEY = "todo_app_session";
+const listeners = new Set();
+
+/**
+ * Reads the stored session record, or null.
+ */
+function readStored() {
+  try {
+    const parsed = JSON.parse(window.localStorage.getItem(SESSION_KEY));
+    return parsed && typeof parsed === "object" ? parsed : null;
+  } catch (_e) {
+    return null;
+  }
+}
+
+/**
+ * Stores (or, for null, removes) the session record and notifies listeners.
+ */
+function writeStored(record) {
+  try {
+    if (record) window.localStorage.setItem(SESSION_KEY, JSON.stringify(record));
+    else window.localStorage.removeItem(SESSION_KEY);
+  } catch (_e) {
+    // no-op: the session then lasts for this page only
+  }
+  const session = getSession();
+  listeners.forEach((listener) => listener(session));
+}
+
+// PUBLIC_INTERFACE
+export function getSession() {
+  /** Current session: { mode, status, user, accessToken, refreshToken }. */
+  const mode = getAuthMode();
+  if (mode === "none") return { mode, status: "none", user: null, accessToken: null, refreshToken: null };
+  const stored = readStored();
+  if (!stored || stored.mode !== mode) {
+    return { mode, status: "signedOut", user: null, accessToken: null, refreshToken: null };
+  }
+  return {
+    mode,
+    status: stored.expired ? "expired" : "active",
+    user: stored.user ?? null,
+    accessToken: stored.accessToken ?? null,
+    refreshToken: stored.refreshToken ?? null,
+  };
+}
+
+// PUBLIC_INTERFACE
+export function startSession({ user = null, accessToken = null, refreshToken = null } = {}) {
+  /** Records a successful sign-in (or token refresh). */
+  writeStored({ mode: getAuthMode(), user, accessToken, refreshToken, expired: false });
+}
+
+// PUBLIC_INTERFACE
+export function expireSession() {
+  /** Marks the session expired: tokens are dropped, the user is kept so the UI can say who. */
+  const current = getSession();
+  if (current.status !== "active") return;
+  writeStored({ mode: current.mode, user: current.user, accessToken: null, refreshToken: null, expired: true });
+}
+
+// PUBLIC_INTERFACE
+export function endSession() {
+  /** Forgets the session (sign-out). */
+  writeStored(null);
+}
+
+// PUBLIC_INTERFACE
+export function subscribeSession(listener) {
+  /** Calls listener(session) after every change; returns an unsubscribe function. */
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
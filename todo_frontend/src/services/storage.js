@@ -1,13 +1,45 @@
 //
 // Local storage service for the To-Do app.
-// Provides safe load/save operations and a simple ID generator.
+// Provides safe load/save operations, notifications of changes made in other tabs
+// and a simple ID generator.
 // All keys are namespaced to avoid collisions with other apps using localStorage.
+// Collections are saved in versioned envelopes (services/schema) and upgraded when
+// loaded; records that cannot be read are moved to a quarantine key instead of being
+// lost, and can be inspected with loadQuarantine().
+// When localStorage is unavailable (disabled, private mode) or full, writes that fail are
+// kept in memory and read back from there, so the session keeps working; the failure is
+// reported through getStorageHealth()/subscribeStorageHealth() so the UI can warn that
+// those changes will not survive a reload. Once a write succeeds again, the in-memory
+// values are written out too.
 //
 // PUBLIC INTERFACES in this file are preceded with "PUBLIC_INTERFACE" comments.
 //
 
+import { readPayload, wrapPayload } from './schema';
+
 const NAMESPACE = 'todo_app';
 const TODOS_KEY = `${NAMESPACE}_todos`;
+const LISTS_KEY = `${NAMESPACE}_lists`;
+const OUTBOX_KEY = `${NAMESPACE}_outbox`;
+const QUARANTINE_KEY = `${NAMESPACE}_quarantine`;
+
+// Quarantined records kept (oldest are dropped first)
+const QUARANTINE_LIMIT = 200;
+
+// What browsers typically allow localStorage per origin (5 MiB); used for the usage estimate
+const STORAGE_QUOTA_BYTES = 5 * 1024 * 1024;
+
+// Share of the quota above which storage is reported as nearly full
+const NEARLY_FULL_RATIO = 0.9;
+
+// Values that could not be written (key -> string, or null for a removal that failed)
+const memory = new Map();
+const healthListeners = new Set();
+let health = null;
+// Bytes used, kept up to date by writes once measured (null: measure on next use)
+let usedBytes = null;
+// Keys last loaded from a payload a newer build wrote, and that payload's schema version
+const newerVersions = new Map();
 
 /**
  * Safely parse JSON with a default fallback.
@@ -18,10 +50,7 @@ const TODOS_KEY = `${NAMESPACE}_todos`;
 function safeJsonParse(raw, fallback) {
   if (typeof raw !== 'string') return fallback;
   try {
-    const parsed = JSON.parse(raw);
-    // Ensure we only accept arrays for todos
-    if (Array.isArray(parsed)) return parsed;
-    return fallback;
+    return JSON.parse(raw);
   } catch (_e) {
     return fallback;
   }
@@ -42,32 +71,232 @@ function safeJsonStringify(value, fallback = '[]') {
 }
 
 /**
- * INTERNAL: Whether localStorage is available.
+ * INTERNAL: The localStorage object, or null where reading it throws (disabled storage).
+ * @returns {Storage|null}
+ */
+function storageArea() {
+  try {
+    return window.localStorage || null;
+  } catch (_e) {
+    return null;
+  }
+}
+
+/**
+ * INTERNAL: Whether an error from setItem means the storage quota is used up.
+ * @param {any} err
  * @returns {boolean}
  */
-function hasLocalStorage() {
+function isQuotaError(err) {
+  if (!err) return false;
+  return (
+    err.name === 'QuotaExceededError' ||
+    err.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+    err.code === 22 ||
+    err.code === 1014
+  );
+}
+
+/**
+ * INTERNAL: Bytes a stored entry takes (strings are UTF-16); 0 for a missing one.
+ * @param {string} key
+ * @param {string|null} value
+ * @returns {number}
+ */
+function entrySize(key, value) {
+  return value === null || value === undefined ? 0 : (key.length + value.length) * 2;
+}
+
+/**
+ * INTERNAL: Approximate bytes used in localStorage by this origin. Every key is read only
+ * the first time (and again after the status changes); writes keep the total up to date.
+ * @returns {number}
+ */
+function measureUsage() {
+  if (usedBytes !== null) return usedBytes;
+  const area = storageArea();
+  if (!area) return 0;
   try {
-    const testKey = `${NAMESPACE}_ls_test`;
-    window.localStorage.setItem(testKey, '1');
-    window.localStorage.removeItem(testKey);
-    return true;
+    let bytes = 0;
+    for (let i = 0; i < area.length; i += 1) {
+      const key = area.key(i);
+      bytes += entrySize(key, area.getItem(key));
+    }
+    usedBytes = bytes;
   } catch (_e) {
+    usedBytes = 0;
+  }
+  return usedBytes;
+}
+
+/**
+ * INTERNAL: Recomputes the health record; listeners hear about changes of status or of
+ * the nearly-full warning (not every change in usage).
+ * @param {'ok'|'unavailable'|'quota'} status
+ * @param {any} [error]
+ */
+function updateHealth(status, error = null) {
+  // other tabs may have written meanwhile: count again when the status changes
+  if (health && health.status !== status) usedBytes = null;
+  const used = measureUsage();
+  const next = {
+    status,
+    persistent: status === 'ok',
+    nearlyFull: status === 'quota' || used >= STORAGE_QUOTA_BYTES * NEARLY_FULL_RATIO,
+    usage: { used, quota: STORAGE_QUOTA_BYTES },
+    error: error ? String(error.message || error.name || error) : null,
+  };
+  const changed = !health || health.status !== next.status || health.nearlyFull !== next.nearlyFull;
+  health = next;
+  if (changed) healthListeners.forEach((listener) => listener(health));
+}
+
+/**
+ * INTERNAL: Writes a value (null removes the key) straight to localStorage; throws on failure.
+ * @param {string} key
+ * @param {string|null} value
+ */
+function writeThrough(key, value) {
+  const area = storageArea();
+  if (!area) throw new Error('localStorage is not available');
+  const before = usedBytes === null ? null : area.getItem(key);
+  if (value === null) area.removeItem(key);
+  else area.setItem(key, value);
+  if (usedBytes !== null) usedBytes += entrySize(key, value) - entrySize(key, before);
+}
+
+/**
+ * INTERNAL: Reads a raw value, preferring one kept in memory after a failed write.
+ * @param {string} key
+ * @returns {string|null}
+ */
+function readRaw(key) {
+  if (memory.has(key)) return memory.get(key);
+  const area = storageArea();
+  if (!area) {
+    if (!health || health.status !== 'unavailable') updateHealth('unavailable');
+    return null;
+  }
+  try {
+    return area.getItem(key);
+  } catch (err) {
+    updateHealth('unavailable', err);
+    return null;
+  }
+}
+
+/**
+ * INTERNAL: Writes a raw value (null removes the key). On failure the value is kept in
+ * memory and the health status changes; on success values still in memory are retried.
+ * @param {string} key
+ * @param {string|null} value
+ * @returns {boolean} whether the value reached localStorage
+ */
+function writeRaw(key, value) {
+  try {
+    writeThrough(key, value);
+  } catch (err) {
+    memory.set(key, value);
+    updateHealth(isQuotaError(err) ? 'quota' : 'unavailable', err);
     return false;
   }
+  memory.delete(key);
+  memory.forEach((pending, pendingKey) => {
+    try {
+      writeThrough(pendingKey, pending);
+      memory.delete(pendingKey);
+    } catch (_e) {
+      // stays in memory
+    }
+  });
+  updateHealth(memory.size ? health.status : 'ok');
+  return true;
+}
+
+/**
+ * INTERNAL: Appends unreadable records to the quarantine, skipping ones already there.
+ * @param {string} collection
+ * @param {Array<{record: any, reason: string}>} rejected
+ */
+function quarantine(collection, rejected) {
+  const stored = safeJsonParse(readRaw(QUARANTINE_KEY), []);
+  const entries = Array.isArray(stored) ? stored : [];
+  const seen = new Set(entries.map((e) => safeJsonStringify([e.collection, e.record], '')));
+  const at = new Date().toISOString();
+  rejected.forEach(({ record, reason }) => {
+    const key = safeJsonStringify([collection, record], '');
+    if (seen.has(key)) return;
+    seen.add(key);
+    entries.push({ collection, record, reason, at });
+  });
+  writeRaw(QUARANTINE_KEY, safeJsonStringify(entries.slice(-QUARANTINE_LIMIT), '[]'));
+}
+
+/**
+ * INTERNAL: Reads a collection, migrating it and quarantining what cannot be used.
+ * A payload that was migrated or had records removed is written back, so this happens
+ * once; one written by a newer build is left untouched, and later saves keep its version
+ * (see saveCollection).
+ * @param {string} key
+ * @param {string} collection
+ * @returns {Array<Object>}
+ */
+function loadCollection(key, collection) {
+  const raw = readRaw(key);
+  if (raw === null) {
+    newerVersions.delete(key);
+    return [];
+  }
+  const parsed = safeJsonParse(raw, undefined);
+  if (parsed === undefined) {
+    quarantine(collection, [{ record: raw, reason: 'invalid JSON' }]);
+    writeRaw(key, null);
+    return [];
+  }
+  const result = readPayload(collection, parsed);
+  if (result.newer) newerVersions.set(key, result.version);
+  else newerVersions.delete(key);
+  if (result.rejected.length) quarantine(collection, result.rejected);
+  if (!result.newer && (result.migrated || result.rejected.length)) {
+    writeRaw(key, safeJsonStringify(wrapPayload(collection, result.data), '[]'));
+  }
+  return result.data;
+}
+
+/**
+ * INTERNAL: Saves a collection in its current envelope. Data loaded from a newer build
+ * keeps that build's version, so it does not run its migrations again on records that
+ * already have them (records keep the fields this build does not know about).
+ * @param {string} key
+ * @param {string} collection
+ * @param {Array<Object>} data
+ */
+function saveCollection(key, collection, data) {
+  const payload = wrapPayload(collection, data);
+  if (newerVersions.has(key)) payload.schemaVersion = newerVersions.get(key);
+  writeRaw(key, safeJsonStringify(payload, '[]'));
+}
+
+/**
+ * INTERNAL: Records of a raw stored value, read without side effects (for storage events).
+ * @param {string|null} raw
+ * @param {string} collection
+ * @returns {Array<Object>}
+ */
+function peekCollection(raw, collection) {
+  return readPayload(collection, safeJsonParse(raw, null)).data;
 }
 
 // PUBLIC_INTERFACE
 export function loadTodos() {
   /**
-   * Loads todos array from localStorage.
-   * Returns an empty array if nothing stored or on any error.
+   * Loads todos array from localStorage, upgraded to the current schema version.
+   * Unreadable records are quarantined. Returns an empty array if nothing stored or on any error.
    * Key used: "todo_app_todos".
    * @returns {Array<Object>}
    */
   try {
-    if (!hasLocalStorage()) return [];
-    const raw = window.localStorage.getItem(TODOS_KEY);
-    return safeJsonParse(raw, []);
+    return loadCollection(TODOS_KEY, 'todos');
   } catch (_e) {
     return [];
   }
@@ -76,20 +305,234 @@ export function loadTodos() {
 // PUBLIC_INTERFACE
 export function saveTodos(todos) {
   /**
-   * Saves the provided todos array into localStorage.
-   * Silently no-ops if localStorage is unavailable or on error.
+   * Saves the provided todos array into localStorage, in a versioned envelope.
+   * When localStorage is unavailable or full the value is kept in memory for this session
+   * and getStorageHealth() reports it.
    * Key used: "todo_app_todos".
    * @param {Array<Object>} todos
    */
   try {
-    if (!hasLocalStorage()) return;
-    const payload = Array.isArray(todos) ? todos : [];
-    window.localStorage.setItem(TODOS_KEY, safeJsonStringify(payload, '[]'));
+    saveCollection(TODOS_KEY, 'todos', todos);
   } catch (_e) {
     // no-op
   }
 }
 
+// PUBLIC_INTERFACE
+export function loadLists() {
+  /**
+   * Loads the named task lists from localStorage.
+   * Returns an empty array if nothing stored or on any error.
+   * Key used: "todo_app_lists".
+   * @returns {Array<Object>}
+   */
+  try {
+    return loadCollection(LISTS_KEY, 'lists');
+  } catch (_e) {
+    return [];
+  }
+}
+
+// PUBLIC_INTERFACE
+export function saveLists(lists) {
+  /**
+   * Saves the named task lists into localStorage.
+   * When localStorage is unavailable or full the value is kept in memory for this session
+   * and getStorageHealth() reports it.
+   * Key used: "todo_app_lists".
+   * @param {Array<Object>} lists
+   */
+  try {
+    saveCollection(LISTS_KEY, 'lists', lists);
+  } catch (_e) {
+    // no-op
+  }
+}
+
+// PUBLIC_INTERFACE
+export function loadOutbox() {
+  /**
+   * Loads the queue of todo mutations still waiting to be sent to the API.
+   * Returns an empty array if nothing stored or on any error.
+   * Key used: "todo_app_outbox".
+   * @returns {Array<Object>}
+   */
+  try {
+    return loadCollection(OUTBOX_KEY, 'outbox');
+  } catch (_e) {
+    return [];
+  }
+}
+
+// PUBLIC_INTERFACE
+export function saveOutbox(queue) {
+  /**
+   * Saves the pending mutation queue into localStorage (removes the key when empty).
+   * When localStorage is unavailable or full the value is kept in memory for this session
+   * and getStorageHealth() reports it.
+   * Key used: "todo_app_outbox".
+   * @param {Array<Object>} queue
+   */
+  try {
+    if (!Array.isArray(queue) || !queue.length) {
+      writeRaw(OUTBOX_KEY, null);
+      return;
+    }
+    saveCollection(OUTBOX_KEY, 'outbox', queue);
+  } catch (_e) {
+    // no-op
+  }
+}
+
+// PUBLIC_INTERFACE
+export function loadQuarantine() {
+  /**
+   * Loads the records set aside because they could not be read or migrated.
+   * Entries look like { collection, record, reason, at }; oldest first.
+   * Key used: "todo_app_quarantine".
+   * @returns {Array<Object>}
+   */
+  try {
+    const stored = safeJsonParse(readRaw(QUARANTINE_KEY), []);
+    return Array.isArray(stored) ? stored : [];
+  } catch (_e) {
+    return [];
+  }
+}
+
+// PUBLIC_INTERFACE
+export function clearQuarantine() {
+  /**
+   * Removes all quarantined records.
+   * Key used: "todo_app_quarantine".
+   */
+  try {
+    writeRaw(QUARANTINE_KEY, null);
+  } catch (_e) {
+    // no-op
+  }
+}
+
+// PUBLIC_INTERFACE
+export function readItem(key) {
+  /**
+   * Reads a raw string value (null when missing), including one kept in memory because it
+   * could not be written. For small settings outside the versioned collections.
+   * @param {string} key
+   * @returns {string|null}
+   */
+  return readRaw(key);
+}
+
+// PUBLIC_INTERFACE
+export function writeItem(key, value) {
+  /**
+   * Writes a raw string value (null removes it). Falls back to memory when localStorage
+   * is unavailable or full; the result says whether the value was persisted.
+   * @param {string} key
+   * @param {string|null} value
+   * @returns {boolean}
+   */
+  return writeRaw(key, value === null || value === undefined ? null : String(value));
+}
+
+// PUBLIC_INTERFACE
+export function estimateStorageUsage() {
+  /**
+   * Approximate space this origin uses in localStorage, in bytes, next to the usual
+   * per-origin quota (browsers do not report the real one for localStorage). Counts
+   * every key afresh; getStorageHealth().usage is the running total kept by writes.
+   * @returns {{used: number, quota: number, ratio: number}}
+   */
+  usedBytes = null;
+  const used = measureUsage();
+  return { used, quota: STORAGE_QUOTA_BYTES, ratio: Math.min(1, used / STORAGE_QUOTA_BYTES) };
+}
+
+// PUBLIC_INTERFACE
+export function getStorageHealth() {
+  /**
+   * Current storage health:
+   * - status: 'ok', 'unavailable' (localStorage disabled or blocked) or 'quota' (full)
+   * - persistent: false while changes are only kept in memory
+   * - nearlyFull: usage is close to the quota (always true for 'quota')
+   * - usage: { used, quota } in bytes; error: message of the last failure, if any
+   * @returns {Object}
+   */
+  if (!health) {
+    if (storageArea()) updateHealth('ok');
+    else updateHealth('unavailable');
+  }
+  return health;
+}
+
+// PUBLIC_INTERFACE
+export function checkStorageHealth() {
+  /**
+   * Probes localStorage with a test write (which also retries values kept in memory) and
+   * returns the updated health.
+   * @returns {Object}
+   */
+  const probe = `${NAMESPACE}__probe__`;
+  usedBytes = null;
+  if (writeRaw(probe, '1')) writeRaw(probe, null);
+  return getStorageHealth();
+}
+
+// PUBLIC_INTERFACE
+export function subscribeStorageHealth(listener) {
+  /**
+   * Calls listener(health) when the storage status or the nearly-full warning changes.
+   * @param {Function} listener
+   * @returns {Function} unsubscribe
+   */
+  healthListeners.add(listener);
+  return () => healthListeners.delete(listener);
+}
+
+// PUBLIC_INTERFACE
+export function subscribeToStorage(key, listener) {
+  /**
+   * Calls listener(newValue, oldValue) with the raw strings (null when removed) whenever
+   * another tab changes the given localStorage key or clears the storage; the tab that
+   * writes is not notified. Returns an unsubscribe function.
+   * @param {string} key
+   * @param {Function} listener
+   * @returns {Function}
+   */
+  const onStorage = (event) => {
+    if (event.storageArea && event.storageArea !== window.localStorage) return;
+    if (event.key !== key && event.key !== null) return;
+    listener(event.key === null ? null : event.newValue, event.key === null ? null : event.oldValue);
+  };
+  window.addEventListener('storage', onStorage);
+  return () => window.removeEventListener('storage', onStorage);
+}
+
+// PUBLIC_INTERFACE
+export function subscribeTodos(listener) {
+  /**
+   * Calls listener(nextTodos, previousTodos) when another tab changes the stored todos.
+   * Key watched: "todo_app_todos".
+   * @param {Function} listener
+   * @returns {Function} unsubscribe
+   */
+  return subscribeToStorage(TODOS_KEY, (next, prev) =>
+    listener(peekCollection(next, 'todos'), peekCollection(prev, 'todos'))
+  );
+}
+
+// PUBLIC_INTERFACE
+export function subscribeLists(listener) {
+  /**
+   * Calls listener(nextLists) when another tab changes the stored task lists.
+   * Key watched: "todo_app_lists".
+   * @param {Function} listener
+   * @returns {Function} unsubscribe
+   */
+  return subscribeToStorage(LISTS_KEY, (next) => listener(peekCollection(next, 'lists')));
+}
+
 // PUBLIC_INTERFACE
 export function generateId() {
   /**
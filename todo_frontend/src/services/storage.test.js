@@ -0,0 +1,144 @@
+import {
+  checkStorageHealth,
+  clearQuarantine,
+  estimateStorageUsage,
+  getStorageHealth,
+  loadLists,
+  loadQuarantine,
+  loadTodos,
+  saveTodos,
+  subscribeStorageHealth,
+} from './storage';
+import { readPayload, registerMigration, schemaVersion, wrapPayload } from './schema';
+
+describe('versioned storage', () => {
+  beforeEach(() => {
+    window.localStorage.clear();
+  });
+
+  test('upgrades a legacy array and quarantines records it cannot read', () => {
+    window.localStorage.setItem(
+      'todo_app_todos',
+      JSON.stringify([
+        { _id: 'a', title: '  Pay rent ', due_date: '2024-05-01', completed: false },
+        { id: 'b', title: { text: 'broken' } },
+        'garbage',
+      ])
+    );
+
+    expect(loadTodos()).toEqual([{ id: 'a', title: 'Pay rent', dueDate: '2024-05-01', completed: false }]);
+
+    const stored = JSON.parse(window.localStorage.getItem('todo_app_todos'));
+    expect(stored).toMatchObject({ schemaVersion: schemaVersion('todos'), meta: { count: 1 } });
+    expect(loadQuarantine()).toEqual([
+      expect.objectContaining({ collection: 'todos', record: { id: 'b', title: { text: 'broken' } }, reason: 'title is not text' }),
+      expect.objectContaining({ collection: 'todos', record: 'garbage', reason: 'not an object' }),
+    ]);
+
+    // already upgraded: reading again quarantines nothing new
+    loadTodos();
+    expect(loadQuarantine()).toHaveLength(2);
+    clearQuarantine();
+    expect(loadQuarantine()).toEqual([]);
+  });
+
+  test('keeps unparseable data in quarantine and starts empty', () => {
+    window.localStorage.setItem('todo_app_lists', '[{"id": "work", "name"');
+
+    expect(loadLists()).toEqual([]);
+    expect(window.localStorage.getItem('todo_app_lists')).toBeNull();
+    expect(loadQuarantine()).toEqual([
+      expect.objectContaining({ collection: 'lists', record: '[{"id": "work", "name"', reason: 'invalid JSON' }),
+    ]);
+  });
+
+  test('leaves payloads from a newer version as they are', () => {
+    const raw = JSON.stringify({ schemaVersion: 99, data: [{ id: 'a', title: 'Future', extra: 1 }], meta: {} });
+    window.localStorage.setItem('todo_app_todos', raw);
+
+    expect(loadTodos()).toEqual([{ id: 'a', title: 'Future', extra: 1 }]);
+    expect(window.localStorage.getItem('todo_app_todos')).toBe(raw);
+
+    // saving keeps the newer version, so that build does not migrate its own records again
+    saveTodos([{ id: 'a', title: 'Future, edited', extra: 1 }]);
+    expect(JSON.parse(window.localStorage.getItem('todo_app_todos'))).toMatchObject({
+      schemaVersion: 99,
+      data: [{ id: 'a', title: 'Future, edited', extra: 1 }],
+    });
+  });
+
+  test('runs registered migrations in order', () => {
+    const from = schemaVersion('lists');
+    registerMigration('lists', from + 1, (data) => data.map((l) => ({ ...l, color: l.colour ?? null })));
+
+    const old = { ...wrapPayload('lists', [{ id: 'work', name: 'Work', colour: 'red' }]), schemaVersion: from };
+    const result = readPayload('lists', old);
+
+    expect(result).toMatchObject({ migrated: true, version: from, rejected: [] });
+    expect(result.data).toEqual([{ id: 'work', name: 'Work', colour: 'red', color: 'red' }]);
+    expect(wrapPayload('lists', []).schemaVersion).toBe(from + 1);
+  });
+});
+
+describe('storage health', () => {
+  const quotaError = () => Object.assign(new Error('The quota has been exceeded.'), { name: 'QuotaExceededError' });
+  let setItem;
+
+  beforeEach(() => {
+    window.localStorage.clear();
+    setItem = jest.spyOn(Storage.prototype, 'setItem');
+  });
+
+  afterEach(() => {
+    setItem.mockRestore();
+    checkStorageHealth();
+  });
+
+  test('keeps writes in memory while storage is full and flushes them once there is room', () => {
+    const changes = [];
+    const unsubscribe = subscribeStorageHealth((h) => changes.push(h.status));
+    setItem.mockImplementation(() => {
+      throw quotaError();
+    });
+
+    saveTodos([{ id: 'a', title: 'Not lost yet' }]);
+
+    expect(getStorageHealth()).toMatchObject({ status: 'quota', persistent: false, nearlyFull: true });
+    expect(window.localStorage.getItem('todo_app_todos')).toBeNull();
+    expect(loadTodos()).toEqual([{ id: 'a', title: 'Not lost yet' }]);
+
+    setItem.mockRestore();
+    expect(checkStorageHealth()).toMatchObject({ status: 'ok', persistent: true });
+    expect(JSON.parse(window.localStorage.getItem('todo_app_todos')).data).toEqual([{ id: 'a', title: 'Not lost yet' }]);
+    expect(changes).toEqual(['quota', 'ok']);
+    unsubscribe();
+  });
+
+  test('reports storage that refuses every write as unavailable', () => {
+    setItem.mockImplementation(() => {
+      throw new Error('The operation is insecure.');
+    });
+
+    expect(checkStorageHealth()).toMatchObject({ status: 'unavailable', persistent: false });
+  });
+
+  test('estimates the space used', () => {
+    window.localStorage.setItem('todo_app_todos', 'x'.repeat(1000));
+    const usage = estimateStorageUsage();
+    expect(usage.used).toBe(('todo_app_todos'.length + 1000) * 2);
+    expect(usage.ratio).toBeGreaterThan(0);
+  });
+
+  test('keeps the usage up to date from writes without reading every key again', () => {
+    window.localStorage.setItem('other_app', 'y'.repeat(500));
+    estimateStorageUsage();
+    const key = jest.spyOn(Storage.prototype, 'key');
+
+    saveTodos([{ id: 'a', title: 'First' }]);
+    saveTodos([{ id: 'a', title: 'First' }, { id: 'b', title: 'Second' }]);
+
+    expect(key).not.toHaveBeenCalled();
+    key.mockRestore();
+    expect(getStorageHealth().usage.used).toBe(estimateStorageUsage().used);
+  });
+});
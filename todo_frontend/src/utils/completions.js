@@ -0,0 +1,101 @@
+//
+// Completion history: what was finished, grouped by the calendar day it was finished on.
+// Completed todos carry completedAt (an ISO timestamp set when they are checked off);
+// ones completed before that field existed fall back to their last update, then to when
+// they were created. Archived todos (archivedAt set) have left their list but stay in
+// the history.
+//
+// PUBLIC INTERFACES in this file are preceded with "PUBLIC_INTERFACE" comments.
+//
+
+import { fromDateKey, toDateKey, todayKey } from "./dates";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// PUBLIC_INTERFACE
+export const HISTORY_RANGES = [
+  { value: "week", label: "Last 7 days", days: 7 },
+  { value: "month", label: "Last 30 days", days: 30 },
+  { value: "all", label: "All time", days: 0 },
+];
+
+// PUBLIC_INTERFACE
+export function completedAtOf(todo) {
+  /** When a completed todo was finished (ISO string), or null when unknown or not completed. */
+  if (!todo || !todo.completed) return null;
+  return todo.completedAt || todo.updatedAt || todo.createdAt || null;
+}
+
+// PUBLIC_INTERFACE
+export function isArchived(todo) {
+  /** Whether a todo has been archived out of its list. */
+  return !!(todo && todo.archivedAt);
+}
+
+// PUBLIC_INTERFACE
+export function completionDayKey(todo) {
+  /** Local "YYYY-MM-DD" day a todo was completed on, or null. */
+  const at = completedAtOf(todo);
+  return at ? toDateKey(new Date(at)) : null;
+}
+
+// PUBLIC_INTERFACE
+export function compareCompleted(a, b) {
+  /** Sort comparator: most recently completed first; unknown completion times last. */
+  const x = completedAtOf(a);
+  const y = completedAtOf(b);
+  if (x && y) return x < y ? 1 : x > y ? -1 : 0;
+  if (x) return -1;
+  if (y) return 1;
+  return 0;
+}
+
+// PUBLIC_INTERFACE
+export function inHistoryRange(todo, range, now = new Date()) {
+  /** Whether a todo was completed within a HISTORY_RANGES value (counting today as day 1). */
+  const spec = HISTORY_RANGES.find((r) => r.value === range);
+  if (!spec || !spec.days) return true;
+  const day = completionDayKey(todo);
+  if (!day) return false;
+  const first = fromDateKey(todayKey(now));
+  first.setDate(first.getDate() - (spec.days - 1));
+  return day >= toDateKey(first);
+}
+
+// PUBLIC_INTERFACE
+export function groupByCompletionDay(todos) {
+  /**
+   * Completed todos grouped by the day they were completed on, newest day first and
+   * newest first within a day. Todos without a usable time come last, under date null.
+   * @param {Array<Object>} todos
+   * @returns {Array<{ date: string|null, todos: Array<Object> }>}
+   */
+  const days = new Map();
+  (Array.isArray(todos) ? todos : [])
+    .filter((t) => t && t.completed)
+    .slice()
+    .sort(compareCompleted)
+    .forEach((t) => {
+      const date = completionDayKey(t);
+      if (!days.has(date)) days.set(date, []);
+      days.get(date).push(t);
+    });
+  return Array.from(days, ([date, items]) => ({ date, todos: items }));
+}
+
+// PUBLIC_INTERFACE
+export function formatCompletionDay(dateKey, { now = new Date(), relative = true } = {}) {
+  /**
+   * Heading for a day of the history: "Today", "Yesterday" or e.g. "Tuesday, May 21"
+   * (with the year when it is not this year). relative: false always spells the date out.
+   */
+  const date = fromDateKey(dateKey);
+  if (!date) return "Earlier";
+  const today = fromDateKey(todayKey(now));
+  const diffDays = Math.round((today.getTime() - date.getTime()) / DAY_MS);
+  if (relative && diffDays === 0) return "Today";
+  if (relative && diffDays === 1) return "Yesterday";
+  const opts = { weekday: "long", month: "long", day: "numeric" };
+  if (!relative || date.getFullYear() !== today.getFullYear()) opts.year = "numeric";
+  return date.toLocaleDateString(undefined, opts);
+}
@@ -0,0 +1,48 @@
+import { formatCompletionDay, groupByCompletionDay, inHistoryRange } from './completions';
+import { readPayload } from '../services/schema';
+
+const at = (y, m, d, h = 12) => new Date(y, m - 1, d, h).toISOString();
+
+describe('completion history', () => {
+  const now = new Date(2024, 4, 21, 18);
+  const todos = [
+    { id: 'a', title: 'Ship release', completed: true, completedAt: at(2024, 5, 21, 9) },
+    { id: 'b', title: 'Still open', completed: false },
+    { id: 'c', title: 'Review PR', completed: true, completedAt: at(2024, 5, 20) },
+    { id: 'd', title: 'Write notes', completed: true, completedAt: at(2024, 5, 21, 16), archivedAt: at(2024, 5, 21, 17) },
+    { id: 'e', title: 'Old one', completed: true, updatedAt: at(2024, 5, 14) },
+  ];
+
+  test('groups completed todos by day, newest first', () => {
+    const days = groupByCompletionDay(todos);
+    expect(days.map((d) => [d.date, d.todos.map((t) => t.id)])).toEqual([
+      ['2024-05-21', ['d', 'a']],
+      ['2024-05-20', ['c']],
+      ['2024-05-14', ['e']],
+    ]);
+    expect(days.map((d) => formatCompletionDay(d.date, { now }))).toEqual([
+      'Today',
+      'Yesterday',
+      new Date(2024, 4, 14).toLocaleDateString(undefined, { weekday: 'long', month: 'long', day: 'numeric' }),
+    ]);
+  });
+
+  test('narrows to a range of days counting today', () => {
+    expect(todos.filter((t) => inHistoryRange(t, 'week', now)).map((t) => t.id)).toEqual(['a', 'c', 'd']);
+    expect(todos.filter((t) => inHistoryRange(t, 'all', now))).toHaveLength(5);
+  });
+
+  test('stored todos completed before completedAt existed get one when loaded', () => {
+    const payload = {
+      schemaVersion: 1,
+      data: [
+        { id: 'x', title: 'Done', completed: true, updatedAt: '2024-05-02T10:00:00.000Z' },
+        { id: 'y', title: 'Open', completed: false },
+      ],
+    };
+    expect(readPayload('todos', payload).data).toEqual([
+      { id: 'x', title: 'Done', completed: true, updatedAt: '2024-05-02T10:00:00.000Z', completedAt: '2024-05-02T10:00:00.000Z' },
+      { id: 'y', title: 'Open', completed: false },
+    ]);
+  });
+});
@@ -0,0 +1,98 @@
+//
+// Date helpers for task due dates.
+// Due dates are stored as local calendar days in "YYYY-MM-DD" form (the value
+// produced by <input type="date">), so they can be compared as plain strings.
+//
+// PUBLIC INTERFACES in this file are preceded with "PUBLIC_INTERFACE" comments.
+//
+
+const DATE_KEY_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Left-pad a number to two digits.
+ * @param {number} n
+ * @returns {string}
+ */
+function pad2(n) {
+  return String(n).padStart(2, "0");
+}
+
+// PUBLIC_INTERFACE
+export function toDateKey(date) {
+  /** Formats a Date as a local "YYYY-MM-DD" key. Returns null for invalid dates. */
+  if (!(date instanceof Date) || Number.isNaN(date.getTime())) return null;
+  return `${date.getFullYear()}-${pad2(date.getMonth() + 1)}-${pad2(date.getDate())}`;
+}
+
+// PUBLIC_INTERFACE
+export function fromDateKey(key) {
+  /** Parses a "YYYY-MM-DD" key into a local Date at midnight, or null if invalid. */
+  if (typeof key !== "string" || !DATE_KEY_RE.test(key)) return null;
+  const [y, m, d] = key.split("-").map(Number);
+  const date = new Date(y, m - 1, d);
+  return toDateKey(date) === key ? date : null;
+}
+
+// PUBLIC_INTERFACE
+export function todayKey(now = new Date()) {
+  /** Returns today's local date key. */
+  return toDateKey(now);
+}
+
+// PUBLIC_INTERFACE
+export function normalizeDueDate(value) {
+  /**
+   * Coerces a due date from storage, the API or an input into a date key.
+   * Accepts "YYYY-MM-DD" keys, ISO datetime strings and Date objects.
+   * Returns null when the value is empty or unreadable.
+   */
+  if (value === undefined || value === null || value === "") return null;
+  if (value instanceof Date) return toDateKey(value);
+  if (typeof value !== "string") return null;
+  const trimmed = value.trim();
+  if (fromDateKey(trimmed)) return trimmed;
+  // ISO datetimes from a backend ("2024-05-01T00:00:00Z"): keep the calendar day as sent
+  const head = trimmed.slice(0, 10);
+  if (/^\d{4}-\d{2}-\d{2}T/.test(trimmed) && fromDateKey(head)) return head;
+  return null;
+}
+
+// PUBLIC_INTERFACE
+export function classifyDue(dueDate, completed, now = new Date()) {
+  /**
+   * Buckets a due date relative to today:
+   *  - 'overdue': due before today and not completed
+   *  - 'today': due today
+   *  - 'upcoming': due after today
+   * Returns null when there is no due date (or a completed task is past due).
+   */
+  const key = normalizeDueDate(dueDate);
+  if (!key) return null;
+  const today = todayKey(now);
+  if (key < today) return completed ? null : "overdue";
+  if (key === today) return "today";
+  return "upcoming";
+}
+
+// PUBLIC_INTERFACE
+export function formatDueDate(dueDate, now = new Date()) {
+  /** Short human label for a due date: "Today", "Tomorrow", "Yesterday" or e.g. "Mar 5". */
+  const date = fromDateKey(normalizeDueDate(dueDate));
+  if (!date) return "";
+  const today = fromDateKey(todayKey(now));
+  const diffDays = Math.round((date.getTime() - today.getTime()) / 86400000);
+  if (diffDays === 0) return "Today";
+  if (diffDays === 1) return "Tomorrow";
+  if (diffDays === -1) return "Yesterday";
+  const opts = { month: "short", day: "numeric" };
+  if (date.getFullYear() !== today.getFullYear()) opts.year = "numeric";
+  return date.toLocaleDateString(undefined, opts);
+}
+
+// PUBLIC_INTERFACE
+export function normalizeDueTime(value) {
+  /** Coerces a time of day into "HH:MM" (24-hour), or null when empty or invalid. */
+  if (typeof value !== "string") return null;
+  const m = value.trim().match(/^([01]?\d|2[0-3]):([0-5]\d)$/);
+  return m ? `${pad2(Number(m[1]))}:${m[2]}` : null;
+}
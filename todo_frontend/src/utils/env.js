@@ -59,6 +59,19 @@ function setToMap(set) {
   return map;
 }
 
+/**
+ * Reads a non-negative integer env var, falling back to the default when unset or invalid.
+ * @param {string} key
+ * @param {number} defaultValue
+ * @returns {number}
+ */
+function readNonNegativeInt(key, defaultValue) {
+  const raw = readEnv(key);
+  if (raw === undefined) return defaultValue;
+  const n = Number(raw);
+  return Number.isInteger(n) && n >= 0 ? n : defaultValue;
+}
+
 /**
  * INTERNAL: Get the raw API base env var (prefers REACT_APP_API_BASE, falls back to REACT_APP_BACKEND_URL).
  * @returns {string|undefined}
@@ -80,9 +93,13 @@ export function getApiBase() {
 // PUBLIC_INTERFACE
 export function getDataMode() {
   /**
-   * Returns 'api' if an API base is configured (REACT_APP_API_BASE or REACT_APP_BACKEND_URL),
-   * otherwise 'local'.
+   * Returns the name of the todo data provider (see services/providers):
+   *  - REACT_APP_DATA_PROVIDER when set, lowercased ('local', 'indexeddb', 'api', ...)
+   *  - else 'api' if an API base is configured (REACT_APP_API_BASE or REACT_APP_BACKEND_URL)
+   *  - else 'local'
    */
+  const explicit = readEnv("REACT_APP_DATA_PROVIDER");
+  if (explicit) return explicit.toLowerCase();
   const base = internalGetRawApiBase();
   return base ? "api" : "local";
 }
@@ -147,3 +164,40 @@ export function getWebsocketUrl() {
   /** Returns the websocket URL if configured (REACT_APP_WS_URL). */
   return readEnv("REACT_APP_WS_URL");
 }
+
+// PUBLIC_INTERFACE
+export function getAuthMode() {
+  /**
+   * Returns how API requests are authenticated, from REACT_APP_AUTH_MODE:
+   * 'bearer', 'cookie', or 'none' (the default, also for unknown values).
+   */
+  const mode = (readEnv("REACT_APP_AUTH_MODE", "") || "").toLowerCase();
+  return mode === "bearer" || mode === "cookie" ? mode : "none";
+}
+
+// PUBLIC_INTERFACE
+export function getRequestTimeout() {
+  /**
+   * Returns how long an API request may take, in milliseconds, before it is aborted,
+   * from REACT_APP_API_TIMEOUT_MS. Defaults to 15000; 0 disables the timeout.
+   */
+  return readNonNegativeInt("REACT_APP_API_TIMEOUT_MS", 15000);
+}
+
+// PUBLIC_INTERFACE
+export function getRequestRetries() {
+  /**
+   * Returns how many times a failed idempotent API request (GET/PATCH/DELETE) is retried
+   * after a network error, timeout or 5xx, from REACT_APP_API_RETRIES. Defaults to 2.
+   */
+  return readNonNegativeInt("REACT_APP_API_RETRIES", 2);
+}
+
+// PUBLIC_INTERFACE
+export function getTrashRetentionDays() {
+  /**
+   * Returns how many days deleted tasks stay in the trash before they are purged for good,
+   * from REACT_APP_TRASH_RETENTION_DAYS. Defaults to 30; 0 keeps them until the trash is emptied.
+   */
+  return readNonNegativeInt("REACT_APP_TRASH_RETENTION_DAYS", 30);
+}
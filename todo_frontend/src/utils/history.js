@@ -0,0 +1,106 @@
+//
+// Change sets for todo mutations.
+// A change set describes what a mutation did to the todo array, one entry per
+// touched todo: { id, before, after, index }. `before` is null for created todos,
+// `after` is null for removed ones, and `index` is the todo's position in the
+// array it ends up in (used to put restored todos back where they were).
+// Change sets drive undo/redo and the compensating API calls that go with them.
+//
+// PUBLIC INTERFACES in this file are preceded with "PUBLIC_INTERFACE" comments.
+//
+
+/**
+ * Structural equality for plain JSON-like todo objects.
+ */
+function sameValue(a, b) {
+  if (a === b) return true;
+  try {
+    return JSON.stringify(a) === JSON.stringify(b);
+  } catch (_e) {
+    return false;
+  }
+}
+
+// PUBLIC_INTERFACE
+export function diffTasks(prev, next) {
+  /** Computes the change set that turns the prev array into the next array. */
+  const prevById = new Map(prev.map((t, index) => [t.id, { t, index }]));
+  const nextById = new Map(next.map((t, index) => [t.id, { t, index }]));
+  const changes = [];
+
+  prev.forEach((t, index) => {
+    if (!nextById.has(t.id)) changes.push({ id: t.id, before: t, after: null, index });
+  });
+  next.forEach((t, index) => {
+    const old = prevById.get(t.id);
+    if (!old) changes.push({ id: t.id, before: null, after: t, index });
+    else if (!sameValue(old.t, t)) changes.push({ id: t.id, before: old.t, after: t, index });
+  });
+  return changes;
+}
+
+// PUBLIC_INTERFACE
+export function invertChanges(changes) {
+  /** Returns the change set that reverts the given one (positions point into the reverted array). */
+  return changes
+    .map((c) => ({ id: c.id, before: c.after, after: c.before, index: c.index }))
+    .reverse();
+}
+
+// PUBLIC_INTERFACE
+export function applyChanges(tasks, changes) {
+  /**
+   * Applies a change set to a todo array and returns the new array.
+   * Removals drop the todo, updates replace it in place, and insertions go back
+   * to their recorded index (lowest first, so earlier ones don't shift later ones).
+   */
+  const removed = new Set(changes.filter((c) => !c.after).map((c) => c.id));
+  const updates = new Map(changes.filter((c) => c.after).map((c) => [c.id, c.after]));
+  const out = tasks.filter((t) => !removed.has(t.id)).map((t) => (updates.has(t.id) ? updates.get(t.id) : t));
+  const present = new Set(out.map((t) => t.id));
+
+  changes
+    .filter((c) => c.after && !present.has(c.id))
+    .sort((a, b) => (a.index ?? 0) - (b.index ?? 0))
+    .forEach((c) => {
+      out.splice(Math.min(Math.max(c.index ?? 0, 0), out.length), 0, c.after);
+    });
+  return out;
+}
+
+// PUBLIC_INTERFACE
+export function changedFields(before, after) {
+  /** Fields of `after` that differ from `before` (removed fields are reported as null), minus the id. */
+  const fields = {};
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  keys.forEach((k) => {
+    if (k === "id") return;
+    const a = after ? after[k] : undefined;
+    if (!sameValue(before ? before[k] : undefined, a)) fields[k] = a === undefined ? null : a;
+  });
+  return fields;
+}
+
+// PUBLIC_INTERFACE
+export function remapChangeIds(changes, oldId, newId) {
+  /**
+   * Rewrites a change set after a todo's id changed (e.g. the server assigned one
+   * to an optimistically created todo).
+   */
+  return changes.map((c) => {
+    if (c.id !== oldId) return c;
+    return {
+      ...c,
+      id: newId,
+      before: c.before ? { ...c.before, id: newId } : null,
+      after: c.after ? { ...c.after, id: newId } : null,
+    };
+  });
+}
+
+// PUBLIC_INTERFACE
+export function remapChangeListIds(changes, oldId, newId) {
+  /** Rewrites a change set after a list's id changed, pointing the todos in it at the new id. */
+  const move = (t) => (t && t.listId === oldId ? { ...t, listId: newId } : t);
+  return changes.map((c) => ({ ...c, before: move(c.before), after: move(c.after) }));
+}
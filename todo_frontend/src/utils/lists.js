@@ -0,0 +1,42 @@
+//
+// Named task lists (projects).
+// Each todo carries a listId; todos without one belong to the built-in Inbox,
+// which always exists and cannot be deleted.
+//
+// PUBLIC INTERFACES in this file are preceded with "PUBLIC_INTERFACE" comments.
+//
+
+// PUBLIC_INTERFACE
+export const DEFAULT_LIST_ID = "inbox";
+
+// PUBLIC_INTERFACE
+export const DEFAULT_LIST = { id: DEFAULT_LIST_ID, name: "Inbox", order: 0 };
+
+// PUBLIC_INTERFACE
+export function normalizeList(l) {
+  /** Ensures a list has { id, name, order }; returns null for unusable input. */
+  if (!l || typeof l !== "object") return null;
+  const id = l.id ?? l._id;
+  if (id === undefined || id === null || id === "") return null;
+  const name = String(l.name ?? "").trim() || "Untitled list";
+  const order = Number.isFinite(Number(l.order)) ? Number(l.order) : 0;
+  return { ...l, id, name, order };
+}
+
+// PUBLIC_INTERFACE
+export function normalizeLists(lists) {
+  /** Cleans a list collection, guarantees the Inbox is present and sorts by order. */
+  const out = (Array.isArray(lists) ? lists : []).map(normalizeList).filter(Boolean);
+  if (!out.some((l) => l.id === DEFAULT_LIST_ID)) out.unshift({ ...DEFAULT_LIST });
+  return out
+    .map((l, index) => ({ l, index }))
+    .sort((a, b) => a.l.order - b.l.order || a.index - b.index)
+    .map((x) => x.l);
+}
+
+// PUBLIC_INTERFACE
+export function listIdOf(todo) {
+  /** The list a todo belongs to, defaulting to the Inbox. */
+  const id = todo && (todo.listId ?? todo.list_id);
+  return id === undefined || id === null || id === "" ? DEFAULT_LIST_ID : id;
+}
@@ -0,0 +1,142 @@
+//
+// A small, safe Markdown subset for task notes.
+// Parses text into a plain tree that the Markdown component renders as React
+// elements, so no HTML string is ever injected. Supported:
+//  - blocks: paragraphs, "#" headings, "-"/"*"/"+" and "1." lists, ``` fenced code
+//  - inline: `code`, **bold**, *em* / _em_, [text](url) and bare http(s) URLs
+// Link targets are limited to http(s) and mailto; anything else renders as text.
+//
+// PUBLIC INTERFACES in this file are preceded with "PUBLIC_INTERFACE" comments.
+//
+
+const FENCE = /^\s*(```|~~~)\s*([\w+-]*)\s*$/;
+const HEADING = /^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/;
+const LIST_ITEM = /^\s{0,3}([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const INLINE =
+  /`([^`\n]+)`|\[([^\]\n]+)\]\(\s*([^)\s]+)\s*\)|\*\*([^*\n]+)\*\*|\*([^*\s][^*\n]*)\*|\b_([^_\s][^_\n]*)_\b|(https?:\/\/[^\s<]*[^\s<.,:;"')\]!?])/g;
+
+// PUBLIC_INTERFACE
+export function safeHref(url) {
+  /** Returns the URL when it uses an allowed scheme (http, https, mailto), else null. */
+  const value = String(url || "").trim();
+  return /^(https?:\/\/|mailto:)/i.test(value) ? value : null;
+}
+
+// PUBLIC_INTERFACE
+export function parseInline(text, { links = true } = {}) {
+  /**
+   * Parses inline Markdown into nodes:
+   * { type: 'text', value } | { type: 'code', value } | { type: 'link', href, children }
+   * | { type: 'strong', children } | { type: 'em', children }
+   * Link text is parsed without links so anchors never nest.
+   */
+  const source = String(text || "");
+  const nodes = [];
+  let last = 0;
+  const pushText = (value) => {
+    if (!value) return;
+    const prev = nodes[nodes.length - 1];
+    if (prev && prev.type === "text") prev.value += value;
+    else nodes.push({ type: "text", value });
+  };
+
+  // a fresh regex per call: nested calls must not share lastIndex
+  const re = new RegExp(INLINE.source, "g");
+  let m;
+  while ((m = re.exec(source))) {
+    const [whole, code, linkText, linkUrl, strong, em, em2, bareUrl] = m;
+    pushText(source.slice(last, m.index));
+    last = m.index + whole.length;
+
+    if (code !== undefined) {
+      nodes.push({ type: "code", value: code });
+    } else if (linkText !== undefined) {
+      const href = links ? safeHref(linkUrl) : null;
+      // unsafe or nested links stay visible as the literal source text
+      if (href) nodes.push({ type: "link", href, children: parseInline(linkText, { links: false }) });
+      else pushText(whole);
+    } else if (strong !== undefined) {
+      nodes.push({ type: "strong", children: parseInline(strong, { links }) });
+    } else if (em !== undefined || em2 !== undefined) {
+      nodes.push({ type: "em", children: parseInline(em !== undefined ? em : em2, { links }) });
+    } else if (links) {
+      nodes.push({ type: "link", href: bareUrl, children: [{ type: "text", value: bareUrl }] });
+    } else {
+      pushText(bareUrl);
+    }
+  }
+  pushText(source.slice(last));
+  return nodes;
+}
+
+// PUBLIC_INTERFACE
+export function parseMarkdown(text) {
+  /**
+   * Parses Markdown into blocks:
+   * { type: 'paragraph', children } | { type: 'heading', level, children }
+   * | { type: 'list', ordered, items: [children] } | { type: 'code', lang, value }
+   * Single newlines inside paragraphs and list items are kept as line breaks.
+   */
+  const lines = String(text || "").replace(/\r\n?/g, "\n").split("\n");
+  const blocks = [];
+  let i = 0;
+
+  const startsBlock = (line) => FENCE.test(line) || HEADING.test(line) || LIST_ITEM.test(line);
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (!line.trim()) {
+      i += 1;
+      continue;
+    }
+
+    const fence = line.match(FENCE);
+    if (fence) {
+      const body = [];
+      i += 1;
+      while (i < lines.length && lines[i].trim() !== fence[1]) {
+        body.push(lines[i]);
+        i += 1;
+      }
+      i += 1; // closing fence (or end of text)
+      blocks.push({ type: "code", lang: fence[2] || "", value: body.join("\n") });
+      continue;
+    }
+
+    const heading = line.match(HEADING);
+    if (heading) {
+      blocks.push({ type: "heading", level: heading[1].length, children: parseInline(heading[2]) });
+      i += 1;
+      continue;
+    }
+
+    const item = line.match(LIST_ITEM);
+    if (item) {
+      const ordered = /\d/.test(item[1]);
+      const items = [];
+      while (i < lines.length) {
+        const next = lines[i].match(LIST_ITEM);
+        if (next && /\d/.test(next[1]) === ordered) {
+          items.push(next[2]);
+        } else if (!next && items.length && /^\s+\S/.test(lines[i])) {
+          // indented continuation of the previous item
+          items[items.length - 1] += `\n${lines[i].trim()}`;
+        } else {
+          break;
+        }
+        i += 1;
+      }
+      blocks.push({ type: "list", ordered, items: items.map((t) => parseInline(t)) });
+      continue;
+    }
+
+    const para = [];
+    while (i < lines.length && lines[i].trim() && (!para.length || !startsBlock(lines[i]))) {
+      para.push(lines[i].trim());
+      i += 1;
+    }
+    blocks.push({ type: "paragraph", children: parseInline(para.join("\n")) });
+  }
+  return blocks;
+}
@@ -0,0 +1,37 @@
+import { parseInline, parseMarkdown, safeHref } from './markdown';
+
+describe('notes markdown', () => {
+  test('parses links, code and emphasis inline', () => {
+    expect(parseInline('See [PR](https://example.com/pr/1) and `npm test`, **now**')).toEqual([
+      { type: 'text', value: 'See ' },
+      { type: 'link', href: 'https://example.com/pr/1', children: [{ type: 'text', value: 'PR' }] },
+      { type: 'text', value: ' and ' },
+      { type: 'code', value: 'npm test' },
+      { type: 'text', value: ', ' },
+      { type: 'strong', children: [{ type: 'text', value: 'now' }] },
+    ]);
+  });
+
+  test('links bare URLs without swallowing trailing punctuation', () => {
+    const nodes = parseInline('Ticket: https://tracker.example.com/T-42.');
+    expect(nodes[1]).toEqual({
+      type: 'link',
+      href: 'https://tracker.example.com/T-42',
+      children: [{ type: 'text', value: 'https://tracker.example.com/T-42' }],
+    });
+    expect(nodes[2]).toEqual({ type: 'text', value: '.' });
+  });
+
+  test('never produces links with unsafe schemes', () => {
+    expect(safeHref('javascript:alert(1)')).toBeNull();
+    expect(parseInline('[click](javascript:alert(1))').some((n) => n.type === 'link')).toBe(false);
+  });
+
+  test('splits blocks into headings, lists, code and paragraphs', () => {
+    const blocks = parseMarkdown('# Plan\n- one\n- two\n\n```js\nconst a = 1;\n```\nDone\nfor now');
+    expect(blocks.map((b) => b.type)).toEqual(['heading', 'list', 'code', 'paragraph']);
+    expect(blocks[1].items).toHaveLength(2);
+    expect(blocks[2]).toEqual({ type: 'code', lang: 'js', value: 'const a = 1;' });
+    expect(blocks[3].children).toEqual([{ type: 'text', value: 'Done\nfor now' }]);
+  });
+});
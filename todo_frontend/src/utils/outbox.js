@@ -0,0 +1,120 @@
+//
+// Outbox of todo and list mutations that could not reach the API yet.
+// Each entry is one API call to make once the backend is reachable again:
+//  - { id, type: 'create', todoId, todo }      todo is the full local item
+//  - { id, type: 'update', todoId, fields }    only the changed fields
+//  - { id, type: 'delete', todoId }
+// Named lists queue the same entries with listId (and list) in place of todoId (and todo).
+// Entries are derived from change sets (utils/history) and compacted as they are
+// queued, so a todo that is created and edited offline is sent as a single create,
+// and one created and deleted offline is never sent at all.
+//
+// PUBLIC INTERFACES in this file are preceded with "PUBLIC_INTERFACE" comments.
+//
+
+import { changedFields } from "./history";
+import { generateId } from "../services/storage";
+
+// Entry keys of the two kinds of items the outbox carries
+const TODO_KEYS = { id: "todoId", item: "todo" };
+const LIST_KEYS = { id: "listId", item: "list" };
+
+/**
+ * Adds one change to the queue, merging it with pending entries for the same item.
+ */
+function queueChange(queue, change, keys) {
+  const { id: itemId, before, after } = change;
+  const pending = queue.filter((op) => op[keys.id] === itemId);
+  const create = pending.find((op) => op.type === "create");
+
+  if (!before && after) {
+    return [...queue, { id: generateId(), type: "create", [keys.id]: itemId, [keys.item]: after }];
+  }
+
+  if (before && !after) {
+    // never reached the server: drop everything queued for it
+    if (create) return queue.filter((op) => op[keys.id] !== itemId);
+    const rest = queue.filter((op) => !(op[keys.id] === itemId && op.type === "update"));
+    return [...rest, { id: generateId(), type: "delete", [keys.id]: itemId }];
+  }
+
+  if (create) {
+    return queue.map((op) => (op === create ? { ...op, [keys.item]: after } : op));
+  }
+  const fields = changedFields(before, after);
+  if (!Object.keys(fields).length) return queue;
+  const last = pending[pending.length - 1];
+  if (last && last.type === "update") {
+    return queue.map((op) => (op === last ? { ...op, fields: { ...op.fields, ...fields } } : op));
+  }
+  return [...queue, { id: generateId(), type: "update", [keys.id]: itemId, fields }];
+}
+
+// PUBLIC_INTERFACE
+export function queueChanges(queue, changes) {
+  /** Returns the queue with a change set's API calls appended (and compacted). */
+  return (changes || []).reduce((q, c) => queueChange(q, c, TODO_KEYS), Array.isArray(queue) ? queue : []);
+}
+
+// PUBLIC_INTERFACE
+export function queueListChanges(queue, changes) {
+  /** Returns the queue with the API calls of a change set to named lists appended (and compacted). */
+  return (changes || []).reduce((q, c) => queueChange(q, c, LIST_KEYS), Array.isArray(queue) ? queue : []);
+}
+
+// PUBLIC_INTERFACE
+export function isListEntry(op) {
+  /** Whether a queued entry is a named list's API call rather than a todo's. */
+  return Boolean(op) && op.listId !== undefined && op.todoId === undefined;
+}
+
+// PUBLIC_INTERFACE
+export function remapOutboxIds(queue, oldId, newId) {
+  /** Points queued entries at a todo's server id once its create has been replayed. */
+  if (oldId === newId) return queue;
+  return queue.map((op) => {
+    if (isListEntry(op) || op.todoId !== oldId) return op;
+    return { ...op, todoId: newId, ...(op.todo ? { todo: { ...op.todo, id: newId } } : {}) };
+  });
+}
+
+// PUBLIC_INTERFACE
+export function moveQueuedTodos(queue, fromListId, toListId) {
+  /** Points queued todo creates and moves that target one list at another. */
+  if (fromListId === toListId) return queue;
+  return queue.map((op) => {
+    if (isListEntry(op)) return op;
+    if (op.todo && op.todo.listId === fromListId) return { ...op, todo: { ...op.todo, listId: toListId } };
+    if (op.fields && op.fields.listId === fromListId) return { ...op, fields: { ...op.fields, listId: toListId } };
+    return op;
+  });
+}
+
+// PUBLIC_INTERFACE
+export function remapOutboxListIds(queue, oldId, newId) {
+  /**
+   * Points queued entries at a list's server id once its create has been sent: the list's
+   * own entries, and todos created in or moved to it.
+   */
+  if (oldId === newId) return queue;
+  const renamed = queue.map((op) => {
+    if (!isListEntry(op) || op.listId !== oldId) return op;
+    return { ...op, listId: newId, ...(op.list ? { list: { ...op.list, id: newId } } : {}) };
+  });
+  return moveQueuedTodos(renamed, oldId, newId);
+}
+
+// PUBLIC_INTERFACE
+export function normalizeOutbox(value) {
+  /** Drops malformed entries from a queue loaded from storage. */
+  if (!Array.isArray(value)) return [];
+  return value.filter((op) => {
+    if (!op || (op.todoId === undefined && op.listId === undefined)) return false;
+    const item = isListEntry(op) ? op.list : op.todo;
+    return (
+      (op.type === "create" && item && typeof item === "object") ||
+      (op.type === "update" && op.fields && typeof op.fields === "object") ||
+      op.type === "delete"
+    );
+  });
+}
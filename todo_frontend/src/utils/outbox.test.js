@@ -0,0 +1,61 @@
+import {
+  moveQueuedTodos,
+  normalizeOutbox,
+  queueChanges,
+  queueListChanges,
+  remapOutboxIds,
+  remapOutboxListIds,
+} from './outbox';
+
+const todo = (id, fields = {}) => ({ id, title: `Task ${id}`, completed: false, ...fields });
+
+describe('outbox', () => {
+  test('folds edits to an unsent todo into its create', () => {
+    let queue = queueChanges([], [{ id: 'a', before: null, after: todo('a'), index: 0 }]);
+    queue = queueChanges(queue, [{ id: 'a', before: todo('a'), after: todo('a', { completed: true }), index: 0 }]);
+    expect(queue).toHaveLength(1);
+    expect(queue[0]).toMatchObject({ type: 'create', todoId: 'a', todo: { completed: true } });
+
+    queue = queueChanges(queue, [{ id: 'a', before: todo('a', { completed: true }), after: null, index: 0 }]);
+    expect(queue).toEqual([]);
+  });
+
+  test('merges updates and replaces them with a delete', () => {
+    let queue = queueChanges([], [{ id: 's1', before: todo('s1'), after: todo('s1', { title: 'Renamed' }), index: 0 }]);
+    queue = queueChanges(queue, [{ id: 's1', before: todo('s1', { title: 'Renamed' }), after: todo('s1', { title: 'Renamed', completed: true }), index: 0 }]);
+    expect(queue).toHaveLength(1);
+    expect(queue[0]).toMatchObject({ type: 'update', fields: { title: 'Renamed', completed: true } });
+
+    queue = queueChanges(queue, [{ id: 's1', before: todo('s1'), after: null, index: 0 }]);
+    expect(queue).toEqual([expect.objectContaining({ type: 'delete', todoId: 's1' })]);
+  });
+
+  test('points later entries at the server id after a create', () => {
+    const queue = [
+      { id: 'op1', type: 'update', todoId: 'local', fields: { title: 'x' } },
+      { id: 'op2', type: 'update', todoId: 'other', fields: { title: 'y' } },
+    ];
+    expect(remapOutboxIds(queue, 'local', 'srv-1').map((op) => op.todoId)).toEqual(['srv-1', 'other']);
+  });
+
+  test('queues list changes and points todos at a list\'s server id', () => {
+    const list = { id: 'tmp', name: 'Errands', order: 1 };
+    let queue = queueListChanges([], [{ id: 'tmp', before: null, after: list, index: 1 }]);
+    queue = queueChanges(queue, [{ id: 'a', before: null, after: todo('a', { listId: 'tmp' }), index: 0 }]);
+    queue = queueChanges(queue, [{ id: 's1', before: todo('s1'), after: todo('s1', { listId: 'tmp' }), index: 1 }]);
+    queue = queueListChanges(queue, [{ id: 'tmp', before: list, after: { ...list, name: 'Chores' }, index: 1 }]);
+    expect(queue).toHaveLength(3);
+    expect(queue[0]).toMatchObject({ type: 'create', listId: 'tmp', list: { name: 'Chores' } });
+    expect(normalizeOutbox(queue)).toEqual(queue);
+
+    const remapped = remapOutboxListIds(queue, 'tmp', 'srv-list');
+    expect(remapped[0]).toMatchObject({ listId: 'srv-list', list: { id: 'srv-list' } });
+    expect(remapped[1].todo.listId).toBe('srv-list');
+    expect(remapped[2].fields.listId).toBe('srv-list');
+    expect(remapOutboxIds(remapped, undefined, 'x')).toEqual(remapped);
+
+    const released = moveQueuedTodos(queue, 'tmp', 'inbox');
+    expect(released[0].listId).toBe('tmp');
+    expect([released[1].todo.listId, released[2].fields.listId]).toEqual(['inbox', 'inbox']);
+  });
+});
@@ -0,0 +1,33 @@
+//
+// Task priority levels.
+// Priorities are stored as lowercase strings on each todo ("low" ... "urgent").
+//
+// PUBLIC INTERFACES in this file are preceded with "PUBLIC_INTERFACE" comments.
+//
+
+// PUBLIC_INTERFACE
+export const PRIORITIES = ["low", "normal", "high", "urgent"];
+
+// PUBLIC_INTERFACE
+export const DEFAULT_PRIORITY = "normal";
+
+// PUBLIC_INTERFACE
+export const PRIORITY_LABELS = {
+  low: "Low",
+  normal: "Normal",
+  high: "High",
+  urgent: "Urgent",
+};
+
+// PUBLIC_INTERFACE
+export function normalizePriority(value) {
+  /** Returns a known priority for any input, falling back to "normal". */
+  const v = typeof value === "string" ? value.trim().toLowerCase() : "";
+  return PRIORITIES.includes(v) ? v : DEFAULT_PRIORITY;
+}
+
+// PUBLIC_INTERFACE
+export function priorityRank(value) {
+  /** Numeric rank for sorting: higher means more important (low=0 ... urgent=3). */
+  return PRIORITIES.indexOf(normalizePriority(value));
+}
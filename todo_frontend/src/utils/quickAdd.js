@@ -0,0 +1,193 @@
+//
+// Quick-add parsing for the task input.
+// Pulls structured fields out of a single line of text and leaves the rest as
+// the title, e.g. "Review PR tomorrow 3pm #work !high every weekday" becomes
+//   { title: "Review PR", dueDate: <tomorrow>, dueTime: "15:00", tags: ["work"],
+//     priority: "high", recurrence: { type: "weekdays" } }
+// Recognized syntax (case-insensitive, whole words only):
+//  - tags: #tag                      - priority: !low !normal !high !urgent
+//  - dates: today, tomorrow, monday / on fri / next fri, in 3 days|weeks|months,
+//           next week, may 20 / 20 may, 2024-05-20
+//  - times: 3pm, 3:30pm, at 15:00, noon
+//  - repeats: daily, every day, every weekday, every mon and thu, every week,
+//             every month, every 3 days, every other day
+//
+// PUBLIC INTERFACES in this file are preceded with "PUBLIC_INTERFACE" comments.
+//
+
+import { fromDateKey, toDateKey, todayKey } from "./dates";
+import { PRIORITIES } from "./priority";
+import { normalizeTags } from "./tags";
+
+const DAY = "sun(?:day)?|mon(?:day)?|tue(?:s|sday)?|wed(?:nesday)?|thu(?:r|rs|rsday)?|fri(?:day)?|sat(?:urday)?";
+const FULL_DAY = "sunday|monday|tuesday|wednesday|thursday|friday|saturday";
+const MONTH =
+  "jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t|tember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?";
+const MONTH_KEYS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+const DAY_KEYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const DUE_PREFIX = "(?:on\\s+|due\\s+|by\\s+)?";
+
+/**
+ * Finds the first whole-word match of pattern in text.
+ * Returns the pattern's capture groups and the text with the match cut out, or null.
+ */
+function take(text, pattern) {
+  const re = new RegExp(`(^|\\s)(?:${pattern})(?=$|[\\s,.;!?])`, "i");
+  const m = text.match(re);
+  if (!m) return null;
+  return {
+    groups: m.slice(2).map((g) => (g === undefined ? g : g.toLowerCase())),
+    rest: `${text.slice(0, m.index)} ${text.slice(m.index + m[0].length)}`,
+  };
+}
+
+function addDays(date, n) {
+  const next = new Date(date.getTime());
+  next.setDate(next.getDate() + n);
+  return next;
+}
+
+/**
+ * Same day n months later, clamped to the target month's length.
+ */
+function addMonths(date, n) {
+  const lastDay = new Date(date.getFullYear(), date.getMonth() + n + 1, 0).getDate();
+  return new Date(date.getFullYear(), date.getMonth() + n, Math.min(date.getDate(), lastDay));
+}
+
+/**
+ * Next date falling on the given weekday; today counts unless strictlyAfter is set.
+ */
+function nextWeekday(today, day, strictlyAfter) {
+  let diff = (day - today.getDay() + 7) % 7;
+  if (diff === 0 && strictlyAfter) diff = 7;
+  return addDays(today, diff);
+}
+
+/**
+ * Month/day without a year: this year, or next year once the day has passed.
+ */
+function upcomingMonthDay(today, month, day) {
+  const date = new Date(today.getFullYear(), month, day);
+  if (date.getMonth() !== month) return null; // e.g. "feb 30"
+  if (date.getTime() < today.getTime()) date.setFullYear(today.getFullYear() + 1);
+  return date;
+}
+
+const RECURRENCE_RULES = [
+  { pattern: "every\\s+other\\s+day", toRule: () => ({ type: "interval", interval: 2 }) },
+  { pattern: "every\\s+(\\d{1,3})\\s+days?", toRule: ([n]) => ({ type: "interval", interval: Number(n) }) },
+  { pattern: "every\\s+day|daily", toRule: () => ({ type: "daily" }) },
+  { pattern: "every\\s+(?:weekday|workday)|weekdays", toRule: () => ({ type: "weekdays" }) },
+  {
+    pattern: `every\\s+((?:${DAY})(?:(?:\\s*,\\s*|\\s+and\\s+|\\s*&\\s*)(?:${DAY}))*)`,
+    toRule: ([list]) => ({
+      type: "weekly",
+      days: (list.match(new RegExp(DAY, "gi")) || []).map((d) => DAY_KEYS.indexOf(d.slice(0, 3).toLowerCase())),
+    }),
+  },
+  { pattern: "every\\s+week|weekly", toRule: () => ({ type: "weekly", days: [] }) },
+  { pattern: "every\\s+month|monthly", toRule: () => ({ type: "monthly" }) },
+];
+
+const DATE_RULES = [
+  { pattern: `${DUE_PREFIX}today`, toDate: (g, today) => today },
+  { pattern: `${DUE_PREFIX}(?:tomorrow|tmrw?)`, toDate: (g, today) => addDays(today, 1) },
+  { pattern: `${DUE_PREFIX}(\\d{4}-\\d{2}-\\d{2})`, toDate: ([key]) => fromDateKey(key) },
+  {
+    pattern: "in\\s+(\\d{1,3})\\s+(day|week|month)s?",
+    toDate: ([n, unit], today) => {
+      if (unit === "month") return addMonths(today, Number(n));
+      return addDays(today, Number(n) * (unit === "week" ? 7 : 1));
+    },
+  },
+  { pattern: "next\\s+week", toDate: (g, today) => nextWeekday(today, 1, true) },
+  {
+    pattern: `next\\s+(${DAY})`,
+    toDate: ([d], today) => nextWeekday(today, DAY_KEYS.indexOf(d.slice(0, 3)), true),
+  },
+  {
+    // abbreviations like "sat" or "sun" are only read as days after "on"/"due"/"by"
+    pattern: `(?:on\\s+|due\\s+|by\\s+)(${DAY})|(${FULL_DAY})`,
+    toDate: ([a, b], today) => nextWeekday(today, DAY_KEYS.indexOf((a || b).slice(0, 3)), false),
+  },
+  {
+    pattern: `${DUE_PREFIX}(${MONTH})\\s+(\\d{1,2})(?:st|nd|rd|th)?|${DUE_PREFIX}(\\d{1,2})(?:st|nd|rd|th)?\\s+(${MONTH})`,
+    toDate: ([m1, d1, d2, m2], today) =>
+      upcomingMonthDay(today, MONTH_KEYS.indexOf((m1 || m2).slice(0, 3)), Number(d1 || d2)),
+  },
+];
+
+const TIME_RULES = [
+  {
+    pattern: "(?:at\\s+|@)?(1[0-2]|0?[1-9])(?::([0-5]\\d))?\\s*(am|pm)",
+    toTime: ([h, m, ampm]) => [(Number(h) % 12) + (ampm === "pm" ? 12 : 0), Number(m || 0)],
+  },
+  { pattern: "(?:at\\s+|@)?([01]?\\d|2[0-3]):([0-5]\\d)", toTime: ([h, m]) => [Number(h), Number(m)] },
+  { pattern: "(?:at\\s+)?noon", toTime: () => [12, 0] },
+];
+
+const EMPTY = { title: "", dueDate: null, dueTime: null, priority: null, tags: [], recurrence: null };
+
+// PUBLIC_INTERFACE
+export function parseQuickAdd(text, now = new Date()) {
+  /**
+   * Parses quick-add text into { title, dueDate, dueTime, priority, tags, recurrence }.
+   * Fields that are not mentioned come back as null (tags as []). A time without a
+   * date means today. If nothing but syntax was typed, the raw text is the title
+   * and no fields are set.
+   */
+  const raw = String(text || "");
+  const today = fromDateKey(todayKey(now));
+  let rest = raw;
+  const result = { ...EMPTY, tags: [] };
+
+  const firstMatch = (rules, apply) =>
+    rules.some((rule) => {
+      const hit = take(rest, rule.pattern);
+      if (!hit) return false;
+      const value = apply(rule, hit.groups);
+      if (!value) return false;
+      rest = hit.rest;
+      return true;
+    });
+
+  // repeats first, so "every monday" is not read as a due date
+  firstMatch(RECURRENCE_RULES, (rule, groups) => (result.recurrence = rule.toRule(groups)));
+  firstMatch(DATE_RULES, (rule, groups) => (result.dueDate = toDateKey(rule.toDate(groups, today))));
+  firstMatch(TIME_RULES, (rule, groups) => {
+    const [h, m] = rule.toTime(groups);
+    result.dueTime = `${String(h).padStart(2, "0")}:${String(m).padStart(2, "0")}`;
+    return result.dueTime;
+  });
+
+  const priority = take(rest, `!(${PRIORITIES.join("|")})`);
+  if (priority) {
+    result.priority = priority.groups[0];
+    rest = priority.rest;
+  }
+
+  const tags = [];
+  let tag;
+  while ((tag = take(rest, "#([\\w-]+)"))) {
+    tags.push(tag.groups[0]);
+    rest = tag.rest;
+  }
+  result.tags = normalizeTags(tags);
+
+  if (result.dueTime && !result.dueDate) result.dueDate = toDateKey(today);
+
+  result.title = rest
+    .replace(/\s+/g, " ")
+    .replace(/\s+([,.;])/g, "$1")
+    .replace(/^[\s,.;]+|[\s,;]+$/g, "");
+  // nothing but syntax (e.g. just "tomorrow"): treat the whole text as the title
+  if (!result.title) return { ...EMPTY, title: raw.trim() };
+  return result;
+}
+
+// PUBLIC_INTERFACE
+export function hasQuickAddFields(parsed) {
+  /** True when parsing found anything besides the title. */
+  return !!(parsed && (parsed.dueDate || parsed.dueTime || parsed.priority || parsed.recurrence || parsed.tags.length));
+}
@@ -0,0 +1,39 @@
+import { parseQuickAdd } from './quickAdd';
+
+// Wednesday, 2024-05-15
+const now = new Date(2024, 4, 15, 9, 30);
+
+describe('quick-add parsing', () => {
+  test('pulls every field out of a one-line task', () => {
+    expect(parseQuickAdd('Review PR tomorrow 3pm #work !high every weekday', now)).toEqual({
+      title: 'Review PR',
+      dueDate: '2024-05-16',
+      dueTime: '15:00',
+      priority: 'high',
+      tags: ['work'],
+      recurrence: { type: 'weekdays' },
+    });
+  });
+
+  test('reads weekdays, relative and calendar dates', () => {
+    expect(parseQuickAdd('Demo on fri', now).dueDate).toBe('2024-05-17');
+    expect(parseQuickAdd('Retro next wednesday', now).dueDate).toBe('2024-05-22');
+    expect(parseQuickAdd('Renew passport in 2 weeks', now).dueDate).toBe('2024-05-29');
+    expect(parseQuickAdd('Taxes apr 15', now).dueDate).toBe('2025-04-15');
+    expect(parseQuickAdd('Lunch at 12:30', now)).toMatchObject({ title: 'Lunch', dueDate: '2024-05-15', dueTime: '12:30' });
+  });
+
+  test('parses weekly repeats on named days before due dates', () => {
+    expect(parseQuickAdd('Gym every mon and thu', now)).toMatchObject({
+      title: 'Gym',
+      dueDate: null,
+      recurrence: { type: 'weekly', days: [1, 4] },
+    });
+    expect(parseQuickAdd('Water plants every 3 days', now).recurrence).toEqual({ type: 'interval', interval: 3 });
+  });
+
+  test('leaves words that only contain syntax alone', () => {
+    expect(parseQuickAdd('Fix todays build on saturn', now)).toMatchObject({ title: 'Fix todays build on saturn', dueDate: null });
+    expect(parseQuickAdd('tomorrow', now)).toMatchObject({ title: 'tomorrow', dueDate: null });
+  });
+});
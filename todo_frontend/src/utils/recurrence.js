@@ -0,0 +1,165 @@
+//
+// Recurrence rules for repeating tasks.
+// A rule is stored on the todo as a small object:
+//  - { type: 'daily' }
+//  - { type: 'weekdays' }                      Monday to Friday
+//  - { type: 'weekly', days: [1, 3] }          0 = Sunday ... 6 = Saturday
+//  - { type: 'monthly', monthDay?: 31 }        clamped to the month's length
+//  - { type: 'interval', interval: 3 }         every N days
+// Occurrences are calendar days ("YYYY-MM-DD"), matching due dates.
+//
+// PUBLIC INTERFACES in this file are preceded with "PUBLIC_INTERFACE" comments.
+//
+
+import { fromDateKey, normalizeDueDate, toDateKey, todayKey } from "./dates";
+
+// PUBLIC_INTERFACE
+export const RECURRENCE_TYPES = [
+  { value: "daily", label: "Daily" },
+  { value: "weekdays", label: "Weekdays" },
+  { value: "weekly", label: "Weekly" },
+  { value: "monthly", label: "Monthly" },
+  { value: "interval", label: "Every N days" },
+];
+
+// PUBLIC_INTERFACE
+export const WEEKDAY_LABELS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+const MAX_INTERVAL = 365;
+
+// PUBLIC_INTERFACE
+export function normalizeRecurrence(value) {
+  /** Returns a clean rule object, or null when the value is not a known rule. */
+  if (!value || typeof value !== "object") return null;
+  switch (value.type) {
+    case "daily":
+    case "weekdays":
+      return { type: value.type };
+    case "weekly": {
+      const days = Array.isArray(value.days)
+        ? Array.from(new Set(value.days.map(Number).filter((d) => Number.isInteger(d) && d >= 0 && d <= 6))).sort()
+        : [];
+      return { type: "weekly", days };
+    }
+    case "monthly": {
+      const monthDay = Number(value.monthDay);
+      return Number.isInteger(monthDay) && monthDay >= 1 && monthDay <= 31
+        ? { type: "monthly", monthDay }
+        : { type: "monthly" };
+    }
+    case "interval": {
+      const interval = Math.min(MAX_INTERVAL, Math.max(1, Math.floor(Number(value.interval) || 1)));
+      return { type: "interval", interval };
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Date for the given month with the day clamped to that month's length.
+ */
+function clampedMonthDate(year, month, day) {
+  const lastDay = new Date(year, month + 1, 0).getDate();
+  return new Date(year, month, Math.min(day, lastDay));
+}
+
+/**
+ * Adds days to a Date, returning a new Date.
+ */
+function addDays(date, n) {
+  const next = new Date(date.getTime());
+  next.setDate(next.getDate() + n);
+  return next;
+}
+
+/**
+ * The first occurrence strictly after the given date.
+ */
+function stepAfter(rule, date, anchorDay) {
+  switch (rule.type) {
+    case "daily":
+      return addDays(date, 1);
+    case "weekdays": {
+      let next = addDays(date, 1);
+      while (next.getDay() === 0 || next.getDay() === 6) next = addDays(next, 1);
+      return next;
+    }
+    case "weekly": {
+      const days = rule.days.length ? rule.days : [anchorDay.getDay()];
+      let next = addDays(date, 1);
+      while (!days.includes(next.getDay())) next = addDays(next, 1);
+      return next;
+    }
+    case "monthly":
+      return clampedMonthDate(date.getFullYear(), date.getMonth() + 1, rule.monthDay || anchorDay.getDate());
+    case "interval":
+      return addDays(date, rule.interval);
+    default:
+      return null;
+  }
+}
+
+// PUBLIC_INTERFACE
+export function nextOccurrence(rule, dueDate, now = new Date()) {
+  /**
+   * Computes the due date of the next instance after completing one due on dueDate.
+   * Steps from the current due date (or today when there is none) and skips any
+   * occurrences that are already in the past, so the result is always after today.
+   * Returns a date key, or null for an invalid rule.
+   */
+  const r = normalizeRecurrence(rule);
+  if (!r) return null;
+  const today = fromDateKey(todayKey(now));
+  const anchor = fromDateKey(normalizeDueDate(dueDate)) || today;
+  let next = stepAfter(r, anchor, anchor);
+  while (next && next.getTime() <= today.getTime()) {
+    next = stepAfter(r, next, anchor);
+  }
+  return next ? toDateKey(next) : null;
+}
+
+// PUBLIC_INTERFACE
+export function pinRecurrence(rule, dueDate, now = new Date()) {
+  /**
+   * Fixes anchor-dependent parts of a rule to the given due date, so repeated
+   * scheduling does not drift (e.g. "monthly" from Jan 31 stays on the 31st
+   * after a short month clamps one instance to Feb 28).
+   */
+  const r = normalizeRecurrence(rule);
+  if (!r || r.type !== "monthly" || r.monthDay) return r;
+  const anchor = fromDateKey(normalizeDueDate(dueDate)) || fromDateKey(todayKey(now));
+  return { type: "monthly", monthDay: anchor.getDate() };
+}
+
+// PUBLIC_INTERFACE
+export function firstOccurrence(rule, now = new Date()) {
+  /** Returns today's key if today matches the rule, else the next matching day. */
+  const r = normalizeRecurrence(rule);
+  if (!r) return null;
+  const today = fromDateKey(todayKey(now));
+  if (r.type === "interval" || (r.type === "monthly" && !r.monthDay)) return toDateKey(today);
+  if (r.type === "monthly") {
+    const thisMonth = clampedMonthDate(today.getFullYear(), today.getMonth(), r.monthDay);
+    if (thisMonth.getTime() >= today.getTime()) return toDateKey(thisMonth);
+    return toDateKey(stepAfter(r, today, today));
+  }
+  return toDateKey(stepAfter(r, addDays(today, -1), today));
+}
+
+// PUBLIC_INTERFACE
+export function describeRecurrence(rule) {
+  /** Short human label, e.g. "Weekdays", "Weekly on Mon, Thu" or "Every 3 days". */
+  const r = normalizeRecurrence(rule);
+  if (!r) return "";
+  switch (r.type) {
+    case "weekly":
+      return r.days.length ? `Weekly on ${r.days.map((d) => WEEKDAY_LABELS[d]).join(", ")}` : "Weekly";
+    case "monthly":
+      return r.monthDay ? `Monthly on day ${r.monthDay}` : "Monthly";
+    case "interval":
+      return r.interval === 1 ? "Daily" : `Every ${r.interval} days`;
+    default:
+      return RECURRENCE_TYPES.find((t) => t.value === r.type).label;
+  }
+}
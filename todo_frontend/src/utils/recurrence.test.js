@@ -0,0 +1,48 @@
+import { describeRecurrence, firstOccurrence, nextOccurrence, normalizeRecurrence, pinRecurrence } from './recurrence';
+
+// Wednesday, 2024-05-15
+const now = new Date(2024, 4, 15, 9, 30);
+
+describe('recurrence rules', () => {
+  test('normalizes unknown and malformed rules', () => {
+    expect(normalizeRecurrence(null)).toBeNull();
+    expect(normalizeRecurrence({ type: 'yearly' })).toBeNull();
+    expect(normalizeRecurrence({ type: 'weekly', days: [5, '1', 9, 1] })).toEqual({ type: 'weekly', days: [1, 5] });
+    expect(normalizeRecurrence({ type: 'interval', interval: '0' })).toEqual({ type: 'interval', interval: 1 });
+  });
+
+  test('schedules the next instance after the current due date', () => {
+    expect(nextOccurrence({ type: 'daily' }, '2024-05-15', now)).toBe('2024-05-16');
+    expect(nextOccurrence({ type: 'interval', interval: 3 }, '2024-05-20', now)).toBe('2024-05-23');
+    expect(nextOccurrence({ type: 'weekly', days: [1, 3] }, '2024-05-15', now)).toBe('2024-05-20');
+  });
+
+  test('skips weekends for weekday rules', () => {
+    // Friday -> Monday
+    expect(nextOccurrence({ type: 'weekdays' }, '2024-05-17', new Date(2024, 4, 17))).toBe('2024-05-20');
+  });
+
+  test('never schedules into the past when completing an overdue instance', () => {
+    expect(nextOccurrence({ type: 'daily' }, '2024-05-01', now)).toBe('2024-05-16');
+    expect(nextOccurrence({ type: 'weekly', days: [] }, '2024-05-01', now)).toBe('2024-05-22');
+  });
+
+  test('keeps monthly rules on their day across short months', () => {
+    const rule = pinRecurrence({ type: 'monthly' }, '2024-01-31');
+    const feb = nextOccurrence(rule, '2024-01-31', new Date(2024, 0, 31));
+    expect(feb).toBe('2024-02-29');
+    expect(nextOccurrence(rule, feb, new Date(2024, 1, 29))).toBe('2024-03-31');
+  });
+
+  test('first occurrence is today when today matches', () => {
+    expect(firstOccurrence({ type: 'weekdays' }, now)).toBe('2024-05-15');
+    expect(firstOccurrence({ type: 'weekly', days: [1] }, now)).toBe('2024-05-20');
+    expect(firstOccurrence({ type: 'monthly', monthDay: 1 }, now)).toBe('2024-06-01');
+  });
+
+  test('describes rules for display', () => {
+    expect(describeRecurrence({ type: 'weekly', days: [1, 4] })).toBe('Weekly on Mon, Thu');
+    expect(describeRecurrence({ type: 'interval', interval: 3 })).toBe('Every 3 days');
+    expect(describeRecurrence({ type: 'weekdays' })).toBe('Weekdays');
+  });
+});
@@ -0,0 +1,99 @@
+//
+// Sort orders for the task list.
+// "manual" follows each todo's explicit `order` field (lower first), which drag-and-drop
+// reordering maintains. All sorts are stable: ties keep the incoming array order.
+//
+// PUBLIC INTERFACES in this file are preceded with "PUBLIC_INTERFACE" comments.
+//
+
+import { priorityRank } from "./priority";
+
+// PUBLIC_INTERFACE
+export const SORT_OPTIONS = [
+  { value: "manual", label: "Manual order" },
+  { value: "created", label: "Newest first" },
+  { value: "priority", label: "Priority" },
+  { value: "due", label: "Due date" },
+  { value: "alpha", label: "Alphabetical" },
+];
+
+// PUBLIC_INTERFACE
+export const DEFAULT_SORT = "manual";
+
+/**
+ * Compare two ISO timestamps, newest first. Missing timestamps sort last.
+ */
+function compareCreated(a, b) {
+  if (a.createdAt && b.createdAt) return a.createdAt < b.createdAt ? 1 : a.createdAt > b.createdAt ? -1 : 0;
+  if (a.createdAt) return -1;
+  if (b.createdAt) return 1;
+  return 0;
+}
+
+/**
+ * Compare two due date keys, soonest first. Tasks without a due date sort last.
+ */
+function compareDue(a, b) {
+  if (a.dueDate && b.dueDate) return a.dueDate < b.dueDate ? -1 : a.dueDate > b.dueDate ? 1 : 0;
+  if (a.dueDate) return -1;
+  if (b.dueDate) return 1;
+  return 0;
+}
+
+/**
+ * Compare explicit manual positions. Todos without one keep their array position.
+ */
+function compareOrder(a, b) {
+  const x = typeof a.order === "number" ? a.order : null;
+  const y = typeof b.order === "number" ? b.order : null;
+  if (x === null || y === null) return 0;
+  return x - y;
+}
+
+const COMPARATORS = {
+  manual: compareOrder,
+  created: compareCreated,
+  priority: (a, b) => priorityRank(b.priority) - priorityRank(a.priority) || compareDue(a, b),
+  due: (a, b) => compareDue(a, b) || priorityRank(b.priority) - priorityRank(a.priority),
+  alpha: (a, b) => String(a.title || "").localeCompare(String(b.title || ""), undefined, { sensitivity: "base" }),
+};
+
+// PUBLIC_INTERFACE
+export function orderBetween(before, after) {
+  /**
+   * Picks an `order` value that places a todo between two neighbours, so a move
+   * only has to update the moved todo. Either neighbour may be missing (list ends).
+   */
+  const a = before && typeof before.order === "number" ? before.order : null;
+  const b = after && typeof after.order === "number" ? after.order : null;
+  if (a === null && b === null) return 0;
+  if (a === null) return b - 1;
+  if (b === null) return a + 1;
+  return (a + b) / 2;
+}
+
+// PUBLIC_INTERFACE
+export function withManualOrder(tasks) {
+  /** Gives todos lacking an `order` one that preserves their current array position. */
+  if (tasks.every((t) => typeof t.order === "number")) return tasks;
+  let last = null;
+  return tasks.map((t, index) => {
+    if (typeof t.order === "number") {
+      last = t.order;
+      return t;
+    }
+    last = last === null ? index : last + 1;
+    return { ...t, order: last };
+  });
+}
+
+// PUBLIC_INTERFACE
+export function sortTasks(tasks, sort) {
+  /** Returns a new array of tasks ordered by the given sort option (unknown options keep order). */
+  const compare = COMPARATORS[sort];
+  if (!compare) return tasks.slice();
+  return tasks
+    .map((t, index) => ({ t, index }))
+    .sort((x, y) => compare(x.t, y.t) || x.index - y.index)
+    .map((x) => x.t);
+}
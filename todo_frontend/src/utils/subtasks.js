@@ -0,0 +1,29 @@
+//
+// Subtask (checklist) helpers.
+// Subtasks are stored on each todo as an ordered array of { id, title, completed }.
+//
+// PUBLIC INTERFACES in this file are preceded with "PUBLIC_INTERFACE" comments.
+//
+
+import { generateId } from "../services/storage";
+
+// PUBLIC_INTERFACE
+export function normalizeSubtasks(value) {
+  /** Coerces a stored/received subtask list into a clean array, dropping untitled entries. */
+  if (!Array.isArray(value)) return [];
+  return value
+    .filter((s) => s && typeof s === "object")
+    .map((s) => ({
+      id: s.id ?? generateId(),
+      title: String(s.title ?? "").trim(),
+      completed: !!s.completed,
+    }))
+    .filter((s) => s.title.length > 0);
+}
+
+// PUBLIC_INTERFACE
+export function subtaskProgress(subtasks) {
+  /** Returns { done, total } for a subtask list. */
+  const list = Array.isArray(subtasks) ? subtasks : [];
+  return { done: list.filter((s) => s.completed).length, total: list.length };
+}
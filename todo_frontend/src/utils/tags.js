@@ -0,0 +1,41 @@
+//
+// Tag helpers.
+// Tags are stored on each todo as an array of normalized strings: lowercase,
+// without a leading "#", inner whitespace collapsed to "-" (e.g. "on-call").
+//
+// PUBLIC INTERFACES in this file are preceded with "PUBLIC_INTERFACE" comments.
+//
+
+// PUBLIC_INTERFACE
+export function normalizeTag(value) {
+  /** Normalizes a single tag; returns "" for empty input. */
+  return String(value ?? "")
+    .trim()
+    .replace(/^#+/, "")
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, "-");
+}
+
+// PUBLIC_INTERFACE
+export function normalizeTags(value) {
+  /**
+   * Normalizes a tag list into a de-duplicated array, keeping first-seen order.
+   * Accepts an array of strings or a comma-separated string (as typed by users).
+   */
+  const raw = Array.isArray(value) ? value : typeof value === "string" ? value.split(",") : [];
+  const out = [];
+  raw.forEach((v) => {
+    const tag = normalizeTag(v);
+    if (tag && !out.includes(tag)) out.push(tag);
+  });
+  return out;
+}
+
+// PUBLIC_INTERFACE
+export function collectTags(tasks) {
+  /** Returns the sorted set of tags used across the given tasks. */
+  const set = new Set();
+  (tasks || []).forEach((t) => normalizeTags(t && t.tags).forEach((tag) => set.add(tag)));
+  return Array.from(set).sort();
+}
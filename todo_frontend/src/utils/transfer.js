@@ -0,0 +1,428 @@
+//
+// Import and export of tasks.
+// Export formats:
+//  - json: lossless; { format: "todo-app", version, exportedAt, lists, todos } with every field
+//  - csv: one row per task (title, completed, dueDate, dueTime, priority, tags, list, description, createdAt)
+//    cells starting with =, +, -, @ (read as formulas by spreadsheets) get a leading '
+//  - markdown: a checklist per list, "- [ ] Title #tag !high (due 2024-05-20 15:00)",
+//    with checklist items indented below their task
+// parseImport reads any of these back (and a bare JSON array of todos) into task drafts:
+//   { title, completed, description, dueDate, dueTime, priority, tags, subtasks, recurrence, list, ... }
+// where list is a list name (null for the current one); markDuplicates flags drafts that
+// match an existing task or an earlier draft.
+// exportHistory writes the completion history (utils/completions) as a report: JSON (the
+// same lossless format), CSV with the day each task was completed, or Markdown grouped by day.
+//
+// PUBLIC INTERFACES in this file are preceded with "PUBLIC_INTERFACE" comments.
+//
+
+import { completionDayKey, formatCompletionDay, groupByCompletionDay } from "./completions";
+import { normalizeDueDate, normalizeDueTime, todayKey } from "./dates";
+import { DEFAULT_LIST_ID } from "./lists";
+import { DEFAULT_PRIORITY, PRIORITIES } from "./priority";
+import { normalizeTags } from "./tags";
+
+const JSON_FORMAT = "todo-app";
+const JSON_VERSION = 1;
+
+// PUBLIC_INTERFACE
+export const EXPORT_FORMATS = [
+  { value: "json", label: "JSON", extension: "json", type: "application/json" },
+  { value: "csv", label: "CSV", extension: "csv", type: "text/csv" },
+  { value: "markdown", label: "Markdown checklist", extension: "md", type: "text/markdown" },
+];
+
+const CSV_COLUMNS = ["title", "completed", "dueDate", "dueTime", "priority", "tags", "list", "description", "createdAt"];
+
+const HISTORY_CSV_COLUMNS = ["completedOn", "title", "list", "tags", "priority", "description", "completedAt"];
+
+// Header names accepted on import (lowercase, without spaces, "_" or "-") and their field
+const CSV_HEADERS = {
+  title: "title",
+  task: "title",
+  name: "title",
+  completed: "completed",
+  done: "completed",
+  duedate: "dueDate",
+  due: "dueDate",
+  duetime: "dueTime",
+  priority: "priority",
+  tags: "tags",
+  list: "list",
+  description: "description",
+  notes: "description",
+  createdat: "createdAt",
+  completedat: "completedAt",
+};
+
+// Fields an import never takes over: the importing side assigns its own
+const SKIPPED_FIELDS = ["id", "_id", "listId", "list_id", "order", "version", "updatedAt", "deletedAt", "duplicate"];
+
+/**
+ * Name of a todo's list, or null for the Inbox (and lists that no longer exist).
+ */
+function listNameOf(todo, lists) {
+  if (!todo.listId || todo.listId === DEFAULT_LIST_ID) return null;
+  const list = lists.find((l) => l.id === todo.listId);
+  return list ? list.name : null;
+}
+
+/**
+ * Whether a CSV/Markdown flag reads as "done".
+ */
+function isTruthy(value) {
+  return ["true", "yes", "y", "1", "x", "done"].includes(String(value ?? "").trim().toLowerCase());
+}
+
+// Leading characters that make spreadsheets read a cell as a formula
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+/**
+ * A cell quoted when it holds a separator, quote or line break. Text a spreadsheet would
+ * run as a formula is prefixed with ' (and the prefix is dropped again on import).
+ */
+function csvCell(value) {
+  let text = value === null || value === undefined ? "" : String(value);
+  if (FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * A cell's text without the ' that csvCell put in front of a would-be formula.
+ */
+function csvText(cell) {
+  return cell.startsWith("'") && FORMULA_START.test(cell.slice(1)) ? cell.slice(1) : cell;
+}
+
+/**
+ * A date/time as an ISO string, or null when it cannot be read.
+ */
+function toIsoTime(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Rows of cells from CSV text (RFC 4180: quoted cells may hold commas, quotes and line breaks).
+ */
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i += 1) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell || row.length) rows.push([...row, cell]);
+  return rows.filter((r) => r.some((c) => c.trim()));
+}
+
+function exportJson(todos, lists) {
+  const data = {
+    format: JSON_FORMAT,
+    version: JSON_VERSION,
+    exportedAt: new Date().toISOString(),
+    lists: lists.filter((l) => l.id !== DEFAULT_LIST_ID).map(({ id, name, order }) => ({ id, name, order })),
+    todos,
+  };
+  return `${JSON.stringify(data, null, 2)}\n`;
+}
+
+function exportCsv(todos, lists, columns = CSV_COLUMNS) {
+  const rows = todos.map((t) =>
+    columns.map((column) => {
+      if (column === "tags") return (t.tags || []).join(", ");
+      if (column === "list") return listNameOf(t, lists);
+      if (column === "completed") return t.completed ? "true" : "false";
+      if (column === "completedOn") return completionDayKey(t);
+      return t[column];
+    })
+  );
+  return `${[columns, ...rows].map((r) => r.map(csvCell).join(",")).join("\n")}\n`;
+}
+
+/**
+ * One checklist line: the title followed by its tags, priority and due date.
+ */
+function markdownLine(t) {
+  const parts = [t.title];
+  (t.tags || []).forEach((tag) => parts.push(`#${tag}`));
+  if (t.priority && t.priority !== DEFAULT_PRIORITY) parts.push(`!${t.priority}`);
+  if (t.dueDate) parts.push(`(due ${t.dueDate}${t.dueTime ? ` ${t.dueTime}` : ""})`);
+  return `- [${t.completed ? "x" : " "}] ${parts.join(" ")}`;
+}
+
+function exportMarkdown(todos, lists) {
+  const groups = new Map();
+  todos.forEach((t) => {
+    const name = listNameOf(t, lists) || "Inbox";
+    if (!groups.has(name)) groups.set(name, []);
+    groups.get(name).push(t);
+  });
+  const sections = Array.from(groups, ([name, items]) => {
+    const lines = items.flatMap((t) => [
+      markdownLine(t),
+      ...(t.subtasks || []).map((s) => `  - [${s.completed ? "x" : " "}] ${s.title}`),
+    ]);
+    return [`## ${name}`, "", ...lines].join("\n");
+  });
+  return `${sections.join("\n\n")}\n`;
+}
+
+function exportHistoryMarkdown(todos, lists) {
+  const sections = groupByCompletionDay(todos).map(({ date, todos: items }) => {
+    const lines = items.map((t) => {
+      const list = listNameOf(t, lists);
+      return `${markdownLine(t)}${list ? ` — ${list}` : ""}`;
+    });
+    return [`## ${formatCompletionDay(date, { relative: false })}`, "", ...lines].join("\n");
+  });
+  return `${["# Completed tasks", ...sections].join("\n\n")}\n`;
+}
+
+// PUBLIC_INTERFACE
+export function exportTodos(todos, format, { lists = [], now = new Date() } = {}) {
+  /**
+   * Serializes todos for download.
+   * @param {Array<Object>} todos
+   * @param {'json'|'csv'|'markdown'} format
+   * @param {{ lists?: Array<Object>, now?: Date }} [options] lists give list ids their names
+   * @returns {{ filename: string, type: string, content: string }}
+   */
+  const spec = EXPORT_FORMATS.find((f) => f.value === format);
+  if (!spec) throw new Error(`Unknown export format "${format}"`);
+  const items = Array.isArray(todos) ? todos : [];
+  const writers = { json: exportJson, csv: exportCsv, markdown: exportMarkdown };
+  return {
+    filename: `tasks-${todayKey(now)}.${spec.extension}`,
+    type: spec.type,
+    content: writers[format](items, lists),
+  };
+}
+
+// PUBLIC_INTERFACE
+export function exportHistory(todos, format, { lists = [], now = new Date() } = {}) {
+  /**
+   * Serializes completed todos as a history report, most recently completed first.
+   * Same formats as exportTodos; the CSV has the completion day first and the Markdown
+   * file has a section per day.
+   * @param {Array<Object>} todos
+   * @param {'json'|'csv'|'markdown'} format
+   * @param {{ lists?: Array<Object>, now?: Date }} [options]
+   * @returns {{ filename: string, type: string, content: string }}
+   */
+  const spec = EXPORT_FORMATS.find((f) => f.value === format);
+  if (!spec) throw new Error(`Unknown export format "${format}"`);
+  const items = groupByCompletionDay(todos).flatMap((day) => day.todos);
+  const writers = {
+    json: exportJson,
+    csv: (list, l) => exportCsv(list, l, HISTORY_CSV_COLUMNS),
+    markdown: exportHistoryMarkdown,
+  };
+  return {
+    filename: `completed-${todayKey(now)}.${spec.extension}`,
+    type: spec.type,
+    content: writers[format](items, lists),
+  };
+}
+
+// PUBLIC_INTERFACE
+export function downloadFile({ filename, type, content }) {
+  /** Hands a generated file (from exportTodos or exportHistory) to the browser as a download. */
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Draft from a JSON todo: every field but the ones the importing side assigns.
+ */
+function draftFromJson(todo, listNames) {
+  if (!todo || typeof todo !== "object" || Array.isArray(todo)) return null;
+  const draft = { ...todo };
+  SKIPPED_FIELDS.forEach((f) => delete draft[f]);
+  const listId = todo.listId ?? todo.list_id;
+  draft.list = todo.list ?? (listId !== undefined ? listNames.get(listId) ?? null : null);
+  draft.title = String(todo.title ?? "").trim();
+  draft.completed = !!todo.completed;
+  return draft;
+}
+
+function parseJson(text) {
+  const data = JSON.parse(text);
+  const todos = Array.isArray(data) ? data : data && Array.isArray(data.todos) ? data.todos : null;
+  if (!todos) throw new Error("The file does not contain a list of tasks.");
+  const lists = data && Array.isArray(data.lists) ? data.lists : [];
+  const listNames = new Map(lists.filter((l) => l && l.id !== undefined).map((l) => [l.id, String(l.name ?? "")]));
+  return todos.map((t) => draftFromJson(t, listNames));
+}
+
+function parseCsv(text) {
+  const [header, ...rows] = parseCsvRows(text);
+  const fields = (header || []).map((h) => CSV_HEADERS[h.trim().toLowerCase().replace(/[\s_-]/g, "")] || null);
+  if (!fields.includes("title")) throw new Error('The CSV file needs a "title" column.');
+  return rows.map((row) => {
+    const draft = {};
+    fields.forEach((field, i) => {
+      if (field && row[i] !== undefined && row[i].trim() !== "") draft[field] = csvText(row[i].trim());
+    });
+    return {
+      ...draft,
+      title: draft.title || "",
+      completed: isTruthy(draft.completed),
+      tags: normalizeTags(draft.tags),
+      list: draft.list || null,
+    };
+  });
+}
+
+/**
+ * Draft from a checklist line's text: trailing "(due ...)", "!priority" and "#tag" tokens
+ * become fields, the rest is the title.
+ */
+function draftFromChecklist(text, completed, list) {
+  let rest = text.trim();
+  let dueDate = null;
+  let dueTime = null;
+  const due = rest.match(/\s*\(due\s+(\d{4}-\d{2}-\d{2})(?:\s+(\d{1,2}:\d{2}))?\)$/i);
+  if (due) {
+    dueDate = due[1];
+    dueTime = due[2] || null;
+    rest = rest.slice(0, due.index);
+  }
+  const tags = [];
+  let priority = null;
+  let token = rest.match(/\s+([#!][^\s#!]+)$/);
+  while (token) {
+    const word = token[1];
+    if (word[0] === "!" && PRIORITIES.includes(word.slice(1).toLowerCase())) priority = word.slice(1).toLowerCase();
+    else if (word[0] === "#") tags.unshift(word);
+    else break;
+    rest = rest.slice(0, token.index);
+    token = rest.match(/\s+([#!][^\s#!]+)$/);
+  }
+  return { title: rest.trim(), completed, dueDate, dueTime, priority, tags: normalizeTags(tags), subtasks: [], list };
+}
+
+function parseMarkdown(text) {
+  const drafts = [];
+  let list = null;
+  text.split(/\r?\n/).forEach((line) => {
+    const heading = line.match(/^#{1,6}\s+(.+?)\s*#*\s*$/);
+    if (heading) {
+      list = heading[1].toLowerCase() === "inbox" ? null : heading[1];
+      return;
+    }
+    const item = line.match(/^(\s*)[-*+]\s+\[([ xX])\]\s+(.*)$/);
+    if (!item) return;
+    const completed = item[2] !== " ";
+    const parent = drafts[drafts.length - 1];
+    if (item[1].length > 0 && parent) {
+      const title = item[3].trim();
+      if (title) parent.subtasks.push({ title, completed });
+      return;
+    }
+    drafts.push(draftFromChecklist(item[3], completed, list));
+  });
+  return drafts;
+}
+
+/**
+ * The format of an import from its file name, else from its content.
+ */
+function detectFormat(text, filename) {
+  const ext = String(filename || "").toLowerCase().split(".").pop();
+  if (ext === "json") return "json";
+  if (ext === "csv") return "csv";
+  if (ext === "md" || ext === "markdown") return "markdown";
+  const start = text.trimStart();
+  if (start.startsWith("{") || start.startsWith("[")) return "json";
+  if (/^\s*[-*+]\s+\[[ xX]\]/m.test(text)) return "markdown";
+  return "csv";
+}
+
+// PUBLIC_INTERFACE
+export function parseImport(text, filename = "") {
+  /**
+   * Reads an exported (or hand-written) file into task drafts.
+   * The format is taken from the file extension, or guessed from the content.
+   * Returns { format, drafts, skipped } where skipped counts entries without a usable
+   * title; throws an Error with a readable message when the file cannot be read at all.
+   * Completed drafts keep the completedAt they were saved with, or get the import time,
+   * so they show up in the history.
+   * @param {string} text
+   * @param {string} [filename]
+   */
+  const source = String(text ?? "").replace(/^\uFEFF/, "");
+  const format = detectFormat(source, filename);
+  let parsed;
+  try {
+    parsed = { json: parseJson, csv: parseCsv, markdown: parseMarkdown }[format](source);
+  } catch (err) {
+    throw new Error(format === "json" && err instanceof SyntaxError ? "The file is not valid JSON." : err.message);
+  }
+  const importedAt = new Date().toISOString();
+  const drafts = parsed
+    .filter((d) => d && d.title)
+    .map((d) => ({
+      ...d,
+      dueDate: normalizeDueDate(d.dueDate),
+      dueTime: normalizeDueDate(d.dueDate) ? normalizeDueTime(d.dueTime) : null,
+      ...(d.completed ? { completedAt: toIsoTime(d.completedAt) || importedAt } : {}),
+    }));
+  return { format, drafts, skipped: parsed.length - drafts.length };
+}
+
+/**
+ * What makes two tasks the same for duplicate detection: title (case and spacing
+ * ignored) and due date.
+ */
+function duplicateKey(t) {
+  const title = String(t.title ?? "").trim().replace(/\s+/g, " ").toLowerCase();
+  return `${title}|${normalizeDueDate(t.dueDate) || ""}`;
+}
+
+// PUBLIC_INTERFACE
+export function markDuplicates(drafts, existing) {
+  /**
+   * Returns the drafts with duplicate set to "existing" (an existing task has the same
+   * title and due date), "file" (an earlier draft does) or null.
+   */
+  const known = new Set((existing || []).map(duplicateKey));
+  const seen = new Set();
+  return (drafts || []).map((d) => {
+    const key = duplicateKey(d);
+    const duplicate = known.has(key) ? "existing" : seen.has(key) ? "file" : null;
+    seen.add(key);
+    return { ...d, duplicate };
+  });
+}
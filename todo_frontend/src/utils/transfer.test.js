@@ -0,0 +1,128 @@
+import { exportHistory, exportTodos, markDuplicates, parseImport } from './transfer';
+
+const lists = [
+  { id: 'inbox', name: 'Inbox', order: 0 },
+  { id: 'l1', name: 'Work', order: 1 },
+];
+
+const todos = [
+  {
+    id: 'a',
+    title: 'Write "report", part 2',
+    completed: false,
+    dueDate: '2024-05-20',
+    dueTime: '15:00',
+    priority: 'high',
+    tags: ['work', 'q2'],
+    listId: 'l1',
+    description: 'Two\nlines',
+    subtasks: [{ id: 's1', title: 'Outline', completed: true }],
+    createdAt: '2024-05-01T10:00:00.000Z',
+  },
+  { id: 'b', title: 'Buy milk', completed: true, tags: [], listId: 'inbox', priority: 'normal', subtasks: [] },
+];
+
+describe('exportTodos / parseImport', () => {
+  test('JSON keeps every field except the ids the importing side assigns', () => {
+    const file = exportTodos(todos, 'json', { lists, now: new Date(2024, 4, 21) });
+    expect(file.filename).toBe('tasks-2024-05-21.json');
+
+    const { format, drafts } = parseImport(file.content, file.filename);
+    expect(format).toBe('json');
+    expect(drafts[0]).toEqual({ ...todos[0], id: undefined, listId: undefined, list: 'Work' });
+    expect(drafts[0]).not.toHaveProperty('id');
+    expect(drafts[1]).toMatchObject({ title: 'Buy milk', completed: true, list: null });
+  });
+
+  test('CSV quotes cells and reads them back', () => {
+    const { content } = exportTodos(todos, 'csv', { lists });
+    expect(content.split('\n')[0]).toBe('title,completed,dueDate,dueTime,priority,tags,list,description,createdAt');
+
+    const { drafts } = parseImport(content, 'tasks.csv');
+    expect(drafts[0]).toMatchObject({
+      title: 'Write "report", part 2',
+      completed: false,
+      dueDate: '2024-05-20',
+      dueTime: '15:00',
+      priority: 'high',
+      tags: ['work', 'q2'],
+      list: 'Work',
+      description: 'Two\nlines',
+    });
+    expect(drafts[1]).toMatchObject({ title: 'Buy milk', completed: true, list: null });
+  });
+
+  test('CSV keeps spreadsheets from running titles as formulas', () => {
+    const risky = ['=HYPERLINK("http://evil.test")', '+1', '-x', '@SUM(A1)'].map((title, i) => ({ id: `r${i}`, title }));
+    const { content } = exportTodos(risky, 'csv', { lists });
+    const cells = content.split('\n').slice(1, -1).map((line) => line.split(',')[0]);
+    expect(cells).toEqual(['"\'=HYPERLINK(""http://evil.test"")"', "'+1", "'-x", "'@SUM(A1)"]);
+
+    const { drafts } = parseImport(content, 'tasks.csv');
+    expect(drafts.map((d) => d.title)).toEqual(risky.map((t) => t.title));
+  });
+
+  test('completed tasks are imported with a completion time', () => {
+    const csv = 'title,completed,completedAt\nFiled taxes,true,2024-04-15T09:30:00.000Z\nPaid rent,yes,\nCall mom,false,\n';
+    const before = Date.now();
+    const { drafts } = parseImport(csv, 'tasks.csv');
+
+    expect(drafts[0].completedAt).toBe('2024-04-15T09:30:00.000Z');
+    expect(Date.parse(drafts[1].completedAt)).toBeGreaterThanOrEqual(before);
+    expect(drafts[2]).not.toHaveProperty('completedAt');
+  });
+
+  test('Markdown checklists carry lists, tags, priority, due dates and checklist items', () => {
+    const { content } = exportTodos(todos, 'markdown', { lists });
+    expect(content).toContain('## Work\n\n- [ ] Write "report", part 2 #work #q2 !high (due 2024-05-20 15:00)\n  - [x] Outline');
+
+    const { format, drafts } = parseImport(content);
+    expect(format).toBe('markdown');
+    expect(drafts).toEqual([
+      {
+        title: 'Write "report", part 2',
+        completed: false,
+        dueDate: '2024-05-20',
+        dueTime: '15:00',
+        priority: 'high',
+        tags: ['work', 'q2'],
+        subtasks: [{ title: 'Outline', completed: true }],
+        list: 'Work',
+      },
+      expect.objectContaining({ title: 'Buy milk', completed: true, list: null }),
+    ]);
+  });
+
+  test('reports unreadable files', () => {
+    expect(() => parseImport('{"todos": ', 'tasks.json')).toThrow('The file is not valid JSON.');
+    expect(() => parseImport('name;when\nx;y', 'tasks.csv')).toThrow(/title/);
+  });
+});
+
+test('markDuplicates flags existing and repeated tasks by title and due date', () => {
+  const drafts = [
+    { title: 'buy  MILK' },
+    { title: 'Call mom', dueDate: '2024-05-20' },
+    { title: 'Call mom', dueDate: '2024-05-21' },
+    { title: 'call mom', dueDate: '2024-05-21' },
+  ];
+  expect(markDuplicates(drafts, todos).map((d) => d.duplicate)).toEqual(['existing', null, null, 'file']);
+});
+
+test('exportHistory writes a report of completed tasks by day', () => {
+  const done = [
+    { ...todos[1], completedAt: new Date(2024, 4, 20, 9).toISOString() },
+    { ...todos[0], completed: true, completedAt: new Date(2024, 4, 21, 15).toISOString() },
+  ];
+  const markdown = exportHistory(done, 'markdown', { lists, now: new Date(2024, 4, 21) });
+  expect(markdown.filename).toBe('completed-2024-05-21.md');
+  const day = (d) => new Date(2024, 4, d).toLocaleDateString(undefined, { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' });
+  expect(markdown.content).toBe(
+    `# Completed tasks\n\n## ${day(21)}\n\n- [x] Write "report", part 2 #work #q2 !high (due 2024-05-20 15:00) — Work\n\n` +
+      `## ${day(20)}\n\n- [x] Buy milk\n`
+  );
+
+  const csv = exportHistory(done, 'csv', { lists }).content;
+  expect(csv).toMatch(/^completedOn,title,list,tags,priority,description,completedAt\n2024-05-21,"Write ""report"", part 2",Work,/);
+  expect(csv).toContain('\n2024-05-20,Buy milk,,,normal,,');
+});